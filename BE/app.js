@@ -0,0 +1,40 @@
+import express from "express";
+import cors from "cors";
+import chatRoutes from "./routes/chatroute.js";
+import sessionRoutes from "./routes/sessionroute.js";
+import taskRoutes from "./routes/taskroute.js";
+import runRoutes from "./routes/runroute.js";
+import replayRoutes from "./routes/replayroute.js";
+import secretRoutes from "./routes/secretroute.js";
+import scheduleRoutes from "./routes/scheduleroute.js";
+import downloadRoutes from "./routes/downloadroute.js";
+import profileRoutes from "./routes/profileroute.js";
+import visualRoutes from "./routes/visualroute.js";
+import browserRoutes from "./routes/browserroute.js";
+import { llm } from "./services/llmProvider.js";
+import { screenshotsDir, SCREENSHOTS_ROUTE } from "./services/screenshotStore.js";
+import { DOWNLOADS_ROUTE } from "./services/fileStore.js";
+
+// The app is built here and started in index.js, so tests can listen on a port of their own
+export const app = express();
+app.use(express.json());
+app.use(cors());
+
+// Mount the routes
+app.use('/api', chatRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/runs', runRoutes);
+app.use('/api/replay', replayRoutes);
+app.use('/api/secrets', secretRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/profiles', profileRoutes);
+app.use('/api/visual', visualRoutes);
+app.use('/api/browser', browserRoutes);
+app.use(DOWNLOADS_ROUTE, downloadRoutes);
+app.use(SCREENSHOTS_ROUTE, express.static(screenshotsDir, { fallthrough: false, maxAge: '1d' }));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'OK', llm: llm.name, timestamp: new Date().toISOString() });
+});
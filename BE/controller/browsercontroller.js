@@ -0,0 +1,6 @@
+import { defaultBrowserSettings, browserSettingsLimits, publicBrowserSettings } from "../services/browserSettings.js";
+
+// The settings tasks start from and what they may change, for the settings panel
+export const getBrowserSettings = (req, res) => {
+  res.status(200).json({ defaults: publicBrowserSettings(defaultBrowserSettings), limits: browserSettingsLimits(), success: true });
+};
@@ -0,0 +1,238 @@
+import { createTask, subscribe } from "../services/taskQueue.js";
+import { DEFAULT_SESSION_ID } from "../services/sessionManager.js";
+import { extractRequestSchema } from "../services/dataExtractor.js";
+import { APPROVALS_ENABLED } from "../services/approvals.js";
+import { uploadPath, FileStoreError } from "../services/fileStore.js";
+import { getProfile, validateProfileName, ProfileStoreError } from "../services/profileStore.js";
+import { RECORD_HAR_BY_DEFAULT } from "../services/networkLog.js";
+import { expectedOutcomesSchema, missingAssertionInput } from "../services/assertions.js";
+import { browserSettingsSchema, resolveBrowserSettings, BrowserSettingsError } from "../services/browserSettings.js";
+
+// The frontend sends its chat session id so each chat drives its own browser context
+export function getRequestSessionId(req) {
+  return req.body?.sessionId || req.get('x-session-id') || DEFAULT_SESSION_ID;
+}
+
+// Validates the optional `extract` field schema; returns { extract } or { error }
+function parseExtractOption(extract) {
+  if (extract === undefined || extract === null) {
+    return { extract: null };
+  }
+  const parsed = extractRequestSchema.safeParse(extract);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `Invalid extract option: ${issue.path.join(".") || "extract"} ${issue.message}` };
+  }
+  return { extract: parsed.data };
+}
+
+// Attachments are names of files uploaded to the session beforehand (POST /api/sessions/:id/files);
+// returns { attachments } or { error }
+function parseAttachments(sessionId, attachments) {
+  if (attachments === undefined || attachments === null) {
+    return { attachments: [] };
+  }
+  if (!Array.isArray(attachments) || !attachments.every(name => typeof name === "string")) {
+    return { error: "attachments must be a list of file names" };
+  }
+  if (!sessionId) {
+    return { error: "attachments need the sessionId they were uploaded to" };
+  }
+  try {
+    attachments.forEach(name => uploadPath(sessionId, name));
+  } catch (error) {
+    if (error instanceof FileStoreError) return { error: error.message };
+    throw error;
+  }
+  return { attachments };
+}
+
+// `profile` starts the run from a saved login profile; `saveProfile` saves what the session is logged in to
+// under that name once the run succeeds. Returns { profile, saveProfile } or { error }
+function parseProfileOptions(body) {
+  const { profile = null, saveProfile = null } = body || {};
+  try {
+    if (profile !== null && !getProfile(validateProfileName(profile))) {
+      return { error: `No login profile named "${profile}"` };
+    }
+    if (saveProfile !== null) {
+      validateProfileName(saveProfile);
+    }
+  } catch (error) {
+    if (error instanceof ProfileStoreError) return { error: error.message };
+    throw error;
+  }
+  return { profile, saveProfile };
+}
+
+// Checks the run is judged on once the agent is done, e.g. [{ type: "text_visible", text: "Order placed" }],
+// so CI can treat a run as a test. Returns { expectedOutcomes } or { error }
+function parseExpectedOutcomes(expectedOutcomes) {
+  if (expectedOutcomes === undefined || expectedOutcomes === null) {
+    return { expectedOutcomes: [] };
+  }
+  const parsed = expectedOutcomesSchema.safeParse(expectedOutcomes);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `Invalid expectedOutcomes: ${issue.path.join(".") || "expectedOutcomes"} ${issue.message}` };
+  }
+  for (const [index, outcome] of parsed.data.entries()) {
+    const missing = missingAssertionInput(outcome);
+    if (missing) {
+      return { error: `Invalid expectedOutcomes: ${index} ${missing}` };
+    }
+  }
+  return { expectedOutcomes: parsed.data };
+}
+
+// How the task's browser is launched and what it emulates (engine, device, locale, proxy...), checked against
+// the server limits; null keeps the session's browser. Returns { browser } or { error }
+function parseBrowserSettings(browser) {
+  if (browser === undefined || browser === null) {
+    return { browser: null };
+  }
+  const parsed = browserSettingsSchema.safeParse(browser);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `Invalid browser settings: ${issue.path.join(".") || "browser"} ${issue.message}` };
+  }
+  try {
+    return { browser: resolveBrowserSettings(parsed.data) };
+  } catch (error) {
+    if (error instanceof BrowserSettingsError) return { error: error.message };
+    throw error;
+  }
+}
+
+// A HAR of the run's requests, downloadable from /api/runs/:id/har afterwards
+function wantsHar(body) {
+  return typeof body?.recordHar === "boolean" ? body.recordHar : RECORD_HAR_BY_DEFAULT;
+}
+
+// Approvals need someone to answer them, which only callers that get the task id while the run is going can do
+// (the stream and /api/tasks); the blocking /api/ask refuses the actions that would need one instead
+function wantsApproval(body) {
+  if (!APPROVALS_ENABLED) {
+    return false;
+  }
+  return typeof body?.requireApproval === "boolean" ? body.requireApproval : true;
+}
+
+// Everything a task takes besides its prompt, checked the same way for /api/ask, the stream and /api/tasks.
+// Returns { options } ready to spread into createTask, or { error } for a 400
+export function parseTaskOptions(body, sessionId) {
+  const { extract, error: extractError } = parseExtractOption(body.extract);
+  if (extractError) return { error: extractError };
+  const { attachments, error: attachmentsError } = parseAttachments(sessionId, body.attachments);
+  if (attachmentsError) return { error: attachmentsError };
+  const { profile, saveProfile, error: profileError } = parseProfileOptions(body);
+  if (profileError) return { error: profileError };
+  const { expectedOutcomes, error: outcomesError } = parseExpectedOutcomes(body.expectedOutcomes);
+  if (outcomesError) return { error: outcomesError };
+  const { browser, error: browserError } = parseBrowserSettings(body.browser);
+  if (browserError) return { error: browserError };
+  return {
+    options: { extract, attachments, profile, saveProfile, expectedOutcomes, browser, recordHar: wantsHar(body), requireApproval: wantsApproval(body) },
+  };
+}
+
+// Both chat endpoints go through the task queue, so they share its concurrency limit and can be cancelled
+export const ask = async (req, res) => {
+	try {
+	  const { prompt, maxTurns } = req.body;
+	  if (!prompt) {
+		return res.status(400).json({ error: "Prompt is required" });
+	  }
+	  const sessionId = getRequestSessionId(req);
+	  const { options, error: optionsError } = parseTaskOptions(req.body, sessionId);
+	  if (optionsError) {
+		return res.status(400).json({ error: optionsError, success: false });
+	  }
+	  console.log(`📝 Original prompt [${sessionId}]:`, prompt);
+  
+	  const task = await createTask({ prompt, sessionId, maxTurns, ...options, requireApproval: false, refuseApprovals: options.requireApproval }).done;
+  
+	  if (task.status === "succeeded") {
+		res.status(200).json({ 
+		  message: task.result.message,
+		  screenshots: task.result.screenshots,
+		  downloads: task.result.downloads,
+		  violations: task.result.violations,
+		  failedRequests: task.result.failedRequests,
+		  checks: task.result.checks,
+		  visualChecks: task.result.visualChecks,
+		  ...(task.result.har && { har: task.result.har }),
+		  ...(task.result.verdict && { verdict: task.result.verdict }),
+		  ...(options.extract && { data: task.result.data }),
+		  ...(options.saveProfile && { profile: task.result.profile }),
+		  taskId: task.id,
+		  sessionId,
+		  success: true 
+		});
+	  } else {
+		// What the network did is often the reason a run failed
+		const harEvent = task.events.find(event => event.type === "har");
+		const verdictEvent = task.events.find(event => event.type === "verdict");
+		res.status(task.status === "timed_out" ? 504 : 500).json({ 
+		  error: task.error || "Agent execution failed",
+		  status: task.status,
+		  violations: task.events.filter(event => event.type === "policy_violation"),
+		  failedRequests: task.events.find(event => event.type === "network_failures")?.requests || [],
+		  ...(harEvent && { har: { url: harEvent.url, entries: harEvent.entries } }),
+		  ...(verdictEvent && { verdict: { passed: verdictEvent.passed, outcomes: verdictEvent.outcomes } }),
+		  taskId: task.id,
+		  success: false 
+		});
+	  }
+	} catch (error) {
+	  console.error("❌ API Error:", error);
+	  res.status(500).json({ 
+		error: error.message || "Internal server error",
+		success: false 
+	  });
+	}
+  };
+
+// Same as ask, but streams progress events as newline-delimited JSON while the agent works
+export const askStream = async (req, res) => {
+  const { prompt, maxTurns } = req.body;
+  if (!prompt) {
+    return res.status(400).json({ error: "Prompt is required" });
+  }
+  const sessionId = getRequestSessionId(req);
+  const { options, error: optionsError } = parseTaskOptions(req.body, sessionId);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError, success: false });
+  }
+  console.log(`📝 Original prompt [${sessionId}] (streaming):`, prompt);
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+
+  // The headers are already out, so a failure can only be reported as an event on the stream
+  try {
+    const task = createTask({ prompt, sessionId, maxTurns, ...options });
+    // The task id lets the client cancel the run through DELETE /api/tasks/:id
+    send({ type: "started", taskId: task.id, sessionId, timestamp: new Date().toISOString() });
+    const unsubscribe = subscribe(task, send);
+    res.on('close', unsubscribe);
+
+    await task.done;
+  } catch (error) {
+    console.error("❌ Stream error:", error);
+    send({ type: "error", error: error.message || "Internal server error", timestamp: new Date().toISOString() });
+  } finally {
+    res.end();
+  }
+};
@@ -0,0 +1,78 @@
+import multer from "multer";
+import {
+  ensureUploadsDir,
+  listUploads,
+  deleteUpload,
+  listDownloads,
+  getDownload,
+  safeFileName,
+  MAX_UPLOAD_BYTES,
+  MAX_UPLOAD_FILES,
+} from "../services/fileStore.js";
+
+// Files land straight in the session's upload folder; a file with the same name replaces the old one
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, done) => done(null, ensureUploadsDir(req.params.id)),
+    // Browsers send the name as latin1, so non-ASCII names need decoding
+    filename: (req, file, done) => done(null, safeFileName(Buffer.from(file.originalname, 'latin1').toString('utf8'))),
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES },
+}).array('files', MAX_UPLOAD_FILES);
+
+export const uploadFiles = (req, res) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ error: error.message, success: false });
+    }
+    if (error) {
+      console.error("❌ Upload failed:", error.message);
+      return res.status(500).json({ error: "Upload failed", success: false });
+    }
+    if (!req.files?.length) {
+      return res.status(400).json({ error: "No files uploaded, send them as multipart field \"files\"", success: false });
+    }
+
+    const files = req.files.map(file => ({ name: file.filename, size: file.size }));
+    console.log(`📎 Session "${req.params.id}" attached ${files.map(file => file.name).join(", ")}`);
+    res.status(201).json({ files, success: true });
+  });
+};
+
+export const getSessionFiles = async (req, res) => {
+  try {
+    res.status(200).json({
+      uploads: await listUploads(req.params.id),
+      downloads: listDownloads(req.params.id),
+      success: true,
+    });
+  } catch (error) {
+    console.error("❌ Failed to list files:", error.message);
+    res.status(500).json({ error: "Failed to list files", success: false });
+  }
+};
+
+export const deleteSessionFile = async (req, res) => {
+  try {
+    if (!(await deleteUpload(req.params.id, req.params.name))) {
+      return res.status(404).json({ error: "File not found", success: false });
+    }
+    res.status(200).json({ message: `File ${req.params.name} deleted`, success: true });
+  } catch (error) {
+    console.error("❌ Failed to delete file:", error.message);
+    res.status(500).json({ error: "Failed to delete file", success: false });
+  }
+};
+
+export const getDownloadFile = (req, res) => {
+  const file = getDownload(req.params.id);
+  if (!file) {
+    return res.status(404).json({ error: "Download not found", success: false });
+  }
+  res.download(file.path, file.filename, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: "Download file is missing", success: false });
+    }
+  });
+};
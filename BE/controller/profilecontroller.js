@@ -0,0 +1,77 @@
+import { listProfiles, getProfile, renameProfile, deleteProfile, validateProfileName, ProfileStoreError } from "../services/profileStore.js";
+import { saveSessionProfile, profileSessions } from "../services/sessionManager.js";
+
+function handleError(res, error, action) {
+  if (error instanceof ProfileStoreError) {
+    return res.status(error.status).json({ error: error.message, success: false });
+  }
+  console.error(`❌ Failed to ${action}:`, error.message);
+  res.status(500).json({ error: `Failed to ${action}`, success: false });
+}
+
+// Cookies and localStorage never leave the server; responses only carry names, sites and timestamps
+export const getProfiles = (req, res) => {
+  res.status(200).json({ profiles: listProfiles(), success: true });
+};
+
+// Saves what a chat's browser session is logged in to, e.g. right after a run that logged in
+export const createProfile = async (req, res) => {
+  try {
+    const { name, sessionId } = req.body || {};
+    validateProfileName(name);
+    if (!sessionId) {
+      return res.status(400).json({ error: "sessionId of the browser session to save is required", success: false });
+    }
+    if (getProfile(name)) {
+      return res.status(409).json({ error: `A login profile named "${name}" already exists, refresh it instead`, success: false });
+    }
+    const profile = await saveSessionProfile(sessionId, name);
+    console.log(`👤 Saved login profile "${name}" from session ${sessionId}`);
+    res.status(201).json({ profile, success: true });
+  } catch (error) {
+    handleError(res, error, "save login profile");
+  }
+};
+
+export const updateProfile = async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    const profile = await renameProfile(req.params.name, name);
+    profileSessions(req.params.name).forEach(session => {
+      session.profile = profile.name;
+    });
+    res.status(200).json({ profile, success: true });
+  } catch (error) {
+    handleError(res, error, "rename login profile");
+  }
+};
+
+// Re-saves a profile from a live session, after its login was renewed; by default the session using it
+export const refreshProfile = async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!getProfile(name)) {
+      return res.status(404).json({ error: `No login profile named "${name}"`, success: false });
+    }
+    const sessionId = req.body?.sessionId || profileSessions(name)[0]?.id;
+    if (!sessionId) {
+      return res.status(409).json({ error: `No open browser session uses "${name}", pass the sessionId of a logged-in chat`, success: false });
+    }
+    const profile = await saveSessionProfile(sessionId, name);
+    console.log(`👤 Refreshed login profile "${name}" from session ${sessionId}`);
+    res.status(200).json({ profile, success: true });
+  } catch (error) {
+    handleError(res, error, "refresh login profile");
+  }
+};
+
+export const removeProfile = async (req, res) => {
+  try {
+    if (!(await deleteProfile(req.params.name))) {
+      return res.status(404).json({ error: "Login profile not found", success: false });
+    }
+    res.status(200).json({ message: `Login profile ${req.params.name} deleted`, success: true });
+  } catch (error) {
+    handleError(res, error, "delete login profile");
+  }
+};
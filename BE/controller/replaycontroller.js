@@ -0,0 +1,25 @@
+import { getRun } from "../services/runStore.js";
+import { replayTrace, TraceFormatError } from "../services/replayer.js";
+
+export const replay = async (req, res) => {
+  const { runId, trace, recover, maxTurns } = req.body;
+  if (!runId && !trace) {
+    return res.status(400).json({ error: "Either runId or trace is required", success: false });
+  }
+
+  try {
+    let source = trace;
+    if (runId) {
+      source = await getRun(runId);
+      if (!source) {
+        return res.status(404).json({ error: "Run not found", success: false });
+      }
+    }
+
+    const result = await replayTrace(source, { prompt: source.prompt, recover: Boolean(recover), maxTurns });
+    res.status(200).json({ ...result, runId: runId || null });
+  } catch (error) {
+    console.error("❌ Replay failed:", error);
+    res.status(error instanceof TraceFormatError ? 400 : 500).json({ error: error.message || "Replay failed", success: false });
+  }
+};
@@ -0,0 +1,58 @@
+import fs from "fs";
+import { listRuns, getRun, runHarFile } from "../services/runStore.js";
+import { toPlaywrightSpec } from "../services/playwrightExport.js";
+
+const EXPORT_FORMATS = ["playwright"];
+
+export const getRuns = (req, res) => {
+  const { status, from, to, page, limit } = req.query;
+  res.status(200).json({ ...listRuns({ status, from, to, page, limit }), success: true });
+};
+
+export const getRunById = async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found", success: false });
+    }
+    res.status(200).json({ run, success: true });
+  } catch (error) {
+    console.error("❌ Failed to load run:", error);
+    res.status(500).json({ error: error.message || "Failed to load run", success: false });
+  }
+};
+
+export const exportRun = async (req, res) => {
+  const format = req.query.format || "playwright";
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unsupported export format "${format}"`, success: false });
+  }
+
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found", success: false });
+    }
+    res.set('Content-Type', 'text/javascript; charset=utf-8');
+    res.attachment(`run-${run.id}.spec.js`);
+    res.status(200).send(toPlaywrightSpec(run));
+  } catch (error) {
+    console.error("❌ Failed to export run:", error);
+    res.status(500).json({ error: error.message || "Failed to export run", success: false });
+  }
+};
+
+export const getRunHar = async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run?.har || !fs.existsSync(runHarFile(run.id))) {
+      return res.status(404).json({ error: "No HAR was recorded for this run", success: false });
+    }
+    res.type('application/json');
+    res.attachment(`run-${run.id}.har`);
+    res.status(200).sendFile(runHarFile(run.id));
+  } catch (error) {
+    console.error("❌ Failed to load HAR:", error);
+    res.status(500).json({ error: error.message || "Failed to load HAR", success: false });
+  }
+};
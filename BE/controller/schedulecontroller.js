@@ -0,0 +1,88 @@
+import { getRun } from "../services/runStore.js";
+import {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  executeSchedule,
+  isScheduleRunning,
+  describeSchedule,
+  ScheduleError,
+} from "../services/scheduler.js";
+
+function sendError(res, error, fallback) {
+  if (error instanceof ScheduleError) {
+    return res.status(error.status).json({ error: error.message, success: false });
+  }
+  console.error(`❌ ${fallback}:`, error.message);
+  res.status(500).json({ error: error.message || fallback, success: false });
+}
+
+export const getSchedules = (req, res) => {
+  res.status(200).json({ schedules: listSchedules(), success: true });
+};
+
+export const getScheduleById = (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: "Schedule not found", success: false });
+  }
+  res.status(200).json({ schedule: describeSchedule(schedule, { withHistory: true }), success: true });
+};
+
+// A recorded trace can be given inline or as the id of a stored run
+export const postSchedule = async (req, res) => {
+  try {
+    const { name, prompt, trace, runId, cron, maxTurns, notify, enabled } = req.body || {};
+    let source = trace;
+    if (runId) {
+      source = await getRun(runId);
+      if (!source) {
+        return res.status(404).json({ error: "Run not found", success: false });
+      }
+    }
+
+    const schedule = await createSchedule({ name, prompt, trace: source, sourceRunId: runId || null, cron, maxTurns, notify, enabled });
+    res.status(201).json({ schedule: describeSchedule(schedule), success: true });
+  } catch (error) {
+    sendError(res, error, "Failed to create schedule");
+  }
+};
+
+export const patchSchedule = async (req, res) => {
+  try {
+    const { name, cron, maxTurns, notify, enabled } = req.body || {};
+    const schedule = await updateSchedule(req.params.id, { name, cron, maxTurns, notify, enabled });
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found", success: false });
+    }
+    res.status(200).json({ schedule: describeSchedule(schedule), success: true });
+  } catch (error) {
+    sendError(res, error, "Failed to update schedule");
+  }
+};
+
+export const removeSchedule = async (req, res) => {
+  try {
+    if (!(await deleteSchedule(req.params.id))) {
+      return res.status(404).json({ error: "Schedule not found", success: false });
+    }
+    res.status(200).json({ message: `Schedule ${req.params.id} deleted`, success: true });
+  } catch (error) {
+    sendError(res, error, "Failed to delete schedule");
+  }
+};
+
+// Runs a schedule right away; the outcome lands in its history like a timed run
+export const runScheduleNow = (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: "Schedule not found", success: false });
+  }
+  if (isScheduleRunning(schedule.id)) {
+    return res.status(409).json({ error: "Schedule is already running", success: false });
+  }
+  executeSchedule(schedule, "manual").catch(error => console.error(`❌ Schedule "${schedule.name}" failed:`, error.message));
+  res.status(202).json({ schedule: describeSchedule(schedule), success: true });
+};
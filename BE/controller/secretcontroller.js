@@ -0,0 +1,33 @@
+import { listSecrets, setSecret, deleteSecret, SecretVaultError } from "../services/secretVault.js";
+
+// Values go in but never come back out; responses only carry names, domains and placeholders
+export const getSecrets = (req, res) => {
+  res.status(200).json({ secrets: listSecrets(), success: true });
+};
+
+export const putSecret = async (req, res) => {
+  try {
+    const { domain, value } = req.body || {};
+    const secret = await setSecret(req.params.name, { domain, value });
+    console.log(`🔐 Saved secret "${secret.name}" for ${secret.domain}`);
+    res.status(200).json({ secret, success: true });
+  } catch (error) {
+    if (error instanceof SecretVaultError) {
+      return res.status(error.status).json({ error: error.message, success: false });
+    }
+    console.error("❌ Failed to save secret:", error.message);
+    res.status(500).json({ error: "Failed to save secret", success: false });
+  }
+};
+
+export const removeSecret = async (req, res) => {
+  try {
+    if (!(await deleteSecret(req.params.name))) {
+      return res.status(404).json({ error: "Secret not found", success: false });
+    }
+    res.status(200).json({ message: `Secret ${req.params.name} deleted`, success: true });
+  } catch (error) {
+    console.error("❌ Failed to delete secret:", error.message);
+    res.status(500).json({ error: "Failed to delete secret", success: false });
+  }
+};
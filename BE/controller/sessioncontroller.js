@@ -0,0 +1,18 @@
+import { listSessions, closeSession } from "../services/sessionManager.js";
+
+export const getSessions = (req, res) => {
+  res.status(200).json({ sessions: listSessions(), success: true });
+};
+
+export const deleteSession = async (req, res) => {
+  try {
+    const closed = await closeSession(req.params.id);
+    if (!closed) {
+      return res.status(404).json({ error: "Session not found", success: false });
+    }
+    res.status(200).json({ message: `Session ${req.params.id} closed`, success: true });
+  } catch (error) {
+    console.error("❌ Failed to close session:", error);
+    res.status(500).json({ error: error.message || "Failed to close session", success: false });
+  }
+};
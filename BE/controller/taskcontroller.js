@@ -0,0 +1,53 @@
+import { createTask, getTask, cancelTask, answerApproval, serializeTask } from "../services/taskQueue.js";
+import { parseTaskOptions } from "./chatcontroller.js";
+
+export const createTaskHandler = (req, res) => {
+  const { prompt, sessionId, maxTurns } = req.body;
+  if (!prompt) {
+    return res.status(400).json({ error: "Prompt is required", success: false });
+  }
+  const { options, error: optionsError } = parseTaskOptions(req.body, sessionId);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError, success: false });
+  }
+
+  const task = createTask({ prompt, sessionId, maxTurns, ...options });
+  res.status(202).json({ taskId: task.id, task: serializeTask(task), success: true });
+};
+
+export const getTaskHandler = (req, res) => {
+  const task = getTask(req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: "Task not found", success: false });
+  }
+  res.status(200).json({ task: serializeTask(task), success: true });
+};
+
+export const cancelTaskHandler = async (req, res) => {
+  try {
+    const task = await cancelTask(req.params.id);
+    if (!task) {
+      return res.status(404).json({ error: "Task not found", success: false });
+    }
+    res.status(200).json({ task: serializeTask(task), success: true });
+  } catch (error) {
+    console.error("❌ Failed to cancel task:", error);
+    res.status(500).json({ error: error.message || "Failed to cancel task", success: false });
+  }
+};
+
+// Answers an approval_request event: { approved: true|false, reason? }
+export const answerApprovalHandler = (req, res) => {
+  const { approved, reason } = req.body || {};
+  if (typeof approved !== "boolean") {
+    return res.status(400).json({ error: "approved must be true or false", success: false });
+  }
+  const task = getTask(req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: "Task not found", success: false });
+  }
+  if (!answerApproval(task.id, req.params.approvalId, { approved, reason })) {
+    return res.status(409).json({ error: "No pending approval with that id, it may have timed out or been answered", success: false });
+  }
+  res.status(200).json({ task: serializeTask(task), success: true });
+};
@@ -0,0 +1,73 @@
+import fs from "fs";
+import {
+  listCheckpoints, getCheckpoint, updateCheckpoint, deleteCheckpoint, baselineFile,
+  listComparisons, getComparison, acceptComparison, VisualRegressionError,
+} from "../services/visualRegression.js";
+
+function handleError(res, error, action) {
+  if (error instanceof VisualRegressionError) {
+    return res.status(error.status).json({ error: error.message, success: false });
+  }
+  console.error(`❌ Failed to ${action}:`, error.message);
+  res.status(500).json({ error: `Failed to ${action}`, success: false });
+}
+
+export const getCheckpoints = (req, res) => {
+  res.status(200).json({ checkpoints: listCheckpoints(), success: true });
+};
+
+export const getBaseline = (req, res) => {
+  const checkpoint = getCheckpoint(req.params.name);
+  if (!checkpoint || !fs.existsSync(baselineFile(checkpoint.name))) {
+    return res.status(404).json({ error: "Baseline not found", success: false });
+  }
+  // Accepting a comparison replaces the file under the same URL
+  res.set('Cache-Control', 'no-cache');
+  res.status(200).sendFile(baselineFile(checkpoint.name));
+};
+
+// Threshold, allowed diff ratio and ignored regions/selectors of a checkpoint
+export const patchCheckpoint = async (req, res) => {
+  try {
+    const { threshold, maxDiffRatio, ignoreRegions, ignoreSelectors } = req.body || {};
+    const checkpoint = await updateCheckpoint(req.params.name, { threshold, maxDiffRatio, ignoreRegions, ignoreSelectors });
+    res.status(200).json({ checkpoint, success: true });
+  } catch (error) {
+    handleError(res, error, "update visual checkpoint");
+  }
+};
+
+export const removeCheckpoint = async (req, res) => {
+  try {
+    if (!(await deleteCheckpoint(req.params.name))) {
+      return res.status(404).json({ error: "Visual checkpoint not found", success: false });
+    }
+    res.status(200).json({ message: `Visual checkpoint ${req.params.name} deleted`, success: true });
+  } catch (error) {
+    handleError(res, error, "delete visual checkpoint");
+  }
+};
+
+// Newest first; ?status=changed lists the differences waiting for review
+export const getComparisons = (req, res) => {
+  const { status, checkpoint, limit } = req.query;
+  res.status(200).json({ comparisons: listComparisons({ status, checkpoint, limit }), success: true });
+};
+
+export const getComparisonHandler = (req, res) => {
+  const comparison = getComparison(req.params.id);
+  if (!comparison) {
+    return res.status(404).json({ error: "Visual comparison not found", success: false });
+  }
+  res.status(200).json({ comparison, checkpoint: getCheckpoint(comparison.checkpoint), success: true });
+};
+
+// Makes the comparison's screenshot the checkpoint's baseline
+export const acceptComparisonHandler = async (req, res) => {
+  try {
+    const comparison = await acceptComparison(req.params.id);
+    res.status(200).json({ comparison, checkpoint: getCheckpoint(comparison.checkpoint), success: true });
+  } catch (error) {
+    handleError(res, error, "accept visual comparison");
+  }
+};
@@ -0,0 +1,8 @@
+import express from "express";
+import { getBrowserSettings } from "../controller/browsercontroller.js";
+
+const router = express.Router();
+
+router.get('/settings', getBrowserSettings);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { ask, askStream } from "../controller/chatcontroller.js";
+
+const router = express.Router();
+
+router.post('/ask', ask);
+router.post('/ask/stream', askStream);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from "express";
+import { getDownloadFile } from "../controller/filecontroller.js";
+
+const router = express.Router();
+
+router.get('/:id', getDownloadFile);
+
+export default router;
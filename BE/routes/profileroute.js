@@ -0,0 +1,12 @@
+import express from "express";
+import { getProfiles, createProfile, updateProfile, refreshProfile, removeProfile } from "../controller/profilecontroller.js";
+
+const router = express.Router();
+
+router.get('/', getProfiles);
+router.post('/', createProfile);
+router.patch('/:name', updateProfile);
+router.post('/:name/refresh', refreshProfile);
+router.delete('/:name', removeProfile);
+
+export default router;
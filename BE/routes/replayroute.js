@@ -0,0 +1,8 @@
+import express from "express";
+import { replay } from "../controller/replaycontroller.js";
+
+const router = express.Router();
+
+router.post('/', replay);
+
+export default router;
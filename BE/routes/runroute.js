@@ -0,0 +1,11 @@
+import express from "express";
+import { getRuns, getRunById, exportRun, getRunHar } from "../controller/runcontroller.js";
+
+const router = express.Router();
+
+router.get('/', getRuns);
+router.get('/:id', getRunById);
+router.get('/:id/export', exportRun);
+router.get('/:id/har', getRunHar);
+
+export default router;
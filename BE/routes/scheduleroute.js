@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getSchedules,
+  getScheduleById,
+  postSchedule,
+  patchSchedule,
+  removeSchedule,
+  runScheduleNow,
+} from "../controller/schedulecontroller.js";
+
+const router = express.Router();
+
+router.get('/', getSchedules);
+router.post('/', postSchedule);
+router.get('/:id', getScheduleById);
+router.patch('/:id', patchSchedule);
+router.delete('/:id', removeSchedule);
+router.post('/:id/run', runScheduleNow);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { getSecrets, putSecret, removeSecret } from "../controller/secretcontroller.js";
+
+const router = express.Router();
+
+router.get('/', getSecrets);
+router.put('/:name', putSecret);
+router.delete('/:name', removeSecret);
+
+export default router;
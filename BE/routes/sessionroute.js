@@ -0,0 +1,13 @@
+import express from "express";
+import { getSessions, deleteSession } from "../controller/sessioncontroller.js";
+import { uploadFiles, getSessionFiles, deleteSessionFile } from "../controller/filecontroller.js";
+
+const router = express.Router();
+
+router.get('/', getSessions);
+router.delete('/:id', deleteSession);
+router.get('/:id/files', getSessionFiles);
+router.post('/:id/files', uploadFiles);
+router.delete('/:id/files/:name', deleteSessionFile);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import { createTaskHandler, getTaskHandler, cancelTaskHandler, answerApprovalHandler } from "../controller/taskcontroller.js";
+
+const router = express.Router();
+
+router.post('/', createTaskHandler);
+router.get('/:id', getTaskHandler);
+router.delete('/:id', cancelTaskHandler);
+router.post('/:id/approvals/:approvalId', answerApprovalHandler);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import {
+  getCheckpoints, getBaseline, patchCheckpoint, removeCheckpoint,
+  getComparisons, getComparisonHandler, acceptComparisonHandler,
+} from "../controller/visualcontroller.js";
+
+const router = express.Router();
+
+router.get('/checkpoints', getCheckpoints);
+router.get('/checkpoints/:name/baseline', getBaseline);
+router.patch('/checkpoints/:name', patchCheckpoint);
+router.delete('/checkpoints/:name', removeCheckpoint);
+router.get('/comparisons', getComparisons);
+router.get('/comparisons/:id', getComparisonHandler);
+router.post('/comparisons/:id/accept', acceptComparisonHandler);
+
+export default router;
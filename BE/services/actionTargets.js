@@ -0,0 +1,60 @@
+// What a click or key press is about to act on, so the agent's tools and replays can run it past the safety policy first
+
+// Keys that activate a focused button or link; Enter in a form field also submits the form
+export const ACTIVATING_KEYS = ["Enter", "NumpadEnter", "Space", " "];
+
+// Runs in the page. Describes the element (or, without one, whatever has focus, looking into shadow roots
+// and same-origin iframes) as { text, activates, submitsForm, entersSubmit, submitText }
+function describeFocus(element) {
+  let active = element || document.activeElement;
+  for (;;) {
+    if (active?.shadowRoot?.activeElement) {
+      active = active.shadowRoot.activeElement;
+      continue;
+    }
+    let inner = null;
+    try {
+      inner = active?.contentDocument?.activeElement;
+    } catch {}
+    if (!inner) break;
+    active = inner;
+  }
+  if (!active || active === document.body) return null;
+  const tag = active.tagName.toLowerCase();
+  const type = (active.getAttribute("type") || "").toLowerCase();
+  const role = active.getAttribute("role");
+  const form = active.form || active.closest("form");
+  const isButton = tag === "button" || tag === "a" || tag === "summary" || role === "button" || role === "link"
+    || (tag === "input" && ["submit", "button", "reset", "image"].includes(type));
+  const submitsForm = Boolean(form) && ((tag === "button" && type !== "button" && type !== "reset") || (tag === "input" && ["submit", "image"].includes(type)));
+  const submitButton = form?.querySelector('button[type="submit"], button:not([type]), input[type="submit"]');
+  return {
+    text: active.innerText || active.value || active.getAttribute("aria-label") || "",
+    activates: isButton,
+    submitsForm,
+    entersSubmit: Boolean(form) && tag === "input" && !isButton && !["checkbox", "radio", "file"].includes(type),
+    submitText: submitButton ? submitButton.innerText || submitButton.value || "" : "",
+  };
+}
+
+// What clicking `target` does: { text, submitsForm }, or null when the element can't be read
+export async function clickEffect(target, { timeout = 5000 } = {}) {
+  const focus = await target.evaluate(describeFocus, null, { timeout }).catch(() => null);
+  return focus && { text: focus.text, submitsForm: focus.submitsForm };
+}
+
+// What pressing `key` in `target` (or wherever the focus is) does: null for keys that only type or move,
+// otherwise { text, submitsForm } with the text of the button or link it activates, or of the form's submit button
+export async function keyPressEffect(page, target, key) {
+  if (!ACTIVATING_KEYS.includes(key.split("+").pop())) {
+    return null;
+  }
+  const focus = await (target ? target.evaluate(describeFocus) : page.evaluate(describeFocus, null)).catch(() => null);
+  if (!focus) {
+    return null;
+  }
+  if (focus.submitsForm || (/Enter$/.test(key) && focus.entersSubmit)) {
+    return { text: focus.submitsForm ? focus.text : focus.submitText, submitsForm: true };
+  }
+  return focus.activates ? { text: focus.text, submitsForm: false } : null;
+}
@@ -0,0 +1,228 @@
+import { run } from "@openai/agents";
+import { agent, rewritePrompt } from "./agent.js";
+import { getSession, findSession, closeSession, setNavigationGate, setDownloadListener, setNetworkListener, settleDownloads, saveSessionProfile } from "./sessionManager.js";
+import { isFailedRequest, describeRequest, buildHar } from "./networkLog.js";
+import { saveRunHar } from "./runStore.js";
+import { getProfile } from "./profileStore.js";
+import { verifyOutcomes } from "./assertions.js";
+import { publicBrowserSettings, describeBrowserSettings } from "./browserSettings.js";
+import { createNavigationApprover } from "./approvals.js";
+import { maskSecretsDeep } from "./secretVault.js";
+
+// Enough to see what went wrong without a flood from a page that keeps polling a broken endpoint
+const MAX_FAILED_REQUESTS = 50;
+
+// Tool hooks fire as each tool starts and ends, so progress is reported in real time.
+// The agent is shared, so events are routed through each run's own context.
+agent.on("agent_tool_start", (runContext, tool, { toolCall }) => {
+  const context = runContext.context;
+  // Tools read this to tag what they produce (e.g. screenshots) with the step that made it
+  context.currentCallId = toolCall.callId;
+
+  let args = toolCall.arguments;
+  try {
+    args = JSON.parse(toolCall.arguments);
+  } catch {}
+  context.emit?.({ type: "tool_call", callId: toolCall.callId, name: tool.name, arguments: args });
+});
+
+agent.on("agent_tool_end", (runContext, tool, output, { toolCall }) => {
+  runContext.context.emit?.({ type: "tool_result", callId: toolCall.callId, name: tool.name, output });
+});
+
+// Tells the agent about the field schema the caller asked for, so it ends with extract_data
+function extractDirective(extract) {
+  const fields = extract.fields
+    .map(field => `${field.name} (${field.type})${field.description ? ` - ${field.description}` : ""}`)
+    .join(", ");
+  return `\n\nWhen you reach the relevant page, call extract_data to return these fields for every item: ${fields}.${extract.maxPages > 1 ? ` Follow pagination for up to ${extract.maxPages} pages.` : ""}`;
+}
+
+// Tells the agent which files the user attached, so it can upload or read them by name
+function attachmentsDirective(attachments) {
+  return `\n\nThe user attached these files: ${attachments.map(name => `"${name}"`).join(", ")}. Use upload_file to put them into file inputs, or read_file to read them.`;
+}
+
+// Tells the agent it may already be logged in, so it checks before going through a login form
+function profileDirective(profile) {
+  const sites = profile.domains.length > 0 ? ` for ${profile.domains.join(", ")}` : "";
+  return `\n\nThe browser starts from the saved login profile "${profile.name}"${sites}, so you may already be logged in. Check before logging in again.`;
+}
+
+// Tells the agent what will be checked once it is done, so it can confirm it with the check tools first
+function outcomesDirective(outcomes) {
+  const list = outcomes.map((outcome, index) => {
+    const { name, ...check } = Object.fromEntries(Object.entries(outcome).filter(([, value]) => value !== null && value !== undefined));
+    return `${index + 1}. ${name ? `${name}: ` : ""}${JSON.stringify(check)}`;
+  });
+  return `\n\nWhen you finish, the page will be checked for these expected outcomes:\n${list.join("\n")}\nVerify them with the check tools (assert_url, assert_text_visible...) before giving your answer, and finish on the page they are about.`;
+}
+
+// Runs one automation end to end, reporting progress through onEvent as it happens
+// requestApproval is set when sensitive actions should wait for a person's decision
+// runId names the HAR file when recordHar is set
+// expectedOutcomes are checks (see assertions.js) judged on the page after the agent is done, giving the run a verdict
+// browser are the launch and emulation settings (see browserSettings.js) the session has to use
+export async function runAutomation({ runId, prompt, sessionId, maxTurns, extract, attachments = [], profile = null, saveProfile = null, recordHar = false, expectedOutcomes = [], browser = null, requestApproval, signal, onEvent = () => {} }) {
+  const screenshots = [];
+  const checks = [];
+  const visualChecks = [];
+  const downloads = [];
+  const data = [];
+  const violations = [];
+  const emit = (rawEvent) => {
+    // Everything a run reports (stream, run history) goes through here, so secrets are masked once
+    const event = maskSecretsDeep(rawEvent);
+    const timestamped = { ...event, timestamp: new Date().toISOString() };
+    if (event.type === "screenshot") {
+      screenshots.push({ filename: event.filename, url: event.url, callId: event.callId, timestamp: timestamped.timestamp });
+    }
+    if (event.type === "extraction") {
+      data.push(...event.records);
+    }
+    if (event.type === "download") {
+      downloads.push({ id: event.id, filename: event.filename, size: event.size, url: event.url, callId: event.callId, timestamp: timestamped.timestamp });
+    }
+    if (event.type === "check") {
+      const { type: _type, ...check } = event;
+      checks.push(check);
+    }
+    if (event.type === "visual_check") {
+      visualChecks.push({ id: event.id, checkpoint: event.checkpoint, status: event.status, diffRatio: event.diffRatio, screenshot: event.screenshot, diff: event.diff });
+    }
+    if (event.type === "policy_violation") {
+      violations.push({ tool: event.tool, rule: event.rule, message: event.message, callId: event.callId, timestamp: timestamped.timestamp });
+    }
+    onEvent(timestamped);
+  };
+
+  const rewritten = await rewritePrompt(prompt, { signal });
+  signal?.throwIfAborted();
+  console.log("✍️ Rewritten prompt:", rewritten);
+  emit({ type: "rewritten", prompt: rewritten });
+
+  // The browser context has to start with the profile's cookies and the requested settings,
+  // so it is opened before the agent runs
+  if (profile || browser) {
+    await getSession(sessionId, { profile: profile || undefined, browser: browser || undefined });
+  }
+  if (browser) {
+    emit({ type: "browser", ...publicBrowserSettings(browser), description: describeBrowserSettings(browser) });
+  }
+  let loadedProfile = null;
+  if (profile) {
+    const { name, domains } = getProfile(profile);
+    loadedProfile = { name, domains };
+    emit({ type: "profile", action: "loaded", ...loadedProfile });
+  }
+
+  // The page (for the verdict) or its storage state (for the login profile) is still needed once the agent is done,
+  // so close_browser only asks for the session to be closed then
+  const deferSessionClose = expectedOutcomes.length > 0 || Boolean(saveProfile);
+  const context = { runId, sessionId, emit, extract, requestApproval, currentCallId: null, formSubmissions: 0, deferSessionClose, sessionCloseRequested: false };
+  if (requestApproval) {
+    context.approveNavigation = createNavigationApprover(requestApproval, () => context.currentCallId);
+    // Also holds navigations the page starts itself, e.g. a link that leaves the site
+    setNavigationGate(sessionId, context.approveNavigation);
+  }
+
+  setDownloadListener(sessionId, file => emit({ type: "download", ...file, callId: context.currentCallId }));
+
+  const requests = [];
+  const failedRequests = [];
+  let har = null;
+  setNetworkListener(sessionId, entry => {
+    if (recordHar) requests.push(entry);
+    if (isFailedRequest(entry) && failedRequests.length < MAX_FAILED_REQUESTS) {
+      failedRequests.push(describeRequest(entry));
+    }
+  });
+  // Failed requests and the HAR explain failed runs best, so they are reported however the run ends
+  const reportNetwork = async () => {
+    if (failedRequests.length > 0) {
+      emit({ type: "network_failures", requests: failedRequests });
+    }
+    if (recordHar) {
+      try {
+        const url = await saveRunHar(runId, maskSecretsDeep(await buildHar(requests)));
+        har = { url, entries: requests.length };
+        emit({ type: "har", ...har });
+      } catch (error) {
+        console.error(`❌ Failed to save the HAR of run ${runId}:`, error.message);
+      }
+    }
+  };
+
+  // The verdict is judged on the page rather than taken from the agent's answer, and also given when the run failed
+  let verdict = null;
+  const judgeOutcomes = async () => {
+    if (expectedOutcomes.length === 0 || signal?.aborted) return;
+    try {
+      verdict = await verifyOutcomes(findSession(sessionId)?.page || null, expectedOutcomes);
+      emit({ type: "verdict", ...verdict });
+      console.log(`⚖️ Verdict: ${verdict.outcomes.filter(outcome => outcome.passed).length}/${verdict.outcomes.length} expected outcomes met`);
+    } catch (error) {
+      console.error(`❌ Failed to check the expected outcomes:`, error.message);
+    }
+  };
+
+  let input = rewritten;
+  if (loadedProfile) input += profileDirective(loadedProfile);
+  if (attachments.length > 0) input += attachmentsDirective(attachments);
+  if (extract) input += extractDirective(extract);
+  if (expectedOutcomes.length > 0) input += outcomesDirective(expectedOutcomes);
+
+  try {
+    let result;
+    try {
+      result = await run(agent, input, {
+        stream: true,
+        maxTurns,
+        signal,
+        context,
+      });
+
+      // Progress comes from the tool hooks above; the stream only has to be drained
+      for await (const _event of result) {}
+      // Aborting cancels the stream, which ends the loop above without settling `completed`
+      signal?.throwIfAborted();
+      await result.completed;
+      // A click near the end may have started a download that is still being saved
+      await settleDownloads(sessionId);
+    } finally {
+      setDownloadListener(sessionId, null);
+      setNetworkListener(sessionId, null);
+      await reportNetwork();
+      await judgeOutcomes();
+      if (requestApproval) {
+        setNavigationGate(sessionId, null);
+      }
+    }
+
+    if (!result.finalOutput) {
+      throw new Error("No result received from agent");
+    }
+
+    // A run that worked shouldn't fail because its login state couldn't be kept, so this only reports the problem
+    let savedProfile = null;
+    if (saveProfile) {
+      try {
+        savedProfile = await saveSessionProfile(sessionId, saveProfile);
+        emit({ type: "profile", action: "saved", name: savedProfile.name, domains: savedProfile.domains });
+      } catch (error) {
+        console.error(`❌ Failed to save login profile "${saveProfile}":`, error.message);
+        emit({ type: "profile", action: "save_failed", name: saveProfile, error: error.message });
+      }
+    }
+
+    emit({ type: "final", message: result.finalOutput });
+    return {
+      message: result.finalOutput, rewritten, screenshots, downloads, violations, failedRequests, checks, visualChecks,
+      ...(har && { har }), ...(verdict && { verdict }), ...(extract && { data }), ...(saveProfile && { profile: savedProfile }),
+    };
+  } finally {
+    if (context.sessionCloseRequested) {
+      await closeSession(sessionId);
+    }
+  }
+}
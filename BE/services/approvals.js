@@ -0,0 +1,132 @@
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { screenshotsDir, screenshotRef } from "./screenshotStore.js";
+import { PolicyViolationError } from "./safetyPolicy.js";
+
+// Sensitive actions pause the run until someone approves or rejects them, or the request times out
+const APPROVAL_TIMEOUT_MS = Number(process.env.APPROVAL_TIMEOUT_MS) || 2 * 60 * 1000;
+export const APPROVALS_ENABLED = process.env.APPROVALS_ENABLED !== "false";
+
+// Clicks whose text matches this need approval (submit_form and new domains always do)
+export const APPROVAL_CLICK_PATTERN = new RegExp(
+  process.env.APPROVAL_CLICK_PATTERN || "\\b(check ?out|pay|payment|purchase|buy now|place order|delete|remove account)\\b",
+  "i"
+);
+
+export class ApprovalRejectedError extends PolicyViolationError {
+  constructor(message) {
+    super("approval", message);
+    this.name = "ApprovalRejectedError";
+  }
+}
+
+async function captureApprovalScreenshot(page, approvalId) {
+  if (!page || page.isClosed()) return null;
+  const filename = `approval_${approvalId}.png`;
+  try {
+    await page.screenshot({ path: path.join(screenshotsDir, filename), timeout: 10000 });
+    return screenshotRef(filename);
+  } catch (error) {
+    console.error("⚠️ Could not capture approval screenshot:", error.message);
+    return null;
+  }
+}
+
+function siteOf(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === "http:" || protocol === "https:" ? hostname.replace(/^www\./, "") : null;
+  } catch {
+    return null;
+  }
+}
+
+// Navigating to a domain the run hasn't been on needs approval. The run's first site doesn't,
+// since that is normally the one the user asked for.
+export function createNavigationApprover(requestApproval, getCallId) {
+  const visited = new Set();
+  return async (url, page, tool = "navigation") => {
+    const site = siteOf(url);
+    if (!site) return true;
+    if (visited.size === 0 && page) {
+      const current = siteOf(page.url());
+      if (current) visited.add(current);
+    }
+    if (visited.size === 0 || visited.has(site)) {
+      visited.add(site);
+      return true;
+    }
+
+    const decision = await requestApproval({ tool, description: `Navigate to new domain ${site} (${url})`, page, callId: getCallId() });
+    if (decision.approved) {
+      visited.add(site);
+    }
+    return decision.approved;
+  };
+}
+
+// For runs nobody can answer approvals for, like the blocking /api/ask: sensitive actions are refused rather than let through
+export async function refuseApproval({ description }) {
+  throw new ApprovalRejectedError(`${description} needs a person's approval, and nobody can give it during this request`);
+}
+
+// One gate per task: request() publishes an approval_request and resolves with the decision,
+// answer() delivers a decision from the API. Cancelling the task rejects whatever is pending.
+export function createApprovalGate({ publish, signal }) {
+  const pending = new Map();
+
+  const settle = (approvalId, decision) => {
+    const entry = pending.get(approvalId);
+    if (!entry) return false;
+    pending.delete(approvalId);
+    clearTimeout(entry.timer);
+    publish({ type: "approval_result", approvalId, ...decision, timestamp: new Date().toISOString() });
+    entry.resolve(decision);
+    return true;
+  };
+
+  signal?.addEventListener("abort", () => {
+    for (const approvalId of [...pending.keys()]) {
+      settle(approvalId, { approved: false, reason: "Task was stopped", timedOut: false });
+    }
+  });
+
+  return {
+    async request({ tool, description, page, callId = null }) {
+      const approvalId = uuidv4();
+      const screenshot = await captureApprovalScreenshot(page, approvalId);
+      const decision = new Promise((resolve) => {
+        const timer = setTimeout(
+          () => settle(approvalId, { approved: false, reason: `No answer within ${Math.round(APPROVAL_TIMEOUT_MS / 1000)}s`, timedOut: true }),
+          APPROVAL_TIMEOUT_MS
+        );
+        pending.set(approvalId, { tool, description, resolve, timer });
+      });
+
+      console.log(`⏸️ Waiting for approval: ${description}`);
+      publish({
+        type: "approval_request",
+        approvalId,
+        callId,
+        tool,
+        description,
+        url: page && !page.isClosed() ? page.url() : null,
+        screenshot,
+        expiresAt: new Date(Date.now() + APPROVAL_TIMEOUT_MS).toISOString(),
+        timestamp: new Date().toISOString(),
+      });
+      if (signal?.aborted) {
+        settle(approvalId, { approved: false, reason: "Task was stopped", timedOut: false });
+      }
+      return decision;
+    },
+
+    answer(approvalId, { approved, reason }) {
+      return settle(approvalId, { approved: Boolean(approved), reason: reason || null, timedOut: false });
+    },
+
+    pending() {
+      return [...pending.entries()].map(([approvalId, { tool, description }]) => ({ approvalId, tool, description }));
+    },
+  };
+}
@@ -0,0 +1,279 @@
+import path from "path";
+import { z } from 'zod';
+import { resolveLocator, locatorToCode } from "./locators.js";
+import { findFrame, inFrame } from "./frames.js";
+import { urlPatternMatcher, urlPatternRegExp } from "./networkLog.js";
+import { screenshotsDir, screenshotRef } from "./screenshotStore.js";
+
+// Checks a run can pass or fail on, recorded as plain objects like wait conditions:
+//   { type: "url_matches", url }       a substring, a glob with * or a /regex/
+//   { type: "title_contains", text }
+//   { type: "text_visible", locator }
+//   { type: "element_count", locator, count | min | max }
+//   { type: "input_value", locator, value }
+// Like Playwright's expect, a check is retried until it passes or its timeoutMs runs out.
+export const ASSERTION_TYPES = ["url_matches", "title_contains", "text_visible", "element_count", "input_value"];
+export const ASSERTION_TIMEOUT_MS = Number(process.env.ASSERTION_TIMEOUT_MS) || 5000;
+export const MAX_EXPECTED_OUTCOMES = 20;
+const MAX_ASSERTION_TIMEOUT_MS = 60000;
+const POLL_INTERVAL_MS = 250;
+const MAX_EVIDENCE_TEXT = 300;
+const SAMPLE_ELEMENTS = 3;
+
+const quote = (value) => JSON.stringify(String(value));
+
+export class AssertionInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AssertionInputError";
+    this.status = 400;
+  }
+}
+
+// A check as callers write it, e.g. in the expectedOutcomes of /api/ask. `name` is how the verdict refers to it.
+export const assertionInputSchema = z.object({
+  type: z.enum(ASSERTION_TYPES),
+  name: z.string().optional().nullable(),
+  url: z.string().optional().nullable(),
+  text: z.string().optional().nullable(),
+  exact: z.boolean().optional().nullable(),
+  selector: z.string().optional().nullable(),
+  label: z.string().optional().nullable(),
+  frame: z.string().optional().nullable(),
+  value: z.string().optional().nullable(),
+  count: z.number().int().min(0).optional().nullable(),
+  min: z.number().int().min(0).optional().nullable(),
+  max: z.number().int().min(0).optional().nullable(),
+  timeoutMs: z.number().optional().nullable(),
+});
+
+export const expectedOutcomesSchema = z.array(assertionInputSchema).min(1).max(MAX_EXPECTED_OUTCOMES);
+
+// What a check of this type can't do without; `locator` is set by tools that resolved a page_snapshot ref
+export function missingAssertionInput(input) {
+  const target = input.locator || input.selector || input.label;
+  switch (input.type) {
+    case "url_matches":
+      return input.url ? null : "url_matches needs the url to match";
+    case "title_contains":
+    case "text_visible":
+      return input.text ? null : `${input.type} needs the text to look for`;
+    case "element_count":
+      if (!target && !input.text) return "element_count needs a selector, text or label";
+      return [input.count, input.min, input.max].some(Number.isInteger) ? null : "element_count needs a count, min or max";
+    case "input_value":
+      if (!target) return "input_value needs the selector or label of the field";
+      return typeof input.value === "string" ? null : "input_value needs the value to expect";
+    default:
+      return `Unknown check: ${input.type}`;
+  }
+}
+
+// Turns a check as callers write it into a recordable assertion, looking up `frame` (an id like f1,
+// a frame name or part of its URL) on the page
+export async function toAssertion(page, input) {
+  const missing = missingAssertionInput(input);
+  if (missing) {
+    throw new AssertionInputError(missing);
+  }
+  const timeout = input.timeoutMs ? { timeoutMs: Math.min(Math.max(input.timeoutMs, 0), MAX_ASSERTION_TIMEOUT_MS) } : {};
+  const { type } = input;
+  switch (type) {
+    case "url_matches":
+      return { type, url: input.url, ...timeout };
+    case "title_contains":
+      return { type, text: input.text, ...timeout };
+    default: {
+      const entry = input.frame ? await findFrame(page, input.frame) : null;
+      const exact = Boolean(input.exact);
+      const textLocator = () => inFrame({ strategy: "text", text: input.text, exact }, entry);
+      if (type === "text_visible") {
+        return { type, locator: textLocator(), ...timeout };
+      }
+      const locator = input.locator
+        || (input.selector && inFrame({ strategy: "css", selector: input.selector }, entry))
+        || (input.label && inFrame({ strategy: "label", label: input.label, exact }, entry))
+        || textLocator();
+      if (type === "element_count") {
+        const bounds = Object.fromEntries(["count", "min", "max"].filter(key => Number.isInteger(input[key])).map(key => [key, input[key]]));
+        return { type, locator, ...bounds, ...timeout };
+      }
+      return { type, locator, value: input.value, ...timeout };
+    }
+  }
+}
+
+function describeTarget(locator) {
+  const target = locator.selector || locator.label || locator.text || locator.name || locator.namePattern;
+  return `"${target}"${locator.frame?.length ? " in its frame" : ""}`;
+}
+
+function describeCount({ count, min, max }) {
+  if (Number.isInteger(count)) return `is ${count}`;
+  if (Number.isInteger(min) && Number.isInteger(max)) return `is between ${min} and ${max}`;
+  return Number.isInteger(min) ? `is at least ${min}` : `is at most ${max}`;
+}
+
+export function describeAssertion(assertion) {
+  switch (assertion.type) {
+    case "url_matches":
+      return `URL matches "${assertion.url}"`;
+    case "title_contains":
+      return `title contains "${assertion.text}"`;
+    case "text_visible":
+      return `text ${describeTarget(assertion.locator)} is visible`;
+    case "element_count":
+      return `number of ${describeTarget(assertion.locator)} elements ${describeCount(assertion)}`;
+    case "input_value":
+      return `value of ${describeTarget(assertion.locator)} is "${assertion.value}"`;
+    default:
+      return assertion.type;
+  }
+}
+
+function countMatches({ count, min, max }, actual) {
+  if (Number.isInteger(count)) return actual === count;
+  return (!Number.isInteger(min) || actual >= min) && (!Number.isInteger(max) || actual <= max);
+}
+
+function truncate(text) {
+  if (typeof text !== "string") return text ?? null;
+  const clean = text.replace(/\s+/g, " ").trim();
+  return clean.length > MAX_EVIDENCE_TEXT ? `${clean.slice(0, MAX_EVIDENCE_TEXT)}…` : clean;
+}
+
+const textOf = (element) => element.evaluate(el => el.innerText || el.value || el.getAttribute('aria-label') || "", null, { timeout: 1000 }).catch(() => "");
+
+// One look at the page: { passed, actual, matchedText }
+async function measure(page, assertion) {
+  switch (assertion.type) {
+    case "url_matches": {
+      const url = page.url();
+      return { passed: urlPatternMatcher(assertion.url)(url), actual: url, matchedText: url };
+    }
+    case "title_contains": {
+      const title = await page.title();
+      return { passed: title.includes(assertion.text), actual: title, matchedText: title };
+    }
+    case "text_visible": {
+      const matches = resolveLocator(page, assertion.locator);
+      const visible = matches.filter({ visible: true });
+      if (await visible.count() === 0) {
+        const hidden = await matches.count();
+        return { passed: false, actual: hidden > 0 ? `${hidden} hidden matches` : "not on the page", matchedText: null };
+      }
+      return { passed: true, actual: "visible", matchedText: await textOf(visible.first()) };
+    }
+    case "element_count": {
+      const elements = resolveLocator(page, assertion.locator);
+      const count = await elements.count();
+      const samples = await Promise.all([...Array(Math.min(count, SAMPLE_ELEMENTS)).keys()].map(index => textOf(elements.nth(index))));
+      return { passed: countMatches(assertion, count), actual: count, matchedText: samples.filter(Boolean).join(" | ") || null };
+    }
+    case "input_value": {
+      const field = resolveLocator(page, assertion.locator).first();
+      if (await field.count() === 0) {
+        return { passed: false, actual: "no such field", matchedText: null };
+      }
+      const value = await field.inputValue({ timeout: 1000 });
+      return { passed: value === assertion.value, actual: value, matchedText: value };
+    }
+    default:
+      throw new Error(`Unknown check: ${assertion.type}`);
+  }
+}
+
+// Looks until the check passes or its time runs out, so a page that is still updating gets the chance to
+export async function evaluateAssertion(page, assertion) {
+  const deadline = Date.now() + (Number(assertion.timeoutMs) || ASSERTION_TIMEOUT_MS);
+  let outcome = await measure(page, assertion);
+  while (!outcome.passed && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    outcome = await measure(page, assertion);
+  }
+  return outcome;
+}
+
+async function captureEvidence(page, passed) {
+  const filename = `check-${passed ? "passed" : "failed"}_${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+  try {
+    await page.screenshot({ path: path.join(screenshotsDir, filename), fullPage: true });
+    return screenshotRef(filename);
+  } catch (error) {
+    console.log(`⚠️ Could not capture evidence for a check:`, error.message);
+    return null;
+  }
+}
+
+// Runs the check and returns a machine-readable result with its evidence:
+// { name, type, expected, passed, actual, matchedText, screenshot, checkedAt }
+export async function verifyAssertion(page, assertion, { name } = {}) {
+  const outcome = await evaluateAssertion(page, assertion);
+  return {
+    name: name || describeAssertion(assertion),
+    type: assertion.type,
+    expected: describeAssertion(assertion),
+    passed: outcome.passed,
+    actual: outcome.actual,
+    matchedText: truncate(outcome.matchedText),
+    screenshot: await captureEvidence(page, outcome.passed),
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// Checks every expected outcome against the page as the run left it (null if it never opened one):
+// { passed, outcomes }. An outcome that can't be checked (e.g. its frame is gone) fails with the reason as `error`.
+export async function verifyOutcomes(page, outcomes) {
+  const results = [];
+  for (const input of outcomes) {
+    try {
+      if (!page) {
+        throw new Error("The run never opened a browser page to check");
+      }
+      results.push(await verifyAssertion(page, await toAssertion(page, input), { name: input.name }));
+    } catch (error) {
+      results.push({
+        name: input.name || input.type,
+        type: input.type,
+        expected: null,
+        passed: false,
+        actual: null,
+        matchedText: null,
+        screenshot: null,
+        error: error.message,
+        checkedAt: new Date().toISOString(),
+      });
+    }
+  }
+  return { passed: results.every(result => result.passed), outcomes: results };
+}
+
+function literalRegExp(text) {
+  return new RegExp(text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"));
+}
+
+// The @playwright/test expect statement for a recorded assertion
+export function assertionToCode(assertion) {
+  switch (assertion.type) {
+    case "url_matches":
+      return `await expect(page).toHaveURL(${urlPatternRegExp(assertion.url)});`;
+    case "title_contains":
+      return `await expect(page).toHaveTitle(${literalRegExp(assertion.text)});`;
+    case "text_visible":
+      return `await expect(${locatorToCode(assertion.locator)}.filter({ visible: true }).first()).toBeVisible();`;
+    case "element_count": {
+      const elements = locatorToCode(assertion.locator);
+      if (Number.isInteger(assertion.count)) {
+        return `await expect(${elements}).toHaveCount(${assertion.count});`;
+      }
+      return [
+        Number.isInteger(assertion.min) && `expect(await ${elements}.count()).toBeGreaterThanOrEqual(${assertion.min});`,
+        Number.isInteger(assertion.max) && `expect(await ${elements}.count()).toBeLessThanOrEqual(${assertion.max});`,
+      ].filter(Boolean).join("\n  ");
+    }
+    case "input_value":
+      return `await expect(${locatorToCode(assertion.locator)}.first()).toHaveValue(${quote(assertion.value)});`;
+    default:
+      return `// Unsupported check skipped: ${JSON.stringify(assertion)}`;
+  }
+}
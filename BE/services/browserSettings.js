@@ -0,0 +1,229 @@
+import { devices } from "playwright";
+import { z } from 'zod';
+
+// How a task's browser is launched and what it emulates, as callers write it in the `browser` field of /api/ask:
+//   { engine: "webkit", device: "iPhone 13", locale: "de-DE", timezone: "Europe/Berlin",
+//     geolocation: { latitude: 52.52, longitude: 13.4 }, colorScheme: "dark", proxy: { server: "http://proxy:3128" } }
+// Anything left out comes from the server defaults below. A device preset brings its own viewport, user agent
+// and touch support; an explicit viewport still wins over the preset's.
+export const BROWSER_ENGINES = ["chromium", "firefox", "webkit"];
+export const COLOR_SCHEMES = ["light", "dark", "no-preference"];
+export const DEVICE_PRESETS = Object.keys(devices).filter(name => !name.endsWith(" landscape"));
+const MIN_VIEWPORT = { width: 240, height: 240 };
+const MAX_VIEWPORT = parseViewport(process.env.BROWSER_MAX_VIEWPORT) || { width: 3840, height: 2160 };
+const PROXY_PROTOCOLS = ["http:", "https:", "socks5:"];
+
+// A headed browser needs a screen; Linux servers without one get a headless browser unless BROWSER_HEADLESS says otherwise
+export const HAS_DISPLAY = process.platform !== "linux" || Boolean(process.env.DISPLAY || process.env.WAYLAND_DISPLAY);
+// Only engines listed in BROWSER_ENGINES (e.g. "chromium,webkit") may be asked for
+const ALLOWED_ENGINES = process.env.BROWSER_ENGINES
+  ? process.env.BROWSER_ENGINES.split(",").map(item => item.trim()).filter(engine => BROWSER_ENGINES.includes(engine))
+  : BROWSER_ENGINES;
+// Tasks may only route their traffic through a proxy of their own with BROWSER_ALLOW_PROXY=true;
+// BROWSER_PROXY sets one for every task
+const ALLOW_CUSTOM_PROXY = process.env.BROWSER_ALLOW_PROXY === "true";
+
+export class BrowserSettingsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BrowserSettingsError";
+    this.status = 400;
+  }
+}
+
+// "1280x720" -> { width: 1280, height: 720 }
+function parseViewport(value) {
+  const match = /^(\d+)x(\d+)$/.exec(value || "");
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+export const browserSettingsSchema = z.object({
+  engine: z.enum(BROWSER_ENGINES).optional().nullable(),
+  headless: z.boolean().optional().nullable(),
+  device: z.string().optional().nullable(),
+  viewport: z.object({
+    width: z.number().int(),
+    height: z.number().int(),
+  }).optional().nullable(),
+  locale: z.string().optional().nullable(),
+  timezone: z.string().optional().nullable(),
+  geolocation: z.object({
+    latitude: z.number().min(-90).max(90),
+    longitude: z.number().min(-180).max(180),
+    accuracy: z.number().min(0).optional().nullable(),
+  }).optional().nullable(),
+  colorScheme: z.enum(COLOR_SCHEMES).optional().nullable(),
+  proxy: z.object({
+    server: z.string(),
+    bypass: z.string().optional().nullable(),
+    username: z.string().optional().nullable(),
+    password: z.string().optional().nullable(),
+  }).optional().nullable(),
+}).strict();
+
+function validateViewport(viewport) {
+  const fits = ["width", "height"].every(side => viewport[side] >= MIN_VIEWPORT[side] && viewport[side] <= MAX_VIEWPORT[side]);
+  if (!fits) {
+    throw new BrowserSettingsError(`viewport must be between ${MIN_VIEWPORT.width}x${MIN_VIEWPORT.height} and ${MAX_VIEWPORT.width}x${MAX_VIEWPORT.height}`);
+  }
+  return { width: viewport.width, height: viewport.height };
+}
+
+function validateLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch {
+    throw new BrowserSettingsError(`Unknown locale "${locale}", use a language tag like "en-US"`);
+  }
+}
+
+function validateTimezone(timezone) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch {
+    throw new BrowserSettingsError(`Unknown timezone "${timezone}", use an IANA name like "Europe/Berlin"`);
+  }
+}
+
+function validateProxy(proxy) {
+  let url;
+  try {
+    url = new URL(proxy.server.includes("://") ? proxy.server : `http://${proxy.server}`);
+  } catch {
+    throw new BrowserSettingsError(`Invalid proxy server "${proxy.server}"`);
+  }
+  if (!PROXY_PROTOCOLS.includes(url.protocol)) {
+    throw new BrowserSettingsError(`Proxy servers must use ${PROXY_PROTOCOLS.map(protocol => protocol.slice(0, -1)).join(", ")}`);
+  }
+  return {
+    server: proxy.server,
+    ...(proxy.bypass && { bypass: proxy.bypass }),
+    ...(proxy.username && { username: proxy.username, password: proxy.password || "" }),
+  };
+}
+
+// The settings every task starts from, from the environment:
+// BROWSER_ENGINE, BROWSER_HEADLESS, BROWSER_VIEWPORT ("1280x720"), BROWSER_LOCALE, BROWSER_TIMEZONE, BROWSER_PROXY
+function loadDefaults() {
+  const engine = process.env.BROWSER_ENGINE || "chromium";
+  if (!ALLOWED_ENGINES.includes(engine)) {
+    throw new Error(`BROWSER_ENGINE must be one of ${ALLOWED_ENGINES.join(", ")}`);
+  }
+  const viewport = process.env.BROWSER_VIEWPORT ? parseViewport(process.env.BROWSER_VIEWPORT) : { width: 1280, height: 720 };
+  if (!viewport) {
+    throw new Error(`BROWSER_VIEWPORT must look like 1280x720`);
+  }
+  return Object.freeze({
+    engine,
+    headless: process.env.BROWSER_HEADLESS ? process.env.BROWSER_HEADLESS === "true" : !HAS_DISPLAY,
+    device: null,
+    viewport,
+    locale: process.env.BROWSER_LOCALE ? validateLocale(process.env.BROWSER_LOCALE) : null,
+    timezone: process.env.BROWSER_TIMEZONE ? validateTimezone(process.env.BROWSER_TIMEZONE) : null,
+    geolocation: null,
+    colorScheme: null,
+    proxy: process.env.BROWSER_PROXY ? validateProxy({ server: process.env.BROWSER_PROXY }) : null,
+  });
+}
+
+export const defaultBrowserSettings = loadDefaults();
+console.log(`🧭 Default browser: ${describeBrowserSettings(defaultBrowserSettings)}`);
+
+// What callers may ask for, e.g. for a settings form
+export function browserSettingsLimits() {
+  return {
+    engines: ALLOWED_ENGINES,
+    devices: DEVICE_PRESETS,
+    colorSchemes: COLOR_SCHEMES,
+    minViewport: MIN_VIEWPORT,
+    maxViewport: MAX_VIEWPORT,
+    headed: HAS_DISPLAY,
+    proxy: ALLOW_CUSTOM_PROXY,
+  };
+}
+
+// Checks a task's settings against the server limits and fills in the defaults; throws BrowserSettingsError
+export function resolveBrowserSettings(input) {
+  const settings = { ...defaultBrowserSettings };
+  if (input.engine) {
+    if (!ALLOWED_ENGINES.includes(input.engine)) {
+      throw new BrowserSettingsError(`The ${input.engine} engine is not enabled on this server (available: ${ALLOWED_ENGINES.join(", ")})`);
+    }
+    settings.engine = input.engine;
+  }
+  if (typeof input.headless === "boolean") {
+    if (!input.headless && !HAS_DISPLAY) {
+      throw new BrowserSettingsError("This server has no display, so the browser can only run headless");
+    }
+    settings.headless = input.headless;
+  }
+  if (input.device) {
+    if (!devices[input.device]) {
+      throw new BrowserSettingsError(`Unknown device "${input.device}", use a Playwright preset like "iPhone 13" or "Pixel 7"`);
+    }
+    if (devices[input.device].isMobile && settings.engine === "firefox") {
+      throw new BrowserSettingsError(`Firefox can't emulate the mobile device "${input.device}", use chromium or webkit`);
+    }
+    settings.device = input.device;
+    settings.viewport = null;
+  }
+  if (input.viewport) settings.viewport = validateViewport(input.viewport);
+  if (input.locale) settings.locale = validateLocale(input.locale);
+  if (input.timezone) settings.timezone = validateTimezone(input.timezone);
+  if (input.geolocation) {
+    const { latitude, longitude, accuracy } = input.geolocation;
+    settings.geolocation = { latitude, longitude, ...(typeof accuracy === "number" && { accuracy }) };
+  }
+  if (input.colorScheme) settings.colorScheme = input.colorScheme;
+  if (input.proxy) {
+    if (!ALLOW_CUSTOM_PROXY) {
+      throw new BrowserSettingsError("Custom proxies are disabled on this server");
+    }
+    settings.proxy = validateProxy(input.proxy);
+  }
+  return Object.freeze(settings);
+}
+
+// Settings that launch the same browser share it; everything else is per context
+export function launchKey(settings) {
+  return `${settings.engine}:${settings.headless ? "headless" : "headed"}`;
+}
+
+// Two sessions with the same key behave the same, so a task with matching settings can reuse a session
+export function settingsKey(settings) {
+  return JSON.stringify(settings);
+}
+
+// Options for browser.newContext()
+export function contextOptions(settings) {
+  return {
+    ...(settings.device && devices[settings.device]),
+    ...(settings.viewport && { viewport: settings.viewport }),
+    ...(settings.locale && { locale: settings.locale }),
+    ...(settings.timezone && { timezoneId: settings.timezone }),
+    ...(settings.geolocation && { geolocation: settings.geolocation, permissions: ["geolocation"] }),
+    ...(settings.colorScheme && { colorScheme: settings.colorScheme }),
+    ...(settings.proxy && { proxy: settings.proxy }),
+  };
+}
+
+// The settings as runs, sessions and logs show them, without proxy credentials
+export function publicBrowserSettings(settings) {
+  const { proxy, ...rest } = settings;
+  return { ...rest, proxy: proxy ? { server: proxy.server, ...(proxy.bypass && { bypass: proxy.bypass }) } : null };
+}
+
+// One line for logs, e.g. `webkit headless, iPhone 13, de-DE, Europe/Berlin`
+export function describeBrowserSettings(settings) {
+  const viewport = settings.viewport && `${settings.viewport.width}x${settings.viewport.height}`;
+  return [
+    `${settings.engine} ${settings.headless ? "headless" : "headed"}`,
+    settings.device,
+    viewport,
+    settings.locale,
+    settings.timezone,
+    settings.geolocation && `at ${settings.geolocation.latitude},${settings.geolocation.longitude}`,
+    settings.colorScheme && `${settings.colorScheme} mode`,
+    settings.proxy && `via ${settings.proxy.server}`,
+  ].filter(Boolean).join(", ");
+}
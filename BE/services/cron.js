@@ -0,0 +1,131 @@
+// Standard 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated in server local time.
+// Supports *, lists, ranges, steps, month/day names and the @hourly / @daily / @weekly / @monthly / @yearly shortcuts.
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+const SHORTCUTS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// Nothing should be more than a few years out; stops impossible dates like 30 Feb from looping forever
+const MAX_SEARCH_YEARS = 5;
+
+export class CronParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CronParseError";
+  }
+}
+
+function parseValue(token, field) {
+  const index = field.names?.indexOf(token.toLowerCase()) ?? -1;
+  if (index !== -1) {
+    return index + (field.name === "month" ? 1 : 0);
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new CronParseError(`Invalid ${field.name} value "${token}"`);
+  }
+  const value = Number(token);
+  if (value < field.min || value > field.max) {
+    throw new CronParseError(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronParseError(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== "*") {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field);
+      // "5/15" means every 15 starting at 5
+      end = to !== undefined ? parseValue(to, field) : stepText !== undefined ? field.max : start;
+      if (start > end) {
+        throw new CronParseError(`Invalid range "${range}" in ${field.name}`);
+      }
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+export function parseCron(expression) {
+  const source = String(expression || "").trim();
+  const parts = (SHORTCUTS[source.toLowerCase()] || source).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronParseError(`Cron expression must have ${FIELDS.length} fields (minute hour day month weekday), got "${source}"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // 7 is Sunday too
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like classic cron, when both day fields are restricted a day matching either one counts
+    daysRestricted: parts[2] !== "*",
+    weekdaysRestricted: parts[4] !== "*",
+  };
+}
+
+function dayMatches(cron, date) {
+  const dayOk = cron.days.has(date.getDate());
+  const weekdayOk = cron.weekdays.has(date.getDay());
+  if (cron.daysRestricted && cron.weekdaysRestricted) {
+    return dayOk || weekdayOk;
+  }
+  return dayOk && weekdayOk;
+}
+
+// The first matching minute strictly after `after`, or null if there is none within a few years
+export function nextRunTime(cron, after = new Date()) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
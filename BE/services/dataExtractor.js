@@ -0,0 +1,114 @@
+import { z } from 'zod';
+import { complete } from "./llmProvider.js";
+
+const MAX_CONTENT_CHARS = Number(process.env.EXTRACT_MAX_CONTENT_CHARS) || 60000;
+export const MAX_EXTRACT_PAGES = 10;
+
+export const FIELD_TYPES = ["string", "number", "boolean", "url", "date"];
+
+export const extractFieldSchema = z.object({
+  name: z.string().min(1),
+  type: z.enum(FIELD_TYPES),
+  description: z.string().optional().nullable(),
+});
+
+// Shape of the `extract` option accepted by /api/ask and /api/tasks
+export const extractRequestSchema = z.object({
+  fields: z.array(extractFieldSchema).min(1),
+  instructions: z.string().optional().nullable(),
+  maxPages: z.number().int().min(1).max(MAX_EXTRACT_PAGES).optional().nullable(),
+});
+
+// Renders the page as compact text that keeps links, images and table rows, which innerText alone loses
+export async function readPageContent(page, rootSelector) {
+  const content = await page.evaluate((selector) => {
+    const root = selector ? document.querySelector(selector) : document.body;
+    if (!root) return "";
+    const SKIP = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "SVG", "TEMPLATE", "IFRAME"]);
+    const BLOCK = new Set(["P", "DIV", "LI", "SECTION", "ARTICLE", "HEADER", "FOOTER", "H1", "H2", "H3", "H4", "H5", "H6", "UL", "OL", "TABLE", "FORM", "MAIN", "ASIDE", "NAV"]);
+    const out = [];
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.replace(/\s+/g, " ");
+        if (text.trim()) out.push(text);
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || SKIP.has(node.tagName)) return;
+      const style = window.getComputedStyle(node);
+      if (style.display === "none" || style.visibility === "hidden") return;
+
+      if (node.tagName === "A" && node.href) {
+        out.push(` [${node.innerText.replace(/\s+/g, " ").trim()}](${node.href}) `);
+        return;
+      }
+      if (node.tagName === "IMG") {
+        out.push(` ![${node.alt || ""}](${node.currentSrc || node.src}) `);
+        return;
+      }
+      if (node.tagName === "TR") {
+        const cells = [...node.children].map(cell => cell.innerText.replace(/\s+/g, " ").trim());
+        out.push(`\n| ${cells.join(" | ")} |`);
+        return;
+      }
+      if (BLOCK.has(node.tagName)) out.push("\n");
+      node.childNodes.forEach(walk);
+      if (BLOCK.has(node.tagName)) out.push("\n");
+    };
+
+    walk(root);
+    return out.join("").replace(/[ \t]+/g, " ").replace(/\n\s*\n+/g, "\n");
+  }, rootSelector || null);
+
+  return content.length > MAX_CONTENT_CHARS ? `${content.slice(0, MAX_CONTENT_CHARS)}\n[content truncated]` : content;
+}
+
+function coerceValue(value, type) {
+  if (value === null || value === undefined || value === "") return null;
+  switch (type) {
+    case "number": {
+      if (typeof value === "number") return value;
+      const parsed = Number.parseFloat(String(value).replace(/[^0-9.-]/g, ""));
+      return Number.isFinite(parsed) ? parsed : null;
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      return ["true", "yes", "1", "y"].includes(String(value).trim().toLowerCase());
+    default:
+      return String(value).trim();
+  }
+}
+
+function parseJsonArray(text) {
+  const cleaned = text.replace(/^```(?:json)?\s*/i, "").replace(/```\s*$/, "").trim();
+  const parsed = JSON.parse(cleaned);
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.records)) return parsed.records;
+  throw new Error("Model did not return an array of records");
+}
+
+// Asks the model to pull records matching the field schema out of the page content
+export async function extractRecords({ content, fields, instructions }) {
+  const schema = fields
+    .map(field => `- ${field.name} (${field.type})${field.description ? `: ${field.description}` : ""}`)
+    .join("\n");
+
+  const reply = await complete("extractor", [
+    {
+      role: "system",
+      content: `You extract structured data from web page content. Return ONLY a JSON array of objects, with no prose and no code fences.
+Each object must have exactly these keys:
+${schema}
+Use null when a value is missing. Include one object per repeated item (list entry, table row, product card). Never invent data that is not in the content.`
+    },
+    {
+      role: "user",
+      content: `${instructions ? `What to extract: ${instructions}\n\n` : ""}Page content:\n${content}`
+    }
+  ]);
+
+  const records = parseJsonArray(reply);
+  return records.map(record => Object.fromEntries(
+    fields.map(field => [field.name, coerceValue(record?.[field.name], field.type)])
+  ));
+}
@@ -0,0 +1,100 @@
+import fs from "fs";
+import { v4 as uuidv4 } from "uuid";
+
+// Offline stand-in for the LLM that replays canned tool calls from a script (FAKE_MODEL_SCRIPT or setFakeScript).
+// {
+//   "scenarios": [{
+//     "match": "log ?in",                    // regex tested against the user's text; no match = catch-all
+//     "rewrite": "Open the site and log in",  // optional, the rewriter returns the prompt unchanged otherwise
+//     "turns": [
+//       { "tool": "visit_url", "arguments": { "url": "http://localhost:4000" } },
+//       { "message": "Logged in" }
+//     ],
+//     "extract": [{ "name": "Widget", "price": 9.99 }]  // optional, what extract_data returns
+//   }]
+// }
+let scriptOverride = null;
+
+export function setFakeScript(script) {
+  scriptOverride = script;
+}
+
+function loadScript() {
+  if (scriptOverride) {
+    return scriptOverride;
+  }
+  const file = process.env.FAKE_MODEL_SCRIPT;
+  if (!file) {
+    throw new Error("The fake model needs a script, set FAKE_MODEL_SCRIPT");
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function findScenario(text) {
+  const scenarios = loadScript().scenarios || [];
+  return scenarios.find(scenario => !scenario.match || new RegExp(scenario.match, "i").test(text)) || null;
+}
+
+function messageText(content) {
+  if (typeof content === "string") return content;
+  return (content || []).map(part => part.text || "").join("");
+}
+
+// The original user message is the first input item; later ones are the run's own calls and results
+function promptOf(input) {
+  if (typeof input === "string") return input;
+  const userMessage = input.find(item => item.role === "user");
+  return userMessage ? messageText(userMessage.content) : "";
+}
+
+const EMPTY_USAGE = { requests: 1, inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+function assistantMessage(text) {
+  return { type: "message", role: "assistant", status: "completed", content: [{ type: "output_text", text }] };
+}
+
+// Implements the Agents SDK Model interface
+export class FakeModel {
+  async getResponse(request) {
+    const prompt = promptOf(request.input);
+    const scenario = findScenario(prompt);
+    if (!scenario) {
+      throw new Error(`No fake model scenario matches the prompt "${prompt.slice(0, 80)}"`);
+    }
+
+    // Every tool turn makes exactly one call, so the calls made so far say which turn is next
+    const callsSoFar = typeof request.input === "string"
+      ? 0
+      : request.input.filter(item => item.type === "function_call").length;
+    const turn = scenario.turns?.[callsSoFar] || { message: "Fake model script finished" };
+
+    const output = turn.tool
+      ? [{
+          type: "function_call",
+          callId: `fake_call_${uuidv4()}`,
+          name: turn.tool,
+          arguments: JSON.stringify(turn.arguments || {}),
+          status: "completed",
+        }]
+      : [assistantMessage(turn.message)];
+    return { usage: EMPTY_USAGE, output, responseId: `fake_${uuidv4()}` };
+  }
+
+  async *getStreamedResponse(request) {
+    const response = await this.getResponse(request);
+    yield {
+      type: "response_done",
+      response: { id: response.responseId, usage: response.usage, output: response.output },
+    };
+  }
+}
+
+// Direct completions: the rewriter echoes the prompt (or the scenario's rewrite), the extractor returns the scenario's records
+export function fakeComplete(role, messages) {
+  const userText = messages.filter(message => message.role === "user").map(message => messageText(message.content)).join("\n");
+  const scenario = findScenario(userText);
+  if (role === "extractor") {
+    return JSON.stringify(scenario?.extract || []);
+  }
+  return scenario?.rewrite || userText;
+}
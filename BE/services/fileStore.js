@@ -0,0 +1,250 @@
+import path from "path";
+import fs from "fs";
+import { v4 as uuidv4 } from "uuid";
+// The package's index.js runs a debug script when it isn't require()d, so load the parser itself
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+
+// files/uploads/<session>/<name> holds what users attached in the chat;
+// files/downloads/<id>/ holds one downloaded file plus its meta.json
+const filesDir = process.env.FILES_DIR || path.join(process.cwd(), 'files');
+const uploadsRoot = path.join(filesDir, 'uploads');
+const downloadsRoot = path.join(filesDir, 'downloads');
+
+export const DOWNLOADS_ROUTE = '/api/downloads';
+export const MAX_UPLOAD_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 25) * 1024 * 1024;
+export const MAX_UPLOAD_FILES = Number(process.env.MAX_UPLOAD_FILES) || 10;
+const FILE_MAX_AGE_MS = (Number(process.env.FILE_MAX_AGE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_READ_CHARS = 20000;
+const TEXT_EXTENSIONS = [".txt", ".md", ".json", ".xml", ".html", ".htm", ".log"];
+
+export class FileStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "FileStoreError";
+    this.status = status;
+  }
+}
+
+// Keeps names readable but never lets one climb out of its directory
+export function safeFileName(name) {
+  const cleaned = path.basename(String(name || ""))
+    .replace(/[\u0000-\u001f<>:"/\\|?*]/g, "_")
+    .replace(/^\.+/, "")
+    .trim()
+    .slice(0, 200);
+  return cleaned || "file";
+}
+
+function sessionUploadsDir(sessionId) {
+  return path.join(uploadsRoot, safeFileName(sessionId));
+}
+
+export function ensureUploadsDir(sessionId) {
+  const dir = sessionUploadsDir(sessionId);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+export async function listUploads(sessionId) {
+  const dir = sessionUploadsDir(sessionId);
+  const names = await fs.promises.readdir(dir).catch(() => []);
+  const files = await Promise.all(names.map(async (name) => {
+    const stats = await fs.promises.stat(path.join(dir, name));
+    return { name, size: stats.size, uploadedAt: stats.mtime.toISOString() };
+  }));
+  return files.sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt));
+}
+
+export function uploadPath(sessionId, name) {
+  const filepath = path.join(sessionUploadsDir(sessionId), safeFileName(name));
+  if (!fs.existsSync(filepath)) {
+    throw new FileStoreError(`No attached file named "${name}", use list_files to see what was attached`, 404);
+  }
+  return filepath;
+}
+
+export async function deleteUpload(sessionId, name) {
+  try {
+    await fs.promises.unlink(uploadPath(sessionId, name));
+    return true;
+  } catch (error) {
+    if (error instanceof FileStoreError) return false;
+    throw error;
+  }
+}
+
+// id -> { id, sessionId, filename, size, url, sourceUrl, createdAt }
+const downloads = new Map();
+
+function downloadFile(file) {
+  return path.join(downloadsRoot, file.id, file.filename);
+}
+
+export function downloadUrl(id) {
+  return `${DOWNLOADS_ROUTE}/${encodeURIComponent(id)}`;
+}
+
+// Saves a Playwright download as soon as the page starts it
+export async function saveDownload(sessionId, download) {
+  const id = uuidv4();
+  const filename = safeFileName(download.suggestedFilename());
+  const dir = path.join(downloadsRoot, id);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await download.saveAs(path.join(dir, filename));
+
+  const { size } = await fs.promises.stat(path.join(dir, filename));
+  const file = { id, sessionId, filename, size, url: downloadUrl(id), sourceUrl: download.url(), createdAt: new Date().toISOString() };
+  await fs.promises.writeFile(path.join(dir, 'meta.json'), JSON.stringify(file, null, 2));
+  downloads.set(id, file);
+  return file;
+}
+
+export function getDownload(id) {
+  const file = downloads.get(id);
+  return file ? { ...file, path: downloadFile(file) } : null;
+}
+
+export function listDownloads(sessionId) {
+  return [...downloads.values()]
+    .filter(file => file.sessionId === sessionId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function loadDownloads() {
+  for (const id of fs.existsSync(downloadsRoot) ? fs.readdirSync(downloadsRoot) : []) {
+    try {
+      const file = JSON.parse(fs.readFileSync(path.join(downloadsRoot, id, 'meta.json'), 'utf8'));
+      downloads.set(file.id, file);
+    } catch {
+      console.error(`⚠️ Skipping download ${id} without readable metadata`);
+    }
+  }
+}
+
+// Finds a file the agent names: an attachment of this session, or one of its downloads (latest first)
+export function findSessionFile(sessionId, name) {
+  const wanted = safeFileName(name);
+  const download = listDownloads(sessionId).reverse().find(file => file.id === name || file.filename === wanted);
+  if (download) {
+    return { source: "download", name: download.filename, path: downloadFile(download) };
+  }
+  return { source: "upload", name: wanted, path: uploadPath(sessionId, name) };
+}
+
+// Puts files into a file input, or into the file chooser a custom "Upload" button opens.
+// Returns true if it went through a chooser, since replays have to do the same.
+export async function setFilesOn(page, target, paths, { timeout = 5000 } = {}) {
+  const isFileInput = await target.evaluate(el => el.tagName === "INPUT" && el.type === "file", null, { timeout });
+  if (isFileInput) {
+    await target.setInputFiles(paths, { timeout });
+    return false;
+  }
+  const [chooser] = await Promise.all([
+    page.waitForEvent('filechooser', { timeout }),
+    target.click({ timeout }),
+  ]);
+  await chooser.setFiles(paths);
+  return true;
+}
+
+// Minimal RFC 4180 parsing: quoted fields, escaped quotes and newlines inside quotes
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Reads PDFs, CSV/TSV and plain text files; returns { kind, text, pages?, rows?, columns?, truncated }
+export async function readFileText(filepath, { maxChars = DEFAULT_READ_CHARS } = {}) {
+  const extension = path.extname(filepath).toLowerCase();
+  const buffer = await fs.promises.readFile(filepath);
+  let result;
+
+  if (extension === ".pdf" || buffer.subarray(0, 5).toString() === "%PDF-") {
+    const pdf = await pdfParse(buffer);
+    result = { kind: "pdf", text: pdf.text.trim(), pages: pdf.numpages };
+  } else if (extension === ".csv" || extension === ".tsv") {
+    const rows = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ""), extension === ".tsv" ? "\t" : ",");
+    const [header = [], ...records] = rows;
+    result = {
+      kind: "csv",
+      text: rows.map(cells => cells.join(" | ")).join("\n"),
+      rows: records.length,
+      columns: header,
+    };
+  } else if (TEXT_EXTENSIONS.includes(extension)) {
+    result = { kind: "text", text: buffer.toString('utf8') };
+  } else {
+    throw new FileStoreError(`Can't read ${extension || "extensionless"} files, only PDF, CSV/TSV and text files`);
+  }
+
+  const truncated = result.text.length > maxChars;
+  return { ...result, text: truncated ? result.text.slice(0, maxChars) : result.text, truncated };
+}
+
+// Drops downloads and attachments older than the maximum age
+export async function enforceFileRetention() {
+  const cutoff = Date.now() - FILE_MAX_AGE_MS;
+  let removed = 0;
+  for (const file of [...downloads.values()]) {
+    if (new Date(file.createdAt).getTime() < cutoff) {
+      await fs.promises.rm(path.join(downloadsRoot, file.id), { recursive: true, force: true });
+      downloads.delete(file.id);
+      removed++;
+    }
+  }
+  for (const session of await fs.promises.readdir(uploadsRoot).catch(() => [])) {
+    const dir = path.join(uploadsRoot, session);
+    for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+      const stats = await fs.promises.stat(path.join(dir, name)).catch(() => null);
+      if (stats && stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(path.join(dir, name)).catch(() => {});
+        removed++;
+      }
+    }
+    await fs.promises.rmdir(dir).catch(() => {});
+  }
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} old files`);
+  }
+  return removed;
+}
+
+loadDownloads();
+const retentionTimer = setInterval(() => {
+  enforceFileRetention().catch(error => console.error("❌ File retention failed:", error.message));
+}, RETENTION_INTERVAL_MS);
+retentionTimer.unref();
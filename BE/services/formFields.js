@@ -0,0 +1,358 @@
+// Finds form controls the way a person would name them (label, ARIA, placeholder, nearby text)
+// and fills each one with the interaction its type needs.
+import { frameRoot } from "./locators.js";
+import { listFrames } from "./frames.js";
+
+// Runs in the page, so it must be self-contained. Returns one entry per control, plus one per radio group.
+// Controls inside open shadow roots are included; their selectors go through the host with Playwright's ">>".
+function describeControls() {
+  const clean = (text) => (text || "").replace(/\s+/g, " ").trim();
+  const CONTROLS = "input, select, textarea";
+
+  // Label text without the text of controls nested inside it (e.g. a select's options)
+  const ownText = (element) => {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll("input, select, textarea, button").forEach(node => node.remove());
+    return clean(copy.textContent);
+  };
+  const labelledBy = (element) => clean((element.getAttribute("aria-labelledby") || "")
+    .split(/\s+/)
+    .map(id => element.getRootNode().getElementById?.(id)?.textContent || "")
+    .join(" "));
+  const labelsOf = (element) => clean([...(element.labels || [])].map(ownText).join(" "));
+
+  // The closest text before the control, for forms that put "Email" in a span or table cell next to the field
+  const nearbyText = (element) => {
+    let node = element;
+    for (let depth = 0; depth < 3 && node && node !== document.body; depth++) {
+      for (let sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) {
+        if (sibling.nodeType === Node.ELEMENT_NODE && sibling.matches(`${CONTROLS}, [contenteditable], button`)) break;
+        if (sibling.nodeType === Node.ELEMENT_NODE && sibling.querySelector(CONTROLS)) break;
+        const text = clean(sibling.textContent);
+        if (text) return text.slice(0, 80);
+      }
+      node = node.parentElement;
+    }
+    return "";
+  };
+
+  const isVisible = (element) => {
+    const box = element.getBoundingClientRect();
+    const style = getComputedStyle(element);
+    return box.width > 0 && box.height > 0 && style.visibility !== "hidden" && style.display !== "none";
+  };
+
+  // A CSS selector that is unique right now; ids and names go through CSS.escape, so "user[email]" or "a:b" are fine.
+  // Inside a shadow root it is unique within that root and scoped to the host: `#host >> input[name="q"]`.
+  const selectorFor = (element) => {
+    const tag = element.tagName.toLowerCase();
+    const root = element.getRootNode();
+    const prefix = root instanceof ShadowRoot ? `${selectorFor(root.host)} >> ` : "";
+    const unique = (selector) => root.querySelectorAll(selector).length === 1;
+    if (element.id && unique(`#${CSS.escape(element.id)}`)) {
+      return `${prefix}#${CSS.escape(element.id)}`;
+    }
+    const name = element.getAttribute("name");
+    if (name) {
+      let selector = `${tag}[name="${CSS.escape(name)}"]`;
+      if (element.type === "radio" || element.type === "checkbox") {
+        selector += `[value="${CSS.escape(element.value)}"]`;
+      }
+      if (unique(selector)) return `${prefix}${selector}`;
+    }
+    const parts = [];
+    let node = element;
+    while (node && node !== document.body) {
+      if (node !== element && node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        return `${prefix}${parts.join(" > ")}`;
+      }
+      // The top of a shadow root has no parent element, only the root itself
+      const siblings = (node.parentElement || node.parentNode).children;
+      const sameTag = [...siblings].filter(child => child.tagName === node.tagName);
+      const nodeTag = node.tagName.toLowerCase();
+      parts.unshift(sameTag.length > 1 ? `${nodeTag}:nth-of-type(${sameTag.indexOf(node) + 1})` : nodeTag);
+      node = node.parentElement;
+    }
+    if (!prefix) parts.unshift("body");
+    return `${prefix}${parts.join(" > ")}`;
+  };
+
+  const deepQueryAll = (root, selector) => {
+    const found = [...root.querySelectorAll(selector)];
+    for (const element of root.querySelectorAll("*")) {
+      if (element.shadowRoot) found.push(...deepQueryAll(element.shadowRoot, selector));
+    }
+    return found;
+  };
+
+  const names = (element) => ({
+    label: labelsOf(element),
+    aria: clean(element.getAttribute("aria-label")) || labelledBy(element),
+    placeholder: clean(element.getAttribute("placeholder") || element.getAttribute("data-placeholder")),
+    title: clean(element.getAttribute("title")),
+    name: element.getAttribute("name") || "",
+    id: element.id || "",
+    nearby: nearbyText(element),
+  });
+
+  const TEXT_TYPES = ["text", "email", "password", "search", "tel", "url", "number", "range", "color", ""];
+  const DATE_TYPES = ["date", "time", "datetime-local", "month", "week"];
+  const kindOf = (element) => {
+    const tag = element.tagName.toLowerCase();
+    if (tag === "select") return "select";
+    if (tag === "textarea") return "text";
+    if (element.isContentEditable) return "contenteditable";
+    const role = element.getAttribute("role");
+    if (tag !== "input") return role === "checkbox" || role === "switch" ? "checkbox" : null;
+    const type = (element.getAttribute("type") || "").toLowerCase();
+    if (type === "checkbox") return "checkbox";
+    if (type === "radio") return "radio";
+    if (type === "file") return "file";
+    if (DATE_TYPES.includes(type)) return "date";
+    return TEXT_TYPES.includes(type) ? "text" : null;
+  };
+
+  const controls = [];
+  const radioGroups = new Map();
+  const candidates = deepQueryAll(document, `${CONTROLS}, [contenteditable=""], [contenteditable="true"], [role="checkbox"], [role="switch"]`);
+  for (const element of candidates) {
+    // Only the outermost element of an editor is contenteditable as far as we're concerned
+    if (element.isContentEditable && element.parentElement?.isContentEditable) continue;
+    const kind = kindOf(element);
+    if (!kind) continue;
+
+    const root = element.getRootNode();
+    const hostPrefix = root instanceof ShadowRoot ? `${selectorFor(root.host)} >> ` : "";
+    const forLabel = element.id ? `label[for="${CSS.escape(element.id)}"]` : null;
+    const control = {
+      kind,
+      type: element.getAttribute("type") || element.tagName.toLowerCase(),
+      selector: selectorFor(element),
+      names: names(element),
+      visible: isVisible(element),
+      disabled: Boolean(element.disabled) || element.getAttribute("aria-disabled") === "true",
+      // Custom checkboxes often hide the input and style the label instead
+      labelSelector: forLabel && root.querySelector(forLabel) ? `${hostPrefix}${forLabel}` : null,
+    };
+    if (kind === "select") {
+      control.multiple = element.multiple;
+      control.options = [...element.options].map(option => ({ label: clean(option.label || option.textContent), value: option.value }));
+    }
+    if (kind === "radio") {
+      control.value = element.value;
+      // Radios are also grouped, so "Shipping: Express" works as well as "Express: yes"
+      const container = element.closest('fieldset, [role="radiogroup"]');
+      const key = element.name ? `name:${element.form ? [...document.forms].indexOf(element.form) : -1}:${element.name}` : container ? container : null;
+      if (key) {
+        if (!radioGroups.has(key)) {
+          const legend = container?.querySelector("legend");
+          radioGroups.set(key, {
+            kind: "radiogroup",
+            type: "radio",
+            selector: container ? selectorFor(container) : null,
+            names: {
+              label: legend ? ownText(legend) : "",
+              aria: container ? clean(container.getAttribute("aria-label")) || labelledBy(container) : "",
+              placeholder: "",
+              title: "",
+              name: element.name || "",
+              id: container?.id || "",
+              nearby: container ? nearbyText(container) : nearbyText(element.closest("div, p, li, td") || element),
+            },
+            visible: false,
+            disabled: false,
+            options: [],
+          });
+        }
+        const group = radioGroups.get(key);
+        group.options.push({ label: control.names.label || control.names.aria || control.names.nearby, value: element.value, selector: control.selector, labelSelector: control.labelSelector });
+        group.visible = group.visible || control.visible || Boolean(element.labels?.[0] && isVisible(element.labels[0]));
+      }
+    }
+    controls.push(control);
+  }
+  return [...controls, ...radioGroups.values()];
+}
+
+// Fields of every frame (or just `frame`, a listFrames entry), each tagged with the frame it lives in
+export async function collectFormFields(page, { frame } = {}) {
+  const frames = frame ? [frame] : await listFrames(page);
+  const perFrame = await Promise.all(frames.map(async (entry) => {
+    // Child frames that navigate or detach mid-way are skipped, the page itself is not
+    const fields = await entry.frame.evaluate(describeControls).catch(error => {
+      if (entry.id === "main") throw error;
+      return [];
+    });
+    return fields.map(field => ({ ...field, frame: entry.path, frameId: entry.id, frameUrl: entry.frame.url() }));
+  }));
+  return perFrame.flat();
+}
+
+// How much each way of naming a field counts when it matches the requested label
+const NAME_WEIGHTS = { label: 100, aria: 100, placeholder: 90, title: 70, name: 60, id: 60, nearby: 50 };
+
+const normalize = (text) => String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+
+function textScore(text, wanted) {
+  if (!text) return 0;
+  if (text === wanted) return 1;
+  if (text.startsWith(wanted) || text.endsWith(wanted)) return 0.8;
+  if (text.includes(wanted)) return 0.6;
+  // "Email address *" asked for as "your email address"
+  if (text.length >= 3 && wanted.includes(text)) return 0.4;
+  return 0;
+}
+
+function scoreField(field, wanted) {
+  let best = 0;
+  for (const [source, weight] of Object.entries(NAME_WEIGHTS)) {
+    best = Math.max(best, weight * textScore(normalize(field.names[source]), wanted));
+  }
+  // Between equally good matches, prefer what the user can actually see
+  return best > 0 ? best + (field.visible ? 1 : 0) : 0;
+}
+
+// The best-matching field not already taken by an earlier label, or null
+export function matchField(fields, label, taken = new Set()) {
+  const wanted = normalize(label);
+  let best = null;
+  let bestScore = 0;
+  for (const field of fields) {
+    if (taken.has(field)) continue;
+    const score = scoreField(field, wanted);
+    if (score > bestScore) {
+      best = field;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+const TRUE_VALUES = ["true", "yes", "y", "on", "1", "checked", "check", "x"];
+const FALSE_VALUES = ["false", "no", "n", "off", "0", "unchecked", "uncheck", ""];
+
+function parseBoolean(value) {
+  const text = normalize(value);
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  throw new Error(`expected yes/no (or true/false), got "${value}"`);
+}
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// Date inputs only take ISO-style values; accept anything Date can parse and convert it
+function toDateInputValue(type, value) {
+  const formats = {
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    time: /^\d{2}:\d{2}(:\d{2})?$/,
+    "datetime-local": /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/,
+    month: /^\d{4}-\d{2}$/,
+    week: /^\d{4}-W\d{2}$/,
+  };
+  if (formats[type]?.test(value)) {
+    return value;
+  }
+  if (type === "time") {
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?$/i.exec(value.trim()) || /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+    if (match) {
+      let hours = Number(match[1]) % (match[3] ? 12 : 24);
+      if (match[3]?.toLowerCase() === "p") hours += 12;
+      return `${pad(hours)}:${match[2] || "00"}`;
+    }
+  }
+  const date = new Date(value);
+  if (type === "week" || Number.isNaN(date.getTime())) {
+    throw new Error(`"${value}" is not a valid ${type} (expected e.g. ${type === "week" ? "2025-W07" : "2025-03-14"})`);
+  }
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  return { date: day, "datetime-local": `${day}T${time}`, month: day.slice(0, 7), time }[type];
+}
+
+function findOption(options, value) {
+  const wanted = normalize(value);
+  return options.find(option => normalize(option.label) === wanted)
+    || options.find(option => normalize(option.value) === wanted)
+    || options.find(option => normalize(option.label).includes(wanted));
+}
+
+async function setChecked(root, { selector, labelSelector }, checked) {
+  const target = root.locator(selector).first();
+  try {
+    await target.setChecked(checked, { timeout: 5000 });
+  } catch (error) {
+    // A hidden input behind a styled label: click the label instead
+    if (!labelSelector || (await target.isChecked()) === checked) throw error;
+    await root.locator(labelSelector).first().click({ timeout: 5000 });
+  }
+}
+
+// Sets one field and returns what was done, as { shown, action } where `action` is the recorded replay action.
+// `resolveValue` turns secret placeholders into the real value just before typing.
+export async function applyFieldValue(page, field, value, resolveValue = (text) => text) {
+  if (field.disabled) {
+    throw new Error("the field is disabled");
+  }
+  const inFieldFrame = (selector) => ({ strategy: "css", selector, ...(field.frame?.length && { frame: field.frame }) });
+  const locator = inFieldFrame(field.selector);
+  const root = frameRoot(page, field.frame);
+  const target = root.locator(field.selector).first();
+
+  switch (field.kind) {
+    case "text":
+    case "contenteditable":
+      await target.fill(resolveValue(value), { timeout: 5000 });
+      return { shown: `"${value}"`, action: { kind: "fill", locator, value } };
+    case "date": {
+      const dateValue = toDateInputValue(field.type, value);
+      await target.fill(dateValue, { timeout: 5000 });
+      return { shown: dateValue, action: { kind: "fill", locator, value: dateValue } };
+    }
+    case "select": {
+      const wanted = field.multiple ? value.split(/\s*[;,]\s*/).filter(Boolean) : [value];
+      const chosen = wanted.map(text => {
+        const option = findOption(field.options, text);
+        if (!option) {
+          const available = field.options.map(option => option.label).filter(Boolean).slice(0, 15).join(", ");
+          throw new Error(`no option "${text}" (options: ${available})`);
+        }
+        return option;
+      });
+      const values = chosen.map(option => option.value);
+      await target.selectOption(values, { timeout: 5000 });
+      return { shown: chosen.map(option => `"${option.label}"`).join(", "), action: { kind: "select", locator, values } };
+    }
+    case "checkbox": {
+      const checked = parseBoolean(value);
+      await setChecked(root, field, checked);
+      return { shown: checked ? "checked" : "unchecked", action: { kind: "check", locator, checked } };
+    }
+    case "radio": {
+      if (!parseBoolean(value)) {
+        throw new Error("a radio button can't be unchecked, pick another option of the group instead");
+      }
+      await setChecked(root, field, true);
+      return { shown: "selected", action: { kind: "check", locator, checked: true } };
+    }
+    case "radiogroup": {
+      const option = findOption(field.options, value);
+      if (!option) {
+        throw new Error(`no option "${value}" (options: ${field.options.map(option => option.label || option.value).join(", ")})`);
+      }
+      await setChecked(root, option, true);
+      return { shown: `"${option.label || option.value}"`, action: { kind: "check", locator: inFieldFrame(option.selector), checked: true } };
+    }
+    case "file":
+      throw new Error("file inputs can't be filled with text, use upload_file");
+    default:
+      throw new Error(`unsupported field type ${field.type}`);
+  }
+}
+
+// A short human description of a field for tool results, e.g. `select "Country"`
+export function describeField(field) {
+  const name = field.names.label || field.names.aria || field.names.placeholder || field.names.nearby || field.names.name || field.names.id;
+  const where = field.frameId && field.frameId !== "main" ? ` in frame ${field.frameId}` : "";
+  return `${field.kind === "text" ? field.type : field.kind}${name ? ` "${name}"` : ""}${where}`;
+}
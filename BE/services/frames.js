@@ -0,0 +1,87 @@
+// Iframes are addressed by the chain of iframe selectors leading to them from the page (their `path`),
+// so locators inside them can be stored, replayed and exported like any other (see locators.js).
+// Tools show frames by short ids: "main" for the page itself, then f1, f2... in document order.
+
+// Runs in the parent frame: a selector for the iframe element that is unique right now.
+// Playwright's CSS engine pierces open shadow roots, so the nth fallback counts iframes inside them too.
+function iframeSelector(element) {
+  const tag = element.tagName.toLowerCase();
+  const root = element.getRootNode();
+  const unique = (selector) => root.querySelectorAll(selector).length === 1 && root === document;
+  if (element.id && unique(`#${CSS.escape(element.id)}`)) {
+    return `${tag}#${CSS.escape(element.id)}`;
+  }
+  for (const attribute of ["name", "title", "src"]) {
+    const value = element.getAttribute(attribute);
+    if (value && unique(`${tag}[${attribute}="${CSS.escape(value)}"]`)) {
+      return `${tag}[${attribute}="${CSS.escape(value)}"]`;
+    }
+  }
+  const frames = [];
+  const collect = (node) => {
+    for (const child of node.querySelectorAll("*")) {
+      if (child.matches("iframe, frame")) frames.push(child);
+      if (child.shadowRoot) collect(child.shadowRoot);
+    }
+  };
+  collect(document);
+  return `iframe, frame >> nth=${frames.indexOf(element)}`;
+}
+
+async function framePath(frame) {
+  const path = [];
+  for (let current = frame; current.parentFrame(); current = current.parentFrame()) {
+    const element = await current.frameElement();
+    try {
+      path.unshift(await element.evaluate(iframeSelector));
+    } finally {
+      await element.dispose();
+    }
+  }
+  return path;
+}
+
+// Every attached frame of the page as { id, frame, name, url, path }, the page itself first
+export async function listFrames(page) {
+  const frames = [];
+  const visit = (frame) => {
+    if (frame.isDetached()) return;
+    frames.push(frame);
+    frame.childFrames().forEach(visit);
+  };
+  visit(page.mainFrame());
+
+  const entries = await Promise.all(frames.map(async (frame, index) => ({
+    id: index === 0 ? "main" : `f${index}`,
+    frame,
+    name: frame.name(),
+    url: frame.url(),
+    // A frame can detach while we look at it; it simply drops out
+    path: index === 0 ? [] : await framePath(frame).catch(() => null),
+  })));
+  return entries.filter(entry => entry.path);
+}
+
+export function describeFrame(entry) {
+  if (entry.id === "main") return "main page";
+  return `frame ${entry.id}${entry.name ? ` "${entry.name}"` : ""} (${entry.url})`;
+}
+
+// Finds a frame by id (f1), "main", name or part of its URL
+export async function findFrame(page, query) {
+  const frames = await listFrames(page);
+  const wanted = String(query).trim();
+  const match = frames.find(entry => entry.id === wanted)
+    || frames.find(entry => entry.name && entry.name === wanted)
+    || frames.find(entry => entry.id !== "main" && entry.url.includes(wanted));
+  if (!match) {
+    const available = frames.map(describeFrame).join(", ");
+    throw new Error(`No frame matches "${query}". Frames: ${available}`);
+  }
+  return match;
+}
+
+// Adds the frame path to a locator, leaving main-page locators as they always were
+export function inFrame(locator, entry) {
+  return entry?.path?.length ? { ...locator, frame: entry.path } : locator;
+}
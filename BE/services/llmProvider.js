@@ -0,0 +1,78 @@
+import OpenAI from "openai";
+import { OpenAIChatCompletionsModel, OpenAIResponsesModel, setTracingDisabled } from "@openai/agents";
+import { FakeModel, fakeComplete } from "./fakeModel.js";
+
+// LLM_PROVIDER=openai talks to OpenAI, or any OpenAI-compatible server (vLLM, Ollama, LM Studio...) via LLM_BASE_URL.
+// LLM_PROVIDER=fake replays scripted tool calls offline (see fakeModel.js).
+const PROVIDER = process.env.LLM_PROVIDER || "openai";
+const BASE_URL = process.env.LLM_BASE_URL || undefined;
+// Local servers usually ignore the key, but the client insists on one
+const API_KEY = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || (BASE_URL ? "not-needed" : undefined);
+// Most OpenAI-compatible servers only implement Chat Completions
+const API = process.env.LLM_API || (BASE_URL ? "chat_completions" : "responses");
+const DEFAULT_MODEL = process.env.MODEL || "gpt-4";
+
+function envNumber(name, fallback) {
+  const value = Number.parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Each role can use its own model and temperature
+export const llmRoles = {
+  agent: { model: process.env.AGENT_MODEL || DEFAULT_MODEL, temperature: envNumber("AGENT_TEMPERATURE", undefined) },
+  rewriter: { model: process.env.REWRITER_MODEL || DEFAULT_MODEL, temperature: envNumber("REWRITER_TEMPERATURE", 0.3) },
+  extractor: { model: process.env.EXTRACTOR_MODEL || DEFAULT_MODEL, temperature: envNumber("EXTRACTOR_TEMPERATURE", 0) },
+};
+
+function createOpenAIProvider() {
+  const client = new OpenAI({ apiKey: API_KEY, baseURL: BASE_URL });
+  return {
+    name: BASE_URL ? `openai-compatible (${BASE_URL})` : "openai",
+    agentModel() {
+      return API === "chat_completions"
+        ? new OpenAIChatCompletionsModel(client, llmRoles.agent.model)
+        : new OpenAIResponsesModel(client, llmRoles.agent.model);
+    },
+    async complete(role, messages, { signal } = {}) {
+      const { model, temperature } = llmRoles[role];
+      const response = await client.chat.completions.create({ model, messages, temperature }, { signal });
+      return response.choices[0].message.content;
+    },
+  };
+}
+
+function createFakeProvider() {
+  return {
+    name: "fake",
+    agentModel() {
+      return new FakeModel();
+    },
+    async complete(role, messages) {
+      return fakeComplete(role, messages);
+    },
+  };
+}
+
+function createProvider() {
+  switch (PROVIDER) {
+    case "openai":
+      return createOpenAIProvider();
+    case "fake":
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${PROVIDER}", expected "openai" or "fake"`);
+  }
+}
+
+export const llm = createProvider();
+
+// Traces are exported to OpenAI, which only makes sense when talking to OpenAI itself
+if (llm.name !== "openai") {
+  setTracingDisabled(true);
+}
+console.log(`🧠 LLM provider: ${llm.name}, agent model ${PROVIDER === "fake" ? "scripted" : llmRoles.agent.model}`);
+
+// Plain chat completion for one role ("rewriter" or "extractor"); returns the reply text
+export function complete(role, messages, options) {
+  return llm.complete(role, messages, options);
+}
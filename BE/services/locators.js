@@ -0,0 +1,72 @@
+// Recorded locators are plain objects, so a run can be stored, replayed and exported as code.
+//   { strategy: "css", selector }
+//   { strategy: "text", text, exact }
+//   { strategy: "label", label, exact }
+//   { strategy: "role", role, name | namePattern, exact?, nth?, within? }
+// Any of them may carry `frame`: the iframe selectors leading from the page to the element's frame (see frames.js).
+
+const quote = (value) => JSON.stringify(String(value));
+
+// The page itself, or the frame a locator lives in
+export function frameRoot(page, frame = []) {
+  return frame.reduce((root, selector) => root.frameLocator(selector), page);
+}
+
+function frameRootCode(frame = []) {
+  return frame.reduce((code, selector) => `${code}.frameLocator(${quote(selector)})`, "page");
+}
+
+// Maps a recorded locator back onto the page, the same way the tool originally found it
+export function resolveLocator(page, locator) {
+  const root = frameRoot(page, locator.frame);
+  switch (locator.strategy) {
+    case "css":
+      return root.locator(locator.selector);
+    case "text":
+      return root.getByText(locator.text, { exact: Boolean(locator.exact) });
+    case "label":
+      return root.getByLabel(locator.label, { exact: Boolean(locator.exact) });
+    case "role": {
+      const base = locator.within ? root.locator(locator.within) : root;
+      const target = base.getByRole(locator.role, {
+        name: locator.namePattern ? new RegExp(locator.namePattern, 'i') : locator.name,
+        ...(locator.exact && { exact: true }),
+      });
+      return Number.isInteger(locator.nth) ? target.nth(locator.nth) : target;
+    }
+    default:
+      throw new Error(`Unknown locator strategy: ${locator.strategy}`);
+  }
+}
+
+// The URL of the document a locator's element lives in, which for iframes isn't the page's.
+// Secrets are scoped to it, so a password only reaches the domain it belongs to.
+export async function locatorDocumentUrl(page, locator, { timeout = 5000 } = {}) {
+  if (!locator.frame?.length) {
+    return page.url();
+  }
+  return resolveLocator(page, locator).first().evaluate(() => location.href, null, { timeout });
+}
+
+// Builds the Playwright locator expression for a recorded locator
+export function locatorToCode(locator) {
+  const root = frameRootCode(locator.frame);
+  switch (locator.strategy) {
+    case "css":
+      return `${root}.locator(${quote(locator.selector)})`;
+    case "text":
+      return `${root}.getByText(${quote(locator.text)}, { exact: ${Boolean(locator.exact)} })`;
+    case "label":
+      return `${root}.getByLabel(${quote(locator.label)}, { exact: ${Boolean(locator.exact)} })`;
+    case "role": {
+      const base = locator.within ? `${root}.locator(${quote(locator.within)})` : root;
+      const name = locator.namePattern
+        ? `new RegExp(${quote(locator.namePattern)}, 'i')`
+        : quote(locator.name);
+      const code = `${base}.getByRole(${quote(locator.role)}, { name: ${name}${locator.exact ? ", exact: true" : ""} })`;
+      return Number.isInteger(locator.nth) ? `${code}.nth(${locator.nth})` : code;
+    }
+    default:
+      throw new Error(`Unknown locator strategy: ${locator.strategy}`);
+  }
+}
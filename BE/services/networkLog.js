@@ -0,0 +1,237 @@
+import path from "path";
+import fs from "fs";
+
+// Every browser context keeps a rolling log of its requests, so the agent and the run history can see
+// what the site answered. Route rules from network-rules.json (or NETWORK_RULES_FILE) block requests or
+// answer them from local files; NETWORK_BLOCK_PATTERNS overrides the block list. Example file:
+// { "block": ["doubleclick.net", "*google-analytics.com/*"],
+//   "mock": [{ "url": "/api/feature-flags", "file": "mocks/flags.json", "status": 200, "contentType": "application/json" }] }
+// Patterns are a "/regex/", a glob where * matches anything, or a substring of the URL.
+// Mock files are relative to the rules file.
+const RULES_FILE = process.env.NETWORK_RULES_FILE || path.join(process.cwd(), 'network-rules.json');
+const NETWORK_LOG_LIMIT = Number(process.env.NETWORK_LOG_LIMIT) || 500;
+const MAX_URL_LENGTH = 200;
+// Runs record a HAR when they ask for one, or always with RECORD_HAR=true
+export const RECORD_HAR_BY_DEFAULT = process.env.RECORD_HAR === "true";
+// Headers that would let anyone holding the HAR act as the logged-in user
+const REDACTED_HEADERS = ["cookie", "set-cookie", "authorization", "proxy-authorization"];
+
+// A URL pattern as a RegExp, so it can also be written into exported scripts
+export function urlPatternRegExp(pattern) {
+  // A path like "/api/items" isn't a regex, so only valid flags after the last slash count
+  const regex = /^\/(.+)\/([dgimsuy]*)$/.exec(pattern);
+  if (regex) {
+    try {
+      // g and y would make test() carry on from the last match
+      return new RegExp(regex[1], regex[2].replace(/[gy]/g, ""));
+    } catch {
+      // Not a valid regex, so it's matched as written
+    }
+  }
+  const escape = (part) => part.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  if (pattern.includes("*")) {
+    return new RegExp(`^${pattern.split("*").map(escape).join(".*")}$`);
+  }
+  return new RegExp(escape(pattern));
+}
+
+export function urlPatternMatcher(pattern) {
+  const regex = urlPatternRegExp(pattern);
+  return (url) => regex.test(url);
+}
+
+function readRulesFile() {
+  if (!fs.existsSync(RULES_FILE)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid network rules file ${RULES_FILE}: ${error.message}`);
+  }
+}
+
+function loadRules() {
+  const file = readRulesFile();
+  const envBlock = process.env.NETWORK_BLOCK_PATTERNS;
+  const block = envBlock === undefined ? file.block || [] : envBlock.split(",").map(item => item.trim()).filter(Boolean);
+  const mock = (file.mock || []).map(rule => {
+    if (!rule.url || !rule.file) {
+      throw new Error(`Invalid network rules file ${RULES_FILE}: every mock needs a url and a file`);
+    }
+    const filepath = path.resolve(path.dirname(RULES_FILE), rule.file);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Invalid network rules file ${RULES_FILE}: mock file ${filepath} does not exist`);
+    }
+    return { ...rule, path: filepath, method: rule.method?.toUpperCase() || null };
+  });
+  return Object.freeze({ block, mock });
+}
+
+export const networkRules = loadRules();
+console.log(`🌐 Network rules: ${networkRules.block.length} blocked patterns, ${networkRules.mock.length} mocked URLs`);
+
+// A log entry, as the agent and run results see it
+export function describeRequest(entry) {
+  return {
+    method: entry.method,
+    url: entry.url,
+    resourceType: entry.resourceType,
+    status: entry.status,
+    ...(entry.failure && { failure: entry.failure }),
+    ...(entry.rule && { rule: entry.rule }),
+    durationMs: entry.durationMs,
+    startedAt: new Date(entry.startedAt).toISOString(),
+  };
+}
+
+// Server errors and requests that never got an answer; what our own rules blocked doesn't count
+export function isFailedRequest(entry) {
+  return !entry.rule?.startsWith("blocked") && (Boolean(entry.failure) || entry.status >= 400);
+}
+
+// Logs the context's requests as { method, url, resourceType, status, failure, rule, startedAt, durationMs },
+// keeping the Playwright request and response for the HAR. onEntry hears about each request once it is done.
+export function trackNetwork(context, { onEntry = () => {} } = {}) {
+  // `rules` holds what a route rule did to a request, in case the rule runs before the request is logged
+  const log = { entries: [], pending: new Map(), rules: new WeakMap() };
+
+  const finish = (request, fields = {}) => {
+    const entry = log.pending.get(request);
+    if (!entry) return;
+    log.pending.delete(request);
+    Object.assign(entry, fields, { rule: entry.rule || log.rules.get(request) || null, durationMs: Date.now() - entry.startedAt });
+    onEntry(entry);
+  };
+
+  context.on('request', request => {
+    const entry = {
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+      status: null,
+      failure: null,
+      rule: log.rules.get(request) || null,
+      startedAt: Date.now(),
+      durationMs: null,
+      request,
+      response: null,
+    };
+    log.entries.push(entry);
+    if (log.entries.length > NETWORK_LOG_LIMIT) {
+      log.entries.shift();
+    }
+    log.pending.set(request, entry);
+  });
+  context.on('response', response => {
+    const entry = log.pending.get(response.request());
+    if (entry) {
+      entry.status = response.status();
+      entry.response = response;
+    }
+  });
+  context.on('requestfinished', request => finish(request));
+  context.on('requestfailed', request => finish(request, { failure: request.failure()?.errorText || "failed" }));
+  return log;
+}
+
+// Installs the configured block and mock rules on a context, marking what they did in its log
+export async function applyNetworkRules(context, log) {
+  const mark = (request, rule) => {
+    log.rules.set(request, rule);
+    const entry = log.pending.get(request);
+    if (entry) entry.rule = rule;
+  };
+  for (const pattern of networkRules.block) {
+    const matches = urlPatternMatcher(pattern);
+    await context.route(url => matches(url.href), route => {
+      mark(route.request(), `blocked by "${pattern}"`);
+      return route.abort('blockedbyclient');
+    });
+  }
+  for (const rule of networkRules.mock) {
+    const matches = urlPatternMatcher(rule.url);
+    await context.route(url => matches(url.href), route => {
+      if (rule.method && route.request().method() !== rule.method) {
+        return route.fallback();
+      }
+      mark(route.request(), `mocked from ${path.basename(rule.path)}`);
+      return route.fulfill({ status: rule.status || 200, path: rule.path, contentType: rule.contentType, headers: rule.headers });
+    });
+  }
+}
+
+// The most recent requests matching the filters, oldest first
+export function listRequests(log, { pattern, failedOnly = false, resourceType, limit = 30 } = {}) {
+  const matches = pattern ? urlPatternMatcher(pattern) : () => true;
+  return log.entries
+    .filter(entry => matches(entry.url))
+    .filter(entry => !failedOnly || isFailedRequest(entry))
+    .filter(entry => !resourceType || entry.resourceType === resourceType)
+    .slice(-limit);
+}
+
+// One line per request for tool results, e.g. `GET 404 120ms fetch https://example.com/api/items`
+export function formatRequest(entry) {
+  const url = entry.url.length > MAX_URL_LENGTH ? `${entry.url.slice(0, MAX_URL_LENGTH)}…` : entry.url;
+  const status = entry.status ?? (entry.failure ? "FAILED" : entry.durationMs === null ? "pending" : "-");
+  const time = entry.durationMs === null ? "" : ` ${entry.durationMs}ms`;
+  return `${entry.method} ${status}${time} ${entry.resourceType} ${url}${entry.failure ? ` (${entry.failure})` : ""}${entry.rule ? ` [${entry.rule}]` : ""}`;
+}
+
+function harHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: REDACTED_HEADERS.includes(name.toLowerCase()) ? "[redacted]" : value,
+  }));
+}
+
+// A HAR 1.2 log of finished requests. Bodies are left out; cookies and credentials in headers are redacted.
+export async function buildHar(entries) {
+  const harEntries = await Promise.all(entries.map(async (entry) => {
+    const requestHeaders = await entry.request.allHeaders().catch(() => ({}));
+    const responseHeaders = entry.response ? await entry.response.allHeaders().catch(() => ({})) : {};
+    let queryString = [];
+    try {
+      queryString = [...new URL(entry.url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch {}
+    return {
+      startedDateTime: new Date(entry.startedAt).toISOString(),
+      time: entry.durationMs ?? 0,
+      request: {
+        method: entry.method,
+        url: entry.url,
+        httpVersion: "HTTP/1.1",
+        cookies: [],
+        headers: harHeaders(requestHeaders),
+        queryString,
+        headersSize: -1,
+        bodySize: -1,
+      },
+      response: {
+        status: entry.status ?? 0,
+        statusText: entry.response?.statusText() || "",
+        httpVersion: "HTTP/1.1",
+        cookies: [],
+        headers: harHeaders(responseHeaders),
+        content: { size: -1, mimeType: responseHeaders["content-type"] || "" },
+        redirectURL: responseHeaders.location || "",
+        headersSize: -1,
+        bodySize: -1,
+        ...(entry.failure && { _failureText: entry.failure }),
+      },
+      cache: {},
+      timings: { send: 0, wait: entry.durationMs ?? 0, receive: 0 },
+      _resourceType: entry.resourceType,
+      ...(entry.rule && { _rule: entry.rule }),
+    };
+  }));
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "browser-automation-agent", version: "1.0.0" },
+      pages: [],
+      entries: harEntries,
+    },
+  };
+}
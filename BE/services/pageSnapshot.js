@@ -0,0 +1,162 @@
+import { resolveLocator } from "./locators.js";
+import { listFrames, describeFrame } from "./frames.js";
+
+const INTERACTIVE_ROLES = new Set([
+  "button", "link", "textbox", "searchbox", "checkbox", "radio", "combobox", "listbox",
+  "option", "menuitem", "menuitemcheckbox", "menuitemradio", "tab", "switch", "slider",
+  "spinbutton", "treeitem",
+]);
+const MAX_VIEWPORT_CHECKS = 300;
+const VALUE_ROLES = new Set(["textbox", "searchbox", "combobox", "spinbutton", "slider"]);
+
+function describeState(node) {
+  const state = [];
+  if (node.checked !== undefined) state.push(node.checked === "mixed" ? "mixed" : node.checked ? "checked" : "unchecked");
+  if (node.pressed !== undefined) state.push(node.pressed ? "pressed" : "not pressed");
+  if (node.expanded !== undefined) state.push(node.expanded ? "expanded" : "collapsed");
+  if (node.selected) state.push("selected");
+  if (node.disabled) state.push("disabled");
+  if (node.readonly) state.push("readonly");
+  if (node.required) state.push("required");
+  if (node.focused) state.push("focused");
+  return state;
+}
+
+// One line of Playwright's ARIA snapshot, e.g. `- checkbox "Remember me" [checked]` or `- textbox "Email": ada@example.com`.
+// Keys with special characters come single-quoted, YAML style.
+const ARIA_LINE = /^\s*- (?:'((?:[^']|'')*)'|(.*?))(?::(?:\s+(.*))?)?$/;
+const ARIA_KEY = /^([a-z]+)(?: ("(?:[^"\\]|\\.)*"))?((?: \[[^\]]+\])*)$/;
+
+function parseAriaLine(line) {
+  const match = ARIA_LINE.exec(line);
+  if (!match) return null;
+  const key = ARIA_KEY.exec(match[1] !== undefined ? match[1].replace(/''/g, "'") : match[2]);
+  if (!key) return null;
+
+  const node = { role: key[1], name: "" };
+  try {
+    node.name = key[2] ? JSON.parse(key[2]) : "";
+  } catch {
+    node.name = key[2].slice(1, -1);
+  }
+  // Unchecked boxes carry no flag at all
+  if (["checkbox", "radio", "switch", "menuitemcheckbox", "menuitemradio"].includes(node.role)) {
+    node.checked = false;
+  }
+  for (const [, flag, value] of key[3].matchAll(/\[([a-z]+)(?:=([^\]]+))?\]/g)) {
+    node[flag] = value === undefined ? true : value;
+  }
+  const rawValue = (match[3] || "").trim();
+  if (VALUE_ROLES.has(node.role) && rawValue) {
+    try {
+      node.value = rawValue.startsWith('"') ? JSON.parse(rawValue) : rawValue;
+    } catch {
+      node.value = rawValue;
+    }
+  }
+  return node;
+}
+
+// Reads a frame's interactive elements, in document order, from its ARIA snapshot (which pierces open shadow roots).
+// `nth` counts earlier elements with the same role and name, so each one maps back to a unique getByRole locator.
+async function collectFrameElements(entry, rootSelector) {
+  const root = entry.frame.locator(rootSelector || "body").first();
+  if (rootSelector && (await root.count()) === 0) {
+    throw new Error(`No element matches rootSelector "${rootSelector}"`);
+  }
+  const snapshot = await root.ariaSnapshot({ timeout: 5000 }).catch(() => "");
+
+  const elements = [];
+  const seen = new Map();
+  for (const node of snapshot.split("\n").map(parseAriaLine)) {
+    if (!node || !INTERACTIVE_ROLES.has(node.role)) continue;
+    const key = `${node.role}\u0000${node.name}`;
+    const nth = seen.get(key) || 0;
+    seen.set(key, nth + 1);
+    elements.push({
+      role: node.role,
+      name: node.name,
+      nth,
+      value: node.value ?? null,
+      state: describeState(node),
+      within: rootSelector || null,
+    });
+  }
+  return elements;
+}
+
+// Elements of the main page first, then of each iframe, each tagged with the frame it lives in
+async function collectAllElements(page, { rootSelector, frame }) {
+  const frames = frame ? [frame] : await listFrames(page);
+  const perFrame = await Promise.all(frames.map(async (entry) => {
+    // A rootSelector only applies to the frame it was given for, the main page by default
+    const scoped = entry.id === "main" || Boolean(frame);
+    const elements = scoped || !rootSelector ? await collectFrameElements(entry, scoped ? rootSelector : undefined) : [];
+    return elements.map(element => ({ ...element, frameId: entry.id, framePath: entry.path }));
+  }));
+  return { frames, elements: perFrame.flat() };
+}
+
+export function elementLocator(element) {
+  return {
+    strategy: "role",
+    role: element.role,
+    name: element.name,
+    exact: true,
+    nth: element.nth,
+    ...(element.within && { within: element.within }),
+    ...(element.framePath?.length && { frame: element.framePath }),
+  };
+}
+
+async function isInViewport(page, element) {
+  try {
+    const box = await resolveLocator(page, elementLocator(element)).boundingBox({ timeout: 1000 });
+    const viewport = page.viewportSize();
+    return Boolean(box && viewport
+      && box.x + box.width > 0 && box.y + box.height > 0
+      && box.x < viewport.width && box.y < viewport.height);
+  } catch {
+    return false;
+  }
+}
+
+// Lists interactive elements with short refs (e1, e2...) the agent can pass to other tools instead of selectors
+// `frame` (an entry from findFrame) limits the snapshot to one frame; by default every frame is included
+export async function takePageSnapshot(page, { offset = 0, limit = 50, scope = "page", rootSelector, frame } = {}) {
+  const collected = await collectAllElements(page, { rootSelector, frame });
+  let { elements } = collected;
+
+  if (scope === "viewport") {
+    const candidates = elements.slice(0, MAX_VIEWPORT_CHECKS);
+    const visible = await Promise.all(candidates.map(element => isInViewport(page, element)));
+    elements = candidates.filter((_, index) => visible[index]);
+  }
+
+  const refs = new Map();
+  elements.forEach((element, index) => {
+    element.ref = `e${index + 1}`;
+    refs.set(element.ref, element);
+  });
+
+  const start = Math.max(0, offset);
+  const pageOfElements = elements.slice(start, start + Math.max(1, limit));
+  const lines = pageOfElements.map(element => {
+    const value = element.value !== null && element.value !== "" ? ` value="${element.value}"` : "";
+    const state = element.state.length > 0 ? ` (${element.state.join(", ")})` : "";
+    const inFrame = element.frameId !== "main" ? ` [in frame ${element.frameId}]` : "";
+    return `[${element.ref}] ${element.role} "${element.name}"${value}${state}${inFrame}`;
+  });
+  const childFrames = collected.frames.filter(entry => entry.id !== "main");
+  const frameList = childFrames.length > 0 ? `Frames: ${childFrames.map(describeFrame).join(", ")}\n` : "";
+
+  const end = start + pageOfElements.length;
+  const more = end < elements.length
+    ? `\nShowing ${start + 1}-${end} of ${elements.length}. Call page_snapshot again with offset=${end} for more.`
+    : `\nShowing ${elements.length === 0 ? 0 : start + 1}-${end} of ${elements.length}.`;
+
+  return {
+    refs,
+    text: `Title: ${await page.title()}\nURL: ${page.url()}\nScope: ${scope}${frame ? ` in ${describeFrame(frame)}` : ""}${rootSelector ? ` within ${rootSelector}` : ""}\n${frameList}${lines.join("\n") || "No interactive elements found"}${more}`,
+  };
+}
@@ -0,0 +1,142 @@
+import { resolveLocator, locatorToCode } from "./locators.js";
+
+// Explicit wait conditions, recorded as plain objects like locators so replays and exports wait the same way:
+//   { type: "element_visible" | "element_hidden", locator }
+//   { type: "text_present", text }
+//   { type: "url_matches", url }   a substring, a glob with * or a /regex/
+//   { type: "network_idle" }
+// Each may carry timeoutMs.
+export const WAIT_CONDITION_TYPES = ["element_visible", "element_hidden", "text_present", "url_matches", "network_idle"];
+export const WAIT_TIMEOUT_MS = Number(process.env.WAIT_TIMEOUT_MS) || 10000;
+// How long actions wait for the page to go quiet when no condition is given
+export const SETTLE_TIMEOUT_MS = Number(process.env.SETTLE_TIMEOUT_MS) || 3000;
+
+const quote = (value) => JSON.stringify(String(value));
+
+function regexFrom(url) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(url);
+  return match ? new RegExp(match[1], match[2]) : null;
+}
+
+// page.waitForURL takes globs and regexes as they are; anything else is treated as a substring
+function urlMatcher(url) {
+  return regexFrom(url) || (url.includes("*") ? url : (current) => current.href.includes(url));
+}
+
+function timeoutOf(condition) {
+  return Number(condition.timeoutMs) || WAIT_TIMEOUT_MS;
+}
+
+export async function waitForCondition(page, condition) {
+  const timeout = timeoutOf(condition);
+  switch (condition.type) {
+    case "element_visible":
+      return resolveLocator(page, condition.locator).first().waitFor({ state: "visible", timeout });
+    case "element_hidden":
+      return resolveLocator(page, condition.locator).first().waitFor({ state: "hidden", timeout });
+    case "text_present":
+      return page.getByText(condition.text).first().waitFor({ state: "visible", timeout });
+    case "url_matches":
+      return page.waitForURL(urlMatcher(condition.url), { timeout, waitUntil: "commit" });
+    case "network_idle":
+      return page.waitForLoadState("networkidle", { timeout });
+    default:
+      throw new Error(`Unknown wait condition: ${condition.type}`);
+  }
+}
+
+const QUIET_MS = 500;
+
+// Resolves once no request has been in flight for QUIET_MS, or at the timeout.
+// Unlike the "networkidle" load state this also covers fetches an action starts after the page loaded.
+function waitForQuietNetwork(page, timeout) {
+  return new Promise(resolve => {
+    const inFlight = new Set();
+    let quietTimer = null;
+    const finish = () => {
+      clearTimeout(quietTimer);
+      clearTimeout(deadline);
+      page.off('request', onRequest);
+      page.off('requestfinished', onDone);
+      page.off('requestfailed', onDone);
+      resolve();
+    };
+    const armQuietTimer = () => {
+      clearTimeout(quietTimer);
+      if (inFlight.size === 0) quietTimer = setTimeout(finish, QUIET_MS);
+    };
+    const onRequest = (request) => {
+      inFlight.add(request);
+      clearTimeout(quietTimer);
+    };
+    const onDone = (request) => {
+      inFlight.delete(request);
+      armQuietTimer();
+    };
+    page.on('request', onRequest);
+    page.on('requestfinished', onDone);
+    page.on('requestfailed', onDone);
+    const deadline = setTimeout(finish, timeout);
+    armQuietTimer();
+  });
+}
+
+// Lets the page finish what an action started, without failing: pages that poll or stream never go quiet
+export async function settlePage(page, timeout = SETTLE_TIMEOUT_MS) {
+  await page.waitForLoadState("domcontentloaded", { timeout }).catch(() => {});
+  await waitForQuietNetwork(page, timeout);
+}
+
+export function describeCondition(condition) {
+  switch (condition.type) {
+    case "element_visible":
+    case "element_hidden": {
+      const { locator } = condition;
+      const target = locator.selector || locator.text || locator.name || locator.namePattern;
+      return `element "${target}" to be ${condition.type === "element_visible" ? "visible" : "hidden"}`;
+    }
+    case "text_present":
+      return `text "${condition.text}" to appear`;
+    case "url_matches":
+      return `URL to match "${condition.url}"`;
+    case "network_idle":
+      return "network to be idle";
+    default:
+      return condition.type;
+  }
+}
+
+// Waits for the condition and reports how it went, so an action can still succeed when its effect is late
+export async function checkCondition(page, condition) {
+  const started = Date.now();
+  try {
+    await waitForCondition(page, condition);
+    return { met: true, message: `waited ${Date.now() - started}ms for ${describeCondition(condition)}` };
+  } catch (error) {
+    if (error.name !== "TimeoutError") throw error;
+    return { met: false, message: `gave up after ${timeoutOf(condition)}ms waiting for ${describeCondition(condition)}` };
+  }
+}
+
+// The Playwright statement for a recorded wait condition
+export function waitConditionToCode(condition) {
+  const timeout = timeoutOf(condition);
+  switch (condition.type) {
+    case "element_visible":
+    case "element_hidden":
+      return `await ${locatorToCode(condition.locator)}.first().waitFor({ state: ${quote(condition.type === "element_visible" ? "visible" : "hidden")}, timeout: ${timeout} });`;
+    case "text_present":
+      return `await page.getByText(${quote(condition.text)}).first().waitFor({ timeout: ${timeout} });`;
+    case "url_matches": {
+      const regex = regexFrom(condition.url);
+      const matcher = regex
+        ? regex.toString()
+        : condition.url.includes("*") ? quote(condition.url) : `url => url.href.includes(${quote(condition.url)})`;
+      return `await page.waitForURL(${matcher}, { timeout: ${timeout}, waitUntil: "commit" });`;
+    }
+    case "network_idle":
+      return `await page.waitForLoadState("networkidle", { timeout: ${timeout} });`;
+    default:
+      return `// Unsupported wait condition skipped: ${JSON.stringify(condition)}`;
+  }
+}
@@ -0,0 +1,114 @@
+import { getRunActions } from "./runStore.js";
+import { locatorToCode } from "./locators.js";
+import { waitConditionToCode } from "./pageWaits.js";
+import { assertionToCode } from "./assertions.js";
+import { hasSecretPlaceholder, SECRET_PLACEHOLDER } from "./secretVault.js";
+
+const quote = (value) => JSON.stringify(String(value));
+
+// Secrets are recorded as {{secret:name}} placeholders; the spec reads them from SECRET_<NAME> env vars
+function valueToCode(value) {
+  if (!hasSecretPlaceholder(value)) {
+    return quote(value);
+  }
+  const escaped = String(value).replace(/[`\\$]/g, (char) => `\\${char}`);
+  const code = escaped.replace(SECRET_PLACEHOLDER, (_match, name) =>
+    `\${process.env.SECRET_${name.replace(/[^A-Za-z0-9]/g, "_").toUpperCase()}}`
+  );
+  return `\`${code}\``;
+}
+
+function scrollToCode(action) {
+  const target = action.locator ? `${locatorToCode(action.locator)}.first()` : `page.locator(":root")`;
+  if (action.direction === "into_view") {
+    return `await ${target}.scrollIntoViewIfNeeded();`;
+  }
+  if (action.times) {
+    return `for (let i = 0; i < ${Number(action.times)}; i++) {\n    await ${target}.evaluate(el => { el.scrollTop = el.scrollHeight; });\n    await page.waitForLoadState("networkidle", { timeout: 3000 }).catch(() => {});\n  }`;
+  }
+  const statement = {
+    top: "el.scrollTop = 0;",
+    bottom: "el.scrollTop = el.scrollHeight;",
+    up: `el.scrollTop -= ${Number(action.amount) || 600};`,
+    down: `el.scrollTop += ${Number(action.amount) || 600};`,
+  }[action.direction];
+  return `await ${target}.evaluate(el => { ${statement} });`;
+}
+
+function actionToCode(action) {
+  switch (action.kind) {
+    case "goto":
+      return `await page.goto(${quote(action.url)}, { waitUntil: ${quote(action.waitUntil || "load")} });`;
+    case "click":
+      return `await ${locatorToCode(action.locator)}.click();`;
+    case "fill":
+      return `await ${locatorToCode(action.locator)}.fill(${valueToCode(action.value)});`;
+    case "select":
+      return `await ${locatorToCode(action.locator)}.selectOption(${JSON.stringify(action.values)});`;
+    case "check":
+      return `await ${locatorToCode(action.locator)}.setChecked(${Boolean(action.checked)});`;
+    case "upload": {
+      // Attachments are expected next to the spec, in a files/ folder
+      const files = JSON.stringify(action.files.map(name => `files/${name}`));
+      return action.chooser
+        ? `const [fileChooser] = await Promise.all([page.waitForEvent('filechooser'), ${locatorToCode(action.locator)}.click()]);\n  await fileChooser.setFiles(${files});`
+        : `await ${locatorToCode(action.locator)}.setInputFiles(${files});`;
+    }
+    case "press":
+      return action.locator
+        ? `await ${locatorToCode(action.locator)}.press(${quote(action.key)});`
+        : `await page.keyboard.press(${quote(action.key)});`;
+    case "hover":
+      return `await ${locatorToCode(action.locator)}.hover();`;
+    case "drag":
+      return `await ${locatorToCode(action.from)}.dragTo(${locatorToCode(action.to)});`;
+    case "scroll":
+      return scrollToCode(action);
+    case "wait":
+      return `await page.waitForTimeout(${Number(action.ms) || 0});`;
+    case "settle":
+      return `await page.waitForLoadState("networkidle", { timeout: ${Number(action.ms) || 0} }).catch(() => {});`;
+    case "waitFor":
+      return waitConditionToCode(action.condition);
+    case "assert":
+      return assertionToCode(action.assertion);
+    case "switchTab":
+      return `page = context.pages()[${Number(action.index)}];\n  await page.bringToFront();`;
+    case "openTab":
+      return action.url
+        ? `page = await context.newPage();\n  await page.goto(${quote(action.url)}, { waitUntil: "networkidle" });`
+        : `page = await context.newPage();`;
+    case "closeTab":
+      return `await context.pages()[${Number(action.index)}].close();\n  if (page.isClosed()) page = context.pages().at(-1);`;
+    case "screenshot":
+      // Checkpoints become Playwright's own visual comparison; the first test run writes its baseline
+      if (action.checkpoint) {
+        return `await expect(page).toHaveScreenshot(${quote(`${action.checkpoint}.png`)}, { fullPage: true, animations: "disabled" });`;
+      }
+      return `await page.screenshot({ path: ${quote(`screenshots/${action.name}.png`)}, fullPage: true });`;
+    default:
+      return `// Unsupported action skipped: ${JSON.stringify(action)}`;
+  }
+}
+
+// Turns a stored run into a runnable @playwright/test spec
+export function toPlaywrightSpec(run) {
+  const actions = getRunActions(run);
+  const title = run.prompt.replace(/\s+/g, " ").trim().slice(0, 80);
+  const body = actions.length > 0
+    ? actions.map(action => `  ${actionToCode(action)}`).join("\n")
+    : "  // This run recorded no browser actions";
+
+  // Checks and visual checkpoints become expect() calls, so the spec fails where the run would have
+  const imports = actions.some(action => action.kind === "assert" || action.checkpoint) ? "test, expect" : "test";
+
+  return `import { ${imports} } from '@playwright/test';
+
+// Exported from agent run ${run.id} (${run.status}, ${run.createdAt})
+// Prompt: ${run.prompt.replace(/\s+/g, " ").trim()}
+
+test(${quote(title)}, async ({ page, context }) => {
+${body}
+});
+`;
+}
@@ -0,0 +1,135 @@
+import path from "path";
+import fs from "fs";
+import { encrypt, decrypt } from "./secretVault.js";
+
+// A login profile is a browser context's storage state (cookies and localStorage) saved under a name,
+// so later runs can start already logged in. Each one lives in profiles/<name>.json, encrypted with
+// the vault key; only the name, the sites it covers and timestamps are stored in the clear.
+const profilesDir = process.env.PROFILES_DIR || path.join(process.cwd(), 'profiles');
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+export class ProfileStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ProfileStoreError";
+    this.status = status;
+  }
+}
+
+// name -> { name, domains, cookies, origins, createdAt, updatedAt, iv, tag, data } as stored on disk
+const profiles = new Map();
+
+function profileFile(name) {
+  return path.join(profilesDir, `${name}.json`);
+}
+
+export function validateProfileName(name) {
+  if (typeof name !== "string" || !PROFILE_NAME_PATTERN.test(name) || /^\.+$/.test(name)) {
+    throw new ProfileStoreError("Profile names may only use letters, digits, _ . and - (max 64)");
+  }
+  return name;
+}
+
+// The sites a storage state is logged in to, for showing without decrypting
+function summarize(state) {
+  const domains = new Set(state.cookies.map(cookie => cookie.domain.replace(/^\./, "")));
+  for (const { origin } of state.origins) {
+    try {
+      domains.add(new URL(origin).hostname);
+    } catch {}
+  }
+  return { domains: [...domains].sort(), cookies: state.cookies.length, origins: state.origins.length };
+}
+
+function describe(profile) {
+  const { iv: _iv, tag: _tag, data: _data, ...meta } = profile;
+  return meta;
+}
+
+function loadProfiles() {
+  if (!fs.existsSync(profilesDir)) return;
+  for (const file of fs.readdirSync(profilesDir).filter(file => file.endsWith(".json"))) {
+    try {
+      const profile = JSON.parse(fs.readFileSync(path.join(profilesDir, file), 'utf8'));
+      profiles.set(profile.name, profile);
+    } catch {
+      console.error(`⚠️ Skipping unreadable login profile ${file}`);
+    }
+  }
+  console.log(`👤 Loaded ${profiles.size} login profiles`);
+}
+
+export function listProfiles() {
+  return [...profiles.values()]
+    .map(describe)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getProfile(name) {
+  const profile = profiles.get(name);
+  return profile ? describe(profile) : null;
+}
+
+function requireProfile(name) {
+  const profile = profiles.get(name);
+  if (!profile) {
+    throw new ProfileStoreError(`No login profile named "${name}"`, 404);
+  }
+  return profile;
+}
+
+// Creates the profile, or replaces the storage state of an existing one
+export async function saveProfile(name, state) {
+  validateProfileName(name);
+  const now = new Date().toISOString();
+  const existing = profiles.get(name);
+  const profile = {
+    name,
+    ...summarize(state),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    ...encrypt(JSON.stringify(state)),
+  };
+  await fs.promises.mkdir(profilesDir, { recursive: true });
+  await fs.promises.writeFile(profileFile(name), JSON.stringify(profile, null, 2), { mode: 0o600 });
+  profiles.set(name, profile);
+  return describe(profile);
+}
+
+// The storage state to start a browser context from
+export function loadProfileState(name) {
+  const profile = requireProfile(name);
+  try {
+    return JSON.parse(decrypt(profile));
+  } catch {
+    throw new ProfileStoreError(`Could not decrypt login profile "${name}", is VAULT_KEY right?`, 500);
+  }
+}
+
+export async function renameProfile(name, newName) {
+  const profile = requireProfile(name);
+  validateProfileName(newName);
+  if (newName === name) {
+    return describe(profile);
+  }
+  if (profiles.has(newName)) {
+    throw new ProfileStoreError(`A login profile named "${newName}" already exists`, 409);
+  }
+  const renamed = { ...profile, name: newName, updatedAt: new Date().toISOString() };
+  await fs.promises.writeFile(profileFile(newName), JSON.stringify(renamed, null, 2), { mode: 0o600 });
+  await fs.promises.unlink(profileFile(name));
+  profiles.delete(name);
+  profiles.set(newName, renamed);
+  return describe(renamed);
+}
+
+export async function deleteProfile(name) {
+  if (!profiles.has(name)) {
+    return false;
+  }
+  await fs.promises.unlink(profileFile(name)).catch(() => {});
+  profiles.delete(name);
+  return true;
+}
+
+loadProfiles();
@@ -0,0 +1,251 @@
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { getSession, closeSession } from "./sessionManager.js";
+import { createTask } from "./taskQueue.js";
+import { screenshotsDir, screenshotUrl } from "./screenshotStore.js";
+import { resolveLocator, locatorDocumentUrl } from "./locators.js";
+import { resolveSecrets } from "./secretVault.js";
+import { uploadPath, setFilesOn, safeFileName } from "./fileStore.js";
+import { waitForCondition, settlePage } from "./pageWaits.js";
+import { evaluateAssertion, describeAssertion } from "./assertions.js";
+import { scroll, scrollToLoadMore } from "./scrolling.js";
+import { checkpointScreenshotOptions, compareCheckpoint } from "./visualRegression.js";
+import { PolicyViolationError, checkUrl, checkActionText, checkFormSubmission } from "./safetyPolicy.js";
+import { clickEffect, keyPressEffect } from "./actionTargets.js";
+
+const ACTION_TIMEOUT_MS = Number(process.env.REPLAY_ACTION_TIMEOUT_MS) || 10000;
+
+export class TraceFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TraceFormatError";
+  }
+}
+
+// Traces can come from anywhere, so a replay follows the same safety policy as the agent:
+// blocked keywords and the form submission limit are checked before the click or key press
+function checkEffect(state, effect) {
+  if (!effect) return;
+  checkActionText(effect.text);
+  if (effect.submitsForm) {
+    checkFormSubmission(state.formSubmissions);
+    state.formSubmissions += 1;
+  }
+}
+
+// `state` holds the context and the active page, which tab actions move around
+async function performAction(state, action, replayId) {
+  const { page, context } = state;
+  switch (action.kind) {
+    case "goto":
+      checkUrl(action.url);
+      await page.goto(action.url, { waitUntil: action.waitUntil || "load", timeout: 30000 });
+      break;
+    case "click": {
+      const target = resolveLocator(page, action.locator);
+      checkEffect(state, await clickEffect(target, { timeout: ACTION_TIMEOUT_MS }));
+      await target.click({ timeout: ACTION_TIMEOUT_MS });
+      break;
+    }
+    case "fill": {
+      checkActionText(action.value);
+      // Resolved like the tools do, against the frame the field is in
+      const url = await locatorDocumentUrl(page, action.locator, { timeout: ACTION_TIMEOUT_MS });
+      await resolveLocator(page, action.locator).fill(resolveSecrets(action.value, url), { timeout: ACTION_TIMEOUT_MS });
+      break;
+    }
+    case "select":
+      await resolveLocator(page, action.locator).selectOption(action.values, { timeout: ACTION_TIMEOUT_MS });
+      break;
+    case "check":
+      await resolveLocator(page, action.locator).setChecked(action.checked, { timeout: ACTION_TIMEOUT_MS });
+      break;
+    case "upload":
+      // Replays reuse the files attached to the recorded session
+      await setFilesOn(page, resolveLocator(page, action.locator), action.files.map(name => uploadPath(action.sessionId, name)), { timeout: ACTION_TIMEOUT_MS });
+      break;
+    case "press": {
+      const target = action.locator ? resolveLocator(page, action.locator) : null;
+      checkEffect(state, await keyPressEffect(page, target, action.key));
+      if (target) {
+        await target.press(action.key, { timeout: ACTION_TIMEOUT_MS });
+      } else {
+        await page.keyboard.press(action.key);
+      }
+      break;
+    }
+    case "hover":
+      await resolveLocator(page, action.locator).hover({ timeout: ACTION_TIMEOUT_MS });
+      break;
+    case "drag":
+      await resolveLocator(page, action.from).dragTo(resolveLocator(page, action.to), { timeout: ACTION_TIMEOUT_MS });
+      break;
+    case "scroll": {
+      const target = action.locator ? resolveLocator(page, action.locator).first() : null;
+      if (action.direction === "into_view") {
+        await target.scrollIntoViewIfNeeded({ timeout: ACTION_TIMEOUT_MS });
+      } else if (action.times) {
+        await scrollToLoadMore(page, target, { maxScrolls: action.times });
+      } else {
+        await scroll(page, target, { direction: action.direction, amount: action.amount });
+      }
+      break;
+    }
+    case "wait":
+      await page.waitForTimeout(Number(action.ms) || 0);
+      break;
+    case "settle":
+      await settlePage(page, Number(action.ms) || undefined);
+      break;
+    case "waitFor":
+      await waitForCondition(page, action.condition);
+      break;
+    case "assert": {
+      const { passed, actual } = await evaluateAssertion(page, action.assertion);
+      if (!passed) {
+        throw new Error(`Expected ${describeAssertion(action.assertion)}, got ${JSON.stringify(actual)}`);
+      }
+      break;
+    }
+    case "switchTab": {
+      const tab = context.pages()[action.index];
+      if (!tab) {
+        throw new Error(`No tab at index ${action.index}`);
+      }
+      state.page = tab;
+      await tab.bringToFront();
+      break;
+    }
+    case "openTab":
+      if (action.url) checkUrl(action.url);
+      state.page = await context.newPage();
+      if (action.url) {
+        await state.page.goto(action.url, { waitUntil: "networkidle", timeout: 30000 });
+      }
+      break;
+    case "closeTab": {
+      const tab = context.pages()[action.index];
+      if (!tab) {
+        throw new Error(`No tab at index ${action.index}`);
+      }
+      await tab.close();
+      if (state.page === tab) {
+        state.page = context.pages().at(-1);
+      }
+      break;
+    }
+    case "screenshot": {
+      const filename = safeFileName(`${action.name}_replay-${replayId}.png`);
+      if (!action.checkpoint) {
+        await page.screenshot({ path: path.join(screenshotsDir, filename), fullPage: true });
+        break;
+      }
+      // A changed checkpoint is a finding of the replay, not a failed step
+      const png = await page.screenshot({ path: path.join(screenshotsDir, filename), ...checkpointScreenshotOptions(page, action.checkpoint) });
+      const comparison = await compareCheckpoint(action.checkpoint, png, { filename, sessionId: `replay-${replayId}`, url: page.url() });
+      state.visualChecks.push({ id: comparison.id, checkpoint: comparison.checkpoint, status: comparison.status, diffRatio: comparison.diffRatio, screenshot: comparison.screenshot, diff: comparison.diff });
+      break;
+    }
+    default:
+      throw new Error(`Unsupported action: ${action.kind}`);
+  }
+}
+
+// Accepts a stored run (steps with actions) or a bare { actions } trace
+export function normalizeTrace(trace) {
+  if (Array.isArray(trace?.steps)) {
+    return trace.steps
+      .filter(step => step.actions?.length > 0)
+      .map(step => ({ tool: step.tool, arguments: step.arguments, actions: step.actions }));
+  }
+  if (Array.isArray(trace?.actions)) {
+    return trace.actions.map(action => ({ tool: null, actions: [action] }));
+  }
+  throw new TraceFormatError("Trace must contain either `steps` or `actions`");
+}
+
+function describeRemainingSteps(steps) {
+  return steps
+    .map((step, index) => `${index + 1}. ${step.tool || step.actions[0].kind} ${JSON.stringify(step.arguments || step.actions)}`)
+    .join("\n");
+}
+
+// Re-runs a recorded trace against a fresh browser context without calling the model
+export async function replayTrace(trace, { prompt, recover = false, maxTurns } = {}) {
+  const steps = normalizeTrace(trace);
+  const replayId = uuidv4();
+  const sessionId = `replay-${replayId}`;
+  const report = [];
+  const visualChecks = [];
+  let failedIndex = -1;
+
+  console.log(`🔁 Replaying ${steps.length} steps (${replayId})`);
+  try {
+    const session = await getSession(sessionId);
+    const state = { page: session.page, context: session.context, visualChecks, formSubmissions: 0 };
+
+    for (const [index, step] of steps.entries()) {
+      const startedAt = Date.now();
+      const entry = { index, tool: step.tool, actions: step.actions, status: "passed", error: null, screenshot: null, screenshotUrl: null };
+      try {
+        for (const action of step.actions) {
+          await performAction(state, action, replayId);
+        }
+      } catch (error) {
+        // A refused step isn't broken, so the agent isn't asked to work around it
+        entry.status = error instanceof PolicyViolationError ? "refused" : "failed";
+        entry.error = error.message;
+      }
+
+      try {
+        const filename = `replay-${replayId}_step${index + 1}.png`;
+        await state.page.screenshot({ path: path.join(screenshotsDir, filename), fullPage: true });
+        entry.screenshot = filename;
+        entry.screenshotUrl = screenshotUrl(filename);
+      } catch (error) {
+        console.log(`⚠️ Could not capture replay screenshot for step ${index + 1}:`, error.message);
+      }
+
+      entry.durationMs = Date.now() - startedAt;
+      report.push(entry);
+      console.log(`${{ passed: "✅", refused: "🚫" }[entry.status] || "❌"} Replay step ${index + 1}/${steps.length}: ${entry.status}`);
+
+      if (entry.status !== "passed") {
+        failedIndex = index;
+        break;
+      }
+    }
+    // Keep the session's active tab in step with the replay, in case the agent takes over
+    session.page = state.page;
+  } catch (error) {
+    await closeSession(sessionId);
+    throw error;
+  }
+
+  const result = {
+    replayId,
+    success: failedIndex === -1,
+    passed: report.filter(entry => entry.status === "passed").length,
+    total: steps.length,
+    steps: report,
+    visualChecks,
+    recoveryTaskId: null,
+  };
+
+  // Let the agent pick up from the failed step in the same browser context
+  if (failedIndex !== -1 && recover && report[failedIndex].status === "failed") {
+    const remaining = steps.slice(failedIndex);
+    const task = createTask({
+      prompt: `${prompt ? `Original goal: ${prompt}\n\n` : ""}A recorded automation was replayed in the open browser and stopped at a failing step (${report[failedIndex].error}). The browser is already open on the current page; do not reopen it. Continue from that point and complete these remaining steps, adapting them to the page as it is now:\n${describeRemainingSteps(remaining)}`,
+      sessionId,
+      maxTurns,
+      ownsSession: true,
+    });
+    result.recoveryTaskId = task.id;
+    console.log(`🧭 Replay ${replayId} handed over to agent task ${task.id}`);
+  } else {
+    await closeSession(sessionId);
+  }
+
+  return result;
+}
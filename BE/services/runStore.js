@@ -0,0 +1,305 @@
+import path from "path";
+import fs from "fs";
+import { publicBrowserSettings } from "./browserSettings.js";
+
+// Every run is kept as one JSON file in runs/, named after its task id
+export const runsDir = path.join(process.cwd(), 'runs');
+if (!fs.existsSync(runsDir)) {
+  fs.mkdirSync(runsDir, { recursive: true });
+}
+
+const MAX_PAGE_SIZE = 100;
+
+const activeRuns = new Map();
+const runIndex = new Map();
+const pendingWrites = new Map();
+
+function runFile(id) {
+  return path.join(runsDir, `${path.basename(id)}.json`);
+}
+
+// HARs sit next to their run as <id>.har, which loadIndex skips
+export function runHarFile(id) {
+  return path.join(runsDir, `${path.basename(id)}.har`);
+}
+
+export function runHarUrl(id) {
+  return `/api/runs/${encodeURIComponent(id)}/har`;
+}
+
+export async function saveRunHar(id, har) {
+  await fs.promises.writeFile(runHarFile(id), JSON.stringify(har, null, 2));
+  return runHarUrl(id);
+}
+
+function summarize(run) {
+  return {
+    id: run.id,
+    prompt: run.prompt,
+    status: run.status,
+    sessionId: run.sessionId,
+    stepCount: run.steps.length,
+    // Whether the expected outcomes were met, for runs that had any
+    verdict: run.verdict ? run.verdict.passed : null,
+    createdAt: run.createdAt,
+    finishedAt: run.finishedAt,
+  };
+}
+
+// Writes for one run are chained so an older snapshot never overwrites a newer one
+function save(run) {
+  runIndex.set(run.id, summarize(run));
+  const data = JSON.stringify(run, null, 2);
+  const previous = pendingWrites.get(run.id) || Promise.resolve();
+  const write = previous
+    .then(() => fs.promises.writeFile(runFile(run.id), data))
+    .catch(error => console.error(`❌ Failed to save run ${run.id}:`, error.message))
+    .finally(() => {
+      if (pendingWrites.get(run.id) === write) {
+        pendingWrites.delete(run.id);
+      }
+    });
+  pendingWrites.set(run.id, write);
+  return write;
+}
+
+function loadIndex() {
+  for (const file of fs.readdirSync(runsDir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const run = JSON.parse(fs.readFileSync(path.join(runsDir, file), 'utf8'));
+      // A run still "running" on disk was interrupted by a restart
+      if (run.status === "running" || run.status === "queued") {
+        run.status = "interrupted";
+        fs.writeFileSync(path.join(runsDir, file), JSON.stringify(run, null, 2));
+      }
+      runIndex.set(run.id, summarize(run));
+    } catch (error) {
+      console.error(`⚠️ Skipping unreadable run file ${file}:`, error.message);
+    }
+  }
+  console.log(`📚 Loaded ${runIndex.size} stored runs`);
+}
+
+function findStep(run, callId) {
+  return run.steps.find(step => step.callId === callId) || run.steps[run.steps.length - 1];
+}
+
+export function startRun(task) {
+  const run = {
+    id: task.id,
+    prompt: task.prompt,
+    rewrittenPrompt: null,
+    sessionId: task.sessionId,
+    maxTurns: task.maxTurns,
+    extract: task.extract,
+    attachments: task.attachments,
+    profile: task.profile,
+    saveProfile: task.saveProfile,
+    expectedOutcomes: task.expectedOutcomes,
+    browser: task.browser && publicBrowserSettings(task.browser),
+    status: task.status,
+    finalOutput: null,
+    error: null,
+    steps: [],
+    extractions: [],
+    downloads: [],
+    violations: [],
+    approvals: [],
+    failedRequests: [],
+    har: null,
+    checks: [],
+    verdict: null,
+    visualChecks: [],
+    createdAt: task.createdAt.toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  activeRuns.set(run.id, run);
+  save(run);
+  return run;
+}
+
+export function recordRunEvent(id, event) {
+  const run = activeRuns.get(id);
+  if (!run) return;
+
+  switch (event.type) {
+    case "rewritten":
+      run.status = "running";
+      run.startedAt = run.startedAt || event.timestamp;
+      run.rewrittenPrompt = event.prompt;
+      break;
+    case "tool_call":
+      run.steps.push({
+        callId: event.callId,
+        tool: event.name,
+        arguments: event.arguments,
+        output: null,
+        startedAt: event.timestamp,
+        finishedAt: null,
+        screenshots: [],
+        actions: [],
+      });
+      break;
+    case "tool_result": {
+      const step = findStep(run, event.callId);
+      if (step) {
+        step.output = event.output;
+        step.finishedAt = event.timestamp;
+      }
+      break;
+    }
+    case "screenshot": {
+      const step = findStep(run, event.callId);
+      if (step) {
+        step.screenshots.push(event.filename);
+      }
+      break;
+    }
+    case "action": {
+      const step = findStep(run, event.callId);
+      if (step) {
+        step.actions.push(event.action);
+      }
+      break;
+    }
+    case "extraction":
+      run.extractions.push({
+        callId: event.callId,
+        url: event.url,
+        fields: event.fields,
+        records: event.records,
+        pages: event.pages,
+        timestamp: event.timestamp,
+      });
+      break;
+    case "download":
+      run.downloads.push({
+        id: event.id,
+        callId: event.callId,
+        filename: event.filename,
+        size: event.size,
+        url: event.url,
+        sourceUrl: event.sourceUrl,
+        timestamp: event.timestamp,
+      });
+      break;
+    case "policy_violation":
+      run.violations.push({
+        callId: event.callId,
+        tool: event.tool,
+        rule: event.rule,
+        message: event.message,
+        timestamp: event.timestamp,
+      });
+      break;
+    case "approval_request":
+      run.approvals.push({
+        approvalId: event.approvalId,
+        callId: event.callId,
+        tool: event.tool,
+        description: event.description,
+        url: event.url,
+        screenshot: event.screenshot?.filename || null,
+        requestedAt: event.timestamp,
+        approved: null,
+        reason: null,
+        timedOut: false,
+        answeredAt: null,
+      });
+      break;
+    case "approval_result": {
+      const approval = run.approvals.find(entry => entry.approvalId === event.approvalId);
+      if (approval) {
+        Object.assign(approval, { approved: event.approved, reason: event.reason, timedOut: event.timedOut, answeredAt: event.timestamp });
+      }
+      break;
+    }
+    case "network_failures":
+      run.failedRequests = event.requests;
+      break;
+    case "har":
+      run.har = { url: event.url, entries: event.entries };
+      break;
+    case "check": {
+      const { type: _type, ...check } = event;
+      run.checks.push(check);
+      break;
+    }
+    case "visual_check":
+      run.visualChecks.push({
+        id: event.id,
+        callId: event.callId,
+        checkpoint: event.checkpoint,
+        status: event.status,
+        diffRatio: event.diffRatio,
+        screenshot: event.screenshot,
+        diff: event.diff,
+        timestamp: event.timestamp,
+      });
+      break;
+    case "verdict":
+      run.verdict = { passed: event.passed, outcomes: event.outcomes };
+      break;
+    case "final":
+      run.finalOutput = event.message;
+      break;
+    case "error":
+      run.error = event.error;
+      break;
+    default:
+      return;
+  }
+  save(run);
+}
+
+export function finishRun(id, status) {
+  const run = activeRuns.get(id);
+  if (!run) return;
+  activeRuns.delete(id);
+  run.status = status;
+  run.finishedAt = new Date().toISOString();
+  save(run);
+}
+
+export function listRuns({ status, from, to, page = 1, limit = 20 } = {}) {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const pageNumber = Math.max(1, Number.parseInt(page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(limit, 10) || 20));
+
+  const matching = [...runIndex.values()]
+    .filter(run => !status || run.status === status)
+    .filter(run => {
+      const created = new Date(run.createdAt).getTime();
+      return created >= fromTime && created <= toTime;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    runs: matching.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+    page: pageNumber,
+    limit: pageSize,
+    total: matching.length,
+    totalPages: Math.ceil(matching.length / pageSize),
+  };
+}
+
+export async function getRun(id) {
+  if (activeRuns.has(id)) {
+    return activeRuns.get(id);
+  }
+  if (!runIndex.has(id)) {
+    return null;
+  }
+  await pendingWrites.get(id);
+  return JSON.parse(await fs.promises.readFile(runFile(id), 'utf8'));
+}
+
+// The concrete Playwright actions a run performed, in order
+export function getRunActions(run) {
+  return run.steps.flatMap(step => step.actions || []);
+}
+
+loadIndex();
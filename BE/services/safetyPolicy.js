@@ -0,0 +1,117 @@
+import path from "path";
+import fs from "fs";
+
+// The policy comes from safety-policy.json (or SAFETY_POLICY_FILE), and SAFETY_* env vars override it.
+// Example file:
+// { "allowedDomains": ["example.com"], "blockedDomains": ["bank.com"], "blockedKeywords": ["Pay now"], "maxFormSubmissions": 5 }
+const POLICY_FILE = process.env.SAFETY_POLICY_FILE || path.join(process.cwd(), 'safety-policy.json');
+
+const DEFAULT_POLICY = {
+  allowedDomains: [],
+  blockedDomains: [],
+  blockedKeywords: ["place order", "delete account", "pay now"],
+  maxFormSubmissions: 10,
+};
+
+export class PolicyViolationError extends Error {
+  constructor(rule, message) {
+    super(message);
+    this.name = "PolicyViolationError";
+    this.rule = rule;
+  }
+}
+
+function readPolicyFile() {
+  if (!fs.existsSync(POLICY_FILE)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+  } catch (error) {
+    // A broken policy must not silently turn into "allow everything"
+    throw new Error(`Invalid safety policy file ${POLICY_FILE}: ${error.message}`);
+  }
+}
+
+function envList(name) {
+  const value = process.env[name];
+  return value === undefined ? undefined : value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+function normalizeDomain(domain) {
+  return domain.trim().toLowerCase().replace(/^\*\./, "").replace(/^\./, "");
+}
+
+function loadPolicy() {
+  const file = readPolicyFile();
+  const policy = {
+    allowedDomains: envList("SAFETY_ALLOWED_DOMAINS") ?? file.allowedDomains ?? DEFAULT_POLICY.allowedDomains,
+    blockedDomains: envList("SAFETY_BLOCKED_DOMAINS") ?? file.blockedDomains ?? DEFAULT_POLICY.blockedDomains,
+    blockedKeywords: envList("SAFETY_BLOCKED_KEYWORDS") ?? file.blockedKeywords ?? DEFAULT_POLICY.blockedKeywords,
+    maxFormSubmissions: Number(process.env.SAFETY_MAX_FORM_SUBMISSIONS) || file.maxFormSubmissions || DEFAULT_POLICY.maxFormSubmissions,
+  };
+  policy.allowedDomains = policy.allowedDomains.map(normalizeDomain);
+  policy.blockedDomains = policy.blockedDomains.map(normalizeDomain);
+  policy.blockedKeywords = policy.blockedKeywords.map(keyword => keyword.toLowerCase());
+  return Object.freeze(policy);
+}
+
+export const safetyPolicy = loadPolicy();
+console.log(`🛡️ Safety policy: ${safetyPolicy.allowedDomains.length} allowed / ${safetyPolicy.blockedDomains.length} blocked domains, ${safetyPolicy.blockedKeywords.length} blocked keywords, max ${safetyPolicy.maxFormSubmissions} form submissions per run`);
+
+// "example.com" also covers its subdomains
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+export function hasDomainRules() {
+  return safetyPolicy.allowedDomains.length > 0 || safetyPolicy.blockedDomains.length > 0;
+}
+
+// Returns why the URL may not be opened, or null if it may
+export function urlViolation(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `"${url}" is not a valid URL`;
+  }
+  if (parsed.protocol === "about:") {
+    return null;
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return `${parsed.protocol} URLs are not allowed`;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  if (safetyPolicy.blockedDomains.some(domain => matchesDomain(hostname, domain))) {
+    return `${hostname} is on the blocked domain list`;
+  }
+  if (safetyPolicy.allowedDomains.length > 0 && !safetyPolicy.allowedDomains.some(domain => matchesDomain(hostname, domain))) {
+    return `${hostname} is not on the allowed domain list`;
+  }
+  return null;
+}
+
+export function checkUrl(url) {
+  const reason = urlViolation(url);
+  if (reason) {
+    throw new PolicyViolationError("domain", `Navigation to ${url} refused: ${reason}`);
+  }
+}
+
+// Refuses clicks and submits whose text contains a blocked keyword (e.g. "Place order")
+export function checkActionText(text) {
+  if (!text) return;
+  const lower = text.toLowerCase();
+  const keyword = safetyPolicy.blockedKeywords.find(blocked => lower.includes(blocked));
+  if (keyword) {
+    throw new PolicyViolationError("keyword", `Action on "${text.trim()}" refused: it matches the blocked keyword "${keyword}"`);
+  }
+}
+
+export function checkFormSubmission(submittedSoFar) {
+  if (submittedSoFar >= safetyPolicy.maxFormSubmissions) {
+    throw new PolicyViolationError("form_submissions", `Form submission refused: this run already submitted ${submittedSoFar} forms (limit ${safetyPolicy.maxFormSubmissions})`);
+  }
+}
@@ -0,0 +1,342 @@
+import path from "path";
+import fs from "fs";
+import { v4 as uuidv4 } from "uuid";
+import { createTask, clampMaxTurns } from "./taskQueue.js";
+import { replayTrace, normalizeTrace, TraceFormatError } from "./replayer.js";
+import { parseCron, nextRunTime, CronParseError } from "./cron.js";
+
+// Schedules live in schedules/schedules.json; each one keeps its last few outcomes next to it
+const schedulesDir = process.env.SCHEDULES_DIR || path.join(process.cwd(), 'schedules');
+const SCHEDULES_FILE = path.join(schedulesDir, 'schedules.json');
+const SCHEDULER_TICK_MS = Number(process.env.SCHEDULER_TICK_MS) || 15 * 1000;
+const SCHEDULE_HISTORY_LIMIT = Number(process.env.SCHEDULE_HISTORY_LIMIT) || 20;
+const NOTIFY_TIMEOUT_MS = 10 * 1000;
+const NOTIFY_WHEN = ["failure", "always"];
+
+export class ScheduleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ScheduleError";
+    this.status = status;
+  }
+}
+
+const schedules = new Map();
+// Ids of schedules with an execution in flight; a tick never starts a second one
+const running = new Set();
+let pendingSave = Promise.resolve();
+let ticker = null;
+
+function saveSchedules() {
+  const data = JSON.stringify([...schedules.values()], null, 2);
+  pendingSave = pendingSave
+    .then(async () => {
+      await fs.promises.mkdir(schedulesDir, { recursive: true });
+      await fs.promises.writeFile(SCHEDULES_FILE, data);
+    })
+    .catch(error => console.error("❌ Failed to save schedules:", error.message));
+  return pendingSave;
+}
+
+function computeNextRun(schedule, after = new Date()) {
+  const next = schedule.enabled ? nextRunTime(parseCron(schedule.cron), after) : null;
+  return next ? next.toISOString() : null;
+}
+
+function loadSchedules() {
+  if (!fs.existsSync(SCHEDULES_FILE)) return;
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+    if (!Array.isArray(stored)) throw new Error("not a list");
+  } catch {
+    console.error(`⚠️ Skipping unreadable schedules file ${SCHEDULES_FILE}`);
+    return;
+  }
+  for (const schedule of stored) {
+    try {
+      // Runs missed while the server was down are skipped, not caught up
+      schedule.nextRunAt = computeNextRun(schedule);
+      schedules.set(schedule.id, schedule);
+    } catch (error) {
+      console.error(`⚠️ Skipping schedule "${schedule.name}":`, error.message);
+    }
+  }
+  console.log(`⏰ Loaded ${schedules.size} schedules`);
+}
+
+function validateNotify(notify) {
+  if (notify === undefined || notify === null) {
+    return null;
+  }
+  const { webhookUrl, when = "failure" } = notify;
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch {
+    throw new ScheduleError("notify.webhookUrl must be a valid URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new ScheduleError("notify.webhookUrl must be an http(s) URL");
+  }
+  if (!NOTIFY_WHEN.includes(when)) {
+    throw new ScheduleError(`notify.when must be one of: ${NOTIFY_WHEN.join(", ")}`);
+  }
+  return { webhookUrl: url.toString(), when };
+}
+
+// Checks the settings a create or update may change; with `partial`, missing fields are left alone
+function validateFields(fields, { partial = false } = {}) {
+  const valid = {};
+
+  if (fields.cron !== undefined || !partial) {
+    try {
+      const cron = parseCron(fields.cron);
+      if (!nextRunTime(cron)) {
+        throw new ScheduleError(`Cron expression "${cron.expression}" never fires`);
+      }
+      valid.cron = cron.expression;
+    } catch (error) {
+      throw error instanceof CronParseError ? new ScheduleError(error.message) : error;
+    }
+  }
+
+  if (fields.name !== undefined) {
+    if (typeof fields.name !== "string" || !fields.name.trim()) {
+      throw new ScheduleError("name must be a non-empty string");
+    }
+    valid.name = fields.name.trim().slice(0, 100);
+  }
+  if (fields.maxTurns !== undefined) {
+    valid.maxTurns = clampMaxTurns(fields.maxTurns);
+  }
+  if (fields.notify !== undefined) {
+    valid.notify = validateNotify(fields.notify);
+  }
+  if (fields.enabled !== undefined) {
+    if (typeof fields.enabled !== "boolean") {
+      throw new ScheduleError("enabled must be a boolean");
+    }
+    valid.enabled = fields.enabled;
+  }
+  return valid;
+}
+
+function summarizeOutcome(outcome) {
+  return outcome ? { status: outcome.status, startedAt: outcome.startedAt, finishedAt: outcome.finishedAt } : null;
+}
+
+export function describeSchedule(schedule, { withHistory = false } = {}) {
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    type: schedule.trace ? "trace" : "prompt",
+    prompt: schedule.prompt,
+    sourceRunId: schedule.sourceRunId,
+    stepCount: schedule.trace?.steps.length ?? null,
+    cron: schedule.cron,
+    maxTurns: schedule.maxTurns,
+    notify: schedule.notify,
+    enabled: schedule.enabled,
+    running: running.has(schedule.id),
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+    lastRunAt: schedule.lastRunAt,
+    nextRunAt: schedule.nextRunAt,
+    lastOutcome: summarizeOutcome(schedule.history[0]),
+    ...(withHistory && { history: schedule.history }),
+  };
+}
+
+export function listSchedules() {
+  return [...schedules.values()]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(schedule => describeSchedule(schedule));
+}
+
+export function getSchedule(id) {
+  return schedules.get(id) || null;
+}
+
+export function isScheduleRunning(id) {
+  return running.has(id);
+}
+
+// Either `prompt` (goes through the agent like /api/ask) or `trace` (a stored run or { actions } trace, replayed step by step) is required
+export async function createSchedule({ name, prompt, trace, sourceRunId = null, cron, maxTurns, notify, enabled = true }) {
+  if (!prompt && !trace) {
+    throw new ScheduleError("Either prompt or trace is required");
+  }
+  if (prompt && trace) {
+    throw new ScheduleError("Give either prompt or trace, not both");
+  }
+  if (prompt !== undefined && prompt !== null && typeof prompt !== "string") {
+    throw new ScheduleError("prompt must be a string");
+  }
+
+  let steps = null;
+  if (trace) {
+    try {
+      steps = normalizeTrace(trace);
+    } catch (error) {
+      throw error instanceof TraceFormatError ? new ScheduleError(error.message) : error;
+    }
+    if (steps.length === 0) {
+      throw new ScheduleError("The trace has no recorded browser actions to replay");
+    }
+  }
+
+  const fields = validateFields({ name, cron, maxTurns, notify, enabled });
+  const now = new Date().toISOString();
+  const schedule = {
+    id: uuidv4(),
+    name: fields.name || (prompt || trace.prompt || "Recorded trace").slice(0, 100),
+    prompt: prompt || null,
+    trace: steps && { steps },
+    sourceRunId,
+    cron: fields.cron,
+    maxTurns: fields.maxTurns ?? clampMaxTurns(),
+    notify: fields.notify ?? null,
+    enabled: fields.enabled,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    nextRunAt: null,
+    history: [],
+  };
+  schedule.nextRunAt = computeNextRun(schedule);
+
+  schedules.set(schedule.id, schedule);
+  await saveSchedules();
+  console.log(`⏰ Schedule "${schedule.name}" created (${schedule.cron}), next run ${schedule.nextRunAt}`);
+  return schedule;
+}
+
+export async function updateSchedule(id, changes) {
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    return null;
+  }
+  Object.assign(schedule, validateFields(changes, { partial: true }), { updatedAt: new Date().toISOString() });
+  schedule.nextRunAt = computeNextRun(schedule);
+  await saveSchedules();
+  return schedule;
+}
+
+export async function deleteSchedule(id) {
+  if (!schedules.delete(id)) {
+    return false;
+  }
+  await saveSchedules();
+  return true;
+}
+
+async function notify(schedule, outcome) {
+  const { webhookUrl, when } = schedule.notify || {};
+  // A run that worked but found UI regressions is worth a notification too
+  const failed = outcome.status !== "succeeded" || outcome.visualChanges?.length > 0;
+  if (!webhookUrl || (when === "failure" && !failed)) {
+    return;
+  }
+  try {
+    const response = await fetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ schedule: { id: schedule.id, name: schedule.name, cron: schedule.cron }, outcome }),
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`webhook responded with ${response.status}`);
+    }
+  } catch (error) {
+    console.error(`⚠️ Could not notify for schedule "${schedule.name}":`, error.message);
+  }
+}
+
+// Checkpoints that no longer match their baseline, reviewed in the visual review panel
+function changedCheckpoints(visualChecks = []) {
+  return visualChecks.filter(check => check.status === "changed");
+}
+
+async function runPrompt(schedule) {
+  const task = await createTask({ prompt: schedule.prompt, maxTurns: schedule.maxTurns }).done;
+  return {
+    status: task.status,
+    runId: task.id,
+    message: task.result?.message || null,
+    error: task.error,
+    screenshots: task.result?.screenshots || [],
+    visualChanges: changedCheckpoints(task.result?.visualChecks),
+  };
+}
+
+async function runTrace(schedule) {
+  const result = await replayTrace(schedule.trace, { prompt: schedule.name });
+  const failed = result.steps.find(step => step.status !== "passed");
+  return {
+    status: result.success ? "succeeded" : "failed",
+    runId: null,
+    replayId: result.replayId,
+    message: `${result.passed}/${result.total} steps passed`,
+    error: failed?.error || null,
+    screenshots: result.steps
+      .filter(step => step.screenshot)
+      .map(step => ({ filename: step.screenshot, url: step.screenshotUrl })),
+    visualChanges: changedCheckpoints(result.visualChecks),
+  };
+}
+
+// Runs the schedule once through the agent pipeline (or the replayer) and stores the outcome
+export async function executeSchedule(schedule, trigger = "cron") {
+  if (running.has(schedule.id)) {
+    throw new ScheduleError(`Schedule "${schedule.name}" is already running`, 409);
+  }
+  running.add(schedule.id);
+  const startedAt = new Date().toISOString();
+  console.log(`⏰ Running schedule "${schedule.name}" (${trigger})`);
+
+  let outcome;
+  try {
+    outcome = await (schedule.trace ? runTrace(schedule) : runPrompt(schedule));
+  } catch (error) {
+    outcome = { status: "failed", runId: null, message: null, error: error.message, screenshots: [] };
+  } finally {
+    running.delete(schedule.id);
+  }
+
+  outcome = { id: uuidv4(), trigger, startedAt, finishedAt: new Date().toISOString(), ...outcome };
+  console.log(`${outcome.status === "succeeded" ? "✅" : "❌"} Schedule "${schedule.name}" ${outcome.status}`);
+
+  // The schedule may have been deleted while it ran
+  if (schedules.has(schedule.id)) {
+    schedule.lastRunAt = startedAt;
+    schedule.history = [outcome, ...schedule.history].slice(0, SCHEDULE_HISTORY_LIMIT);
+    await saveSchedules();
+  }
+  await notify(schedule, outcome);
+  return outcome;
+}
+
+function tick() {
+  const now = new Date();
+  for (const schedule of schedules.values()) {
+    if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) {
+      continue;
+    }
+    schedule.nextRunAt = computeNextRun(schedule, now);
+    if (running.has(schedule.id)) {
+      console.log(`⏭️ Skipping schedule "${schedule.name}", the previous run is still going`);
+      continue;
+    }
+    executeSchedule(schedule).catch(error => console.error(`❌ Schedule "${schedule.name}" failed:`, error.message));
+  }
+}
+
+export function startScheduler() {
+  if (ticker) return;
+  ticker = setInterval(tick, SCHEDULER_TICK_MS);
+  ticker.unref();
+  console.log(`⏰ Scheduler started, checking every ${Math.round(SCHEDULER_TICK_MS / 1000)}s`);
+}
+
+loadSchedules();
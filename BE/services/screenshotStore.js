@@ -0,0 +1,63 @@
+import path from "path";
+import fs from "fs";
+
+// Create screenshots directory if it doesn't exist
+export const screenshotsDir = path.join(process.cwd(), 'screenshots');
+if (!fs.existsSync(screenshotsDir)) {
+  fs.mkdirSync(screenshotsDir, { recursive: true });
+}
+
+// Screenshots are served statically from here (see index.js)
+export const SCREENSHOTS_ROUTE = '/screenshots';
+
+const SCREENSHOT_MAX_AGE_MS = (Number(process.env.SCREENSHOT_MAX_AGE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const SCREENSHOT_MAX_TOTAL_BYTES = (Number(process.env.SCREENSHOT_MAX_TOTAL_MB) || 500) * 1024 * 1024;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+
+export function screenshotUrl(filename) {
+  return `${SCREENSHOTS_ROUTE}/${encodeURIComponent(filename)}`;
+}
+
+// Structured reference returned to clients instead of a bare filename
+export function screenshotRef(filename, fields = {}) {
+  return { filename, url: screenshotUrl(filename), ...fields };
+}
+
+// Deletes screenshots past the maximum age, then the oldest ones until the directory fits the size cap
+export async function enforceScreenshotRetention() {
+  const entries = [];
+  for (const name of await fs.promises.readdir(screenshotsDir)) {
+    const filepath = path.join(screenshotsDir, name);
+    try {
+      const stats = await fs.promises.stat(filepath);
+      if (stats.isFile()) {
+        entries.push({ filepath, size: stats.size, mtime: stats.mtimeMs });
+      }
+    } catch {}
+  }
+
+  const cutoff = Date.now() - SCREENSHOT_MAX_AGE_MS;
+  const expired = entries.filter(entry => entry.mtime < cutoff);
+  const kept = entries.filter(entry => entry.mtime >= cutoff).sort((a, b) => a.mtime - b.mtime);
+
+  let totalBytes = kept.reduce((sum, entry) => sum + entry.size, 0);
+  const oversized = [];
+  while (totalBytes > SCREENSHOT_MAX_TOTAL_BYTES && kept.length > 0) {
+    const oldest = kept.shift();
+    totalBytes -= oldest.size;
+    oversized.push(oldest);
+  }
+
+  const toDelete = [...expired, ...oversized];
+  await Promise.all(toDelete.map(entry => fs.promises.unlink(entry.filepath).catch(() => {})));
+  if (toDelete.length > 0) {
+    console.log(`🧹 Removed ${toDelete.length} old screenshots (${expired.length} expired, ${oversized.length} over size cap)`);
+  }
+  return toDelete.length;
+}
+
+enforceScreenshotRetention().catch(error => console.error("❌ Screenshot retention failed:", error.message));
+const retentionTimer = setInterval(() => {
+  enforceScreenshotRetention().catch(error => console.error("❌ Screenshot retention failed:", error.message));
+}, RETENTION_INTERVAL_MS);
+retentionTimer.unref();
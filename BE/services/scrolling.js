@@ -0,0 +1,72 @@
+import { settlePage } from "./pageWaits.js";
+
+// How long to wait for an infinite-scroll list to grow after reaching the bottom
+const GROW_TIMEOUT_MS = Number(process.env.SCROLL_GROW_TIMEOUT_MS) || 2000;
+
+// Runs in the page. `el` is the element to scroll; the root element stands for the page itself.
+function scrollBox(el, { direction, amount }) {
+  const box = el === document.documentElement ? document.scrollingElement || el : el;
+  const distance = amount || Math.round(box.clientHeight * 0.8);
+  if (direction === "top") {
+    box.scrollTop = 0;
+  } else if (direction === "bottom") {
+    box.scrollTop = box.scrollHeight;
+  } else {
+    box.scrollTop += direction === "up" ? -distance : distance;
+  }
+  return {
+    scrollTop: Math.round(box.scrollTop),
+    scrollHeight: box.scrollHeight,
+    atBottom: box.scrollTop + box.clientHeight >= box.scrollHeight - 2,
+  };
+}
+
+// Runs in the page: resolves true as soon as the scroll height grows past `height`, false at the timeout
+function waitForGrowth(el, { height, timeout }) {
+  const box = el === document.documentElement ? document.scrollingElement || el : el;
+  const started = Date.now();
+  return new Promise(resolve => {
+    const check = () => {
+      if (box.scrollHeight > height) return resolve(true);
+      if (Date.now() - started > timeout) return resolve(false);
+      setTimeout(check, 100);
+    };
+    check();
+  });
+}
+
+// The page itself, when no scrollable element is given
+export function scrollTarget(page, target) {
+  return target || page.locator(":root");
+}
+
+// Scrolls up/down by `amount` pixels (default most of a screen), or to the top/bottom.
+// Returns { scrollTop, scrollHeight, atBottom }.
+export async function scroll(page, target, { direction, amount }) {
+  return scrollTarget(page, target).evaluate(scrollBox, { direction, amount: amount || null });
+}
+
+// Keeps scrolling to the bottom while new content loads, up to maxScrolls times or until `isDone` says so.
+// Returns { scrolls, startHeight, endHeight, exhausted } where exhausted means the list stopped growing.
+export async function scrollToLoadMore(page, target, { maxScrolls, isDone = async () => false }) {
+  const box = scrollTarget(page, target);
+  const start = await box.evaluate(scrollBox, { direction: "bottom", amount: null });
+  let height = start.scrollHeight;
+  let scrolls = 1;
+  let exhausted = false;
+
+  for (;;) {
+    await settlePage(page);
+    const grew = await box.evaluate(waitForGrowth, { height, timeout: GROW_TIMEOUT_MS });
+    if (!grew) {
+      exhausted = true;
+      break;
+    }
+    if (scrolls >= maxScrolls || (await isDone())) break;
+    ({ scrollHeight: height } = await box.evaluate(scrollBox, { direction: "bottom", amount: null }));
+    scrolls++;
+  }
+
+  const { scrollHeight: endHeight } = await box.evaluate(scrollBox, { direction: "bottom", amount: null });
+  return { scrolls, startHeight: start.scrollHeight, endHeight, exhausted };
+}
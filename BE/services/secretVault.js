@@ -0,0 +1,176 @@
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import { PolicyViolationError } from "./safetyPolicy.js";
+
+// Secrets are stored AES-256-GCM encrypted in vault/secrets.json. The key comes from VAULT_KEY,
+// or from a key file generated next to the vault on first use (fine for a local install only).
+const vaultDir = process.env.VAULT_DIR || path.join(process.cwd(), 'vault');
+const VAULT_FILE = path.join(vaultDir, 'secrets.json');
+const KEY_FILE = path.join(vaultDir, '.key');
+
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+export const SECRET_PLACEHOLDER = /\{\{\s*secret:([A-Za-z0-9_.-]+)\s*\}\}/g;
+const MASK_MIN_LENGTH = 3;
+
+export class SecretVaultError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SecretVaultError";
+    this.status = status;
+  }
+}
+
+function loadKey() {
+  if (process.env.VAULT_KEY) {
+    return crypto.scryptSync(process.env.VAULT_KEY, "browser-agent-vault", 32);
+  }
+  if (!fs.existsSync(KEY_FILE)) {
+    fs.mkdirSync(vaultDir, { recursive: true });
+    fs.writeFileSync(KEY_FILE, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    console.log(`🔑 Generated vault key at ${KEY_FILE}, set VAULT_KEY to keep the key out of the vault directory`);
+  }
+  return Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'base64');
+}
+
+let key = null;
+// name -> { name, domain, iv, tag, data, createdAt, updatedAt } as stored on disk
+const entries = new Map();
+// name -> decrypted value, used for substitution and masking
+const values = new Map();
+
+// Also used for other data kept at rest with the vault key, such as login profiles
+export function encrypt(value) {
+  key = key || loadKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+export function decrypt({ iv, tag, data }) {
+  key = key || loadKey();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function loadVault() {
+  if (!fs.existsSync(VAULT_FILE)) return;
+  key = loadKey();
+  for (const entry of JSON.parse(fs.readFileSync(VAULT_FILE, 'utf8'))) {
+    try {
+      values.set(entry.name, decrypt(entry));
+      entries.set(entry.name, entry);
+    } catch {
+      console.error(`⚠️ Could not decrypt secret "${entry.name}", is VAULT_KEY right?`);
+    }
+  }
+  console.log(`🔐 Loaded ${entries.size} secrets`);
+}
+
+async function saveVault() {
+  await fs.promises.mkdir(vaultDir, { recursive: true });
+  await fs.promises.writeFile(VAULT_FILE, JSON.stringify([...entries.values()], null, 2), { mode: 0o600 });
+}
+
+function describe(entry) {
+  return { name: entry.name, domain: entry.domain, placeholder: `{{secret:${entry.name}}}`, createdAt: entry.createdAt, updatedAt: entry.updatedAt };
+}
+
+export function listSecrets() {
+  return [...entries.values()].map(describe);
+}
+
+export async function setSecret(name, { domain, value }) {
+  if (!SECRET_NAME_PATTERN.test(name || "")) {
+    throw new SecretVaultError("Secret names may only use letters, digits, _ . and - (max 64)");
+  }
+  if (!domain || typeof domain !== "string") {
+    throw new SecretVaultError("domain is required");
+  }
+  if (typeof value !== "string" || value.length === 0) {
+    throw new SecretVaultError("value is required");
+  }
+
+  const now = new Date().toISOString();
+  const existing = entries.get(name);
+  const entry = {
+    name,
+    domain: domain.trim().toLowerCase().replace(/^\*\./, ""),
+    ...encrypt(value),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  entries.set(name, entry);
+  values.set(name, value);
+  await saveVault();
+  return describe(entry);
+}
+
+export async function deleteSecret(name) {
+  if (!entries.delete(name)) {
+    return false;
+  }
+  values.delete(name);
+  await saveVault();
+  return true;
+}
+
+export function hasSecretPlaceholder(text) {
+  return typeof text === "string" && new RegExp(SECRET_PLACEHOLDER.source).test(text);
+}
+
+// Swaps {{secret:name}} placeholders for their values, but only on the page's own domain
+// (or a subdomain of it), so a secret can't be typed into some other site
+export function resolveSecrets(text, pageUrl) {
+  if (!hasSecretPlaceholder(text)) {
+    return text;
+  }
+  let hostname = "";
+  try {
+    hostname = new URL(pageUrl).hostname.toLowerCase();
+  } catch {}
+
+  return text.replace(SECRET_PLACEHOLDER, (_match, name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new SecretVaultError(`Unknown secret "${name}", use list_secrets to see the available ones`, 404);
+    }
+    if (hostname !== entry.domain && !hostname.endsWith(`.${entry.domain}`)) {
+      throw new PolicyViolationError("secret_domain", `Secret "${name}" may only be used on ${entry.domain}, not on ${hostname || pageUrl}`);
+    }
+    return values.get(name);
+  });
+}
+
+// Replaces any stored secret value in the text with its placeholder
+export function maskSecrets(text) {
+  if (typeof text !== "string" || values.size === 0) {
+    return text;
+  }
+  let masked = text;
+  for (const [name, value] of values) {
+    if (value.length >= MASK_MIN_LENGTH && masked.includes(value)) {
+      masked = masked.split(value).join(`{{secret:${name}}}`);
+    }
+  }
+  return masked;
+}
+
+// Masks secrets anywhere inside a JSON-serializable value, e.g. an event
+export function maskSecretsDeep(value) {
+  if (values.size === 0 || value === null || value === undefined) {
+    return value;
+  }
+  let json = JSON.stringify(value);
+  for (const [name, secret] of values) {
+    const escaped = JSON.stringify(secret).slice(1, -1);
+    if (secret.length >= MASK_MIN_LENGTH && json.includes(escaped)) {
+      json = json.split(escaped).join(`{{secret:${name}}}`);
+    }
+  }
+  return JSON.parse(json);
+}
+
+loadVault();
@@ -0,0 +1,372 @@
+import * as playwright from "playwright";
+import { hasDomainRules, urlViolation } from "./safetyPolicy.js";
+import { APPROVALS_ENABLED } from "./approvals.js";
+import { maskSecrets } from "./secretVault.js";
+import { saveDownload } from "./fileStore.js";
+import { loadProfileState, saveProfile, ProfileStoreError } from "./profileStore.js";
+import { trackNetwork, applyNetworkRules } from "./networkLog.js";
+import { defaultBrowserSettings, launchKey, settingsKey, contextOptions, publicBrowserSettings, describeBrowserSettings } from "./browserSettings.js";
+
+// Every chat session gets its own BrowserContext and page on a shared browser (one per engine and
+// headless mode, see browserSettings.js), so concurrent /api/ask calls never drive each other's tabs.
+const SESSION_IDLE_TIMEOUT_MS = Number(process.env.SESSION_IDLE_TIMEOUT_MS) || 10 * 60 * 1000;
+const SESSION_MAX_CONTEXTS = Number(process.env.SESSION_MAX_CONTEXTS) || 5;
+const SESSION_SWEEP_INTERVAL_MS = 30 * 1000;
+// Chromium runs as the installed Chrome by default; an empty BROWSER_CHANNEL gives Playwright's bundled Chromium (CI, tests)
+const BROWSER_CHANNEL = process.env.BROWSER_CHANNEL ?? "chrome";
+
+export const DEFAULT_SESSION_ID = "default";
+
+export class SessionLimitError extends Error {
+  constructor(limit) {
+    super(`Maximum of ${limit} concurrent browser sessions reached, close one and try again`);
+    this.name = "SessionLimitError";
+  }
+}
+
+// launch key -> running browser, and the launches still in progress
+const browsers = new Map();
+const browserLaunches = new Map();
+const sessions = new Map();
+const pendingSessions = new Map();
+// Runs that need approval for navigations register a gate for their session here
+const navigationGates = new Map();
+// Runs register here to hear about files the pages of their session download
+const downloadListeners = new Map();
+// ...and here to hear about each request their session's pages finish
+const networkListeners = new Map();
+
+async function launchBrowser(settings) {
+  const browserType = playwright[settings.engine];
+  const options = { headless: settings.headless };
+  if (settings.engine !== "chromium") {
+    return browserType.launch(options);
+  }
+  const args = ['--no-sandbox', '--disable-setuid-sandbox'];
+  if (!BROWSER_CHANNEL) {
+    return browserType.launch({ ...options, args });
+  }
+  try {
+    return await browserType.launch({ ...options, channel: BROWSER_CHANNEL, args });
+  } catch (error) {
+    // Servers often have no Chrome installed, but may have Playwright's own Chromium
+    console.log(`⚠️ Could not launch the "${BROWSER_CHANNEL}" channel (${error.message.split("\n")[0]}), trying the bundled Chromium`);
+    return browserType.launch({ ...options, args });
+  }
+}
+
+async function getSharedBrowser(settings) {
+  const key = launchKey(settings);
+  const running = browsers.get(key);
+  if (running?.isConnected()) {
+    return running;
+  }
+
+  // Concurrent callers share one launch instead of racing each other
+  if (!browserLaunches.has(key)) {
+    browserLaunches.set(key, (async () => {
+      console.log(`🚀 Launching new browser instance (${key})...`);
+      try {
+        const browser = await launchBrowser(settings);
+        browsers.set(key, browser);
+        browser.on('disconnected', () => {
+          console.log(`⚠️ Browser ${key} disconnected, dropping its sessions`);
+          if (browsers.get(key) === browser) browsers.delete(key);
+          for (const session of [...sessions.values()]) {
+            if (session.browser === browser) sessions.delete(session.id);
+          }
+        });
+        console.log(`✅ Browser ${key} launched successfully`);
+        return browser;
+      } catch (error) {
+        console.error(`❌ Failed to launch browser ${key}:`, error);
+        browsers.delete(key);
+        throw error;
+      } finally {
+        browserLaunches.delete(key);
+      }
+    })());
+  }
+  return browserLaunches.get(key);
+}
+
+// Pages opened by the site (popups, target=_blank links) are tracked like the first one.
+// If the active tab closes, the session falls back to the most recent remaining tab.
+function trackPage(session, page) {
+  page.on('console', msg => console.log(`[${session.id}] PAGE LOG:`, maskSecrets(msg.text())));
+  page.on('pageerror', err => console.log(`[${session.id}] PAGE ERROR:`, maskSecrets(err.message)));
+  page.on('download', download => handleDownload(session, download));
+  page.on('close', () => {
+    console.log(`[${session.id}] Page closed`);
+    if (session.page === page) {
+      const remaining = session.context.pages();
+      if (remaining.length > 0) {
+        session.page = remaining[remaining.length - 1];
+        session.elementRefs = new Map();
+      }
+    }
+  });
+}
+
+// Downloads are saved as soon as they start; pendingDownloads lets a run wait for the ones still in flight
+function handleDownload(session, download) {
+  console.log(`[${session.id}] ⬇️ Download started: ${download.suggestedFilename()}`);
+  const saving = saveDownload(session.id, download)
+    .then(file => {
+      console.log(`[${session.id}] ✅ Saved download ${file.filename} (${file.size} bytes)`);
+      downloadListeners.get(session.id)?.(file);
+      return file;
+    })
+    .catch(error => {
+      console.error(`[${session.id}] ❌ Download of ${download.suggestedFilename()} failed:`, error.message);
+      return null;
+    })
+    .finally(() => session.pendingDownloads.delete(saving));
+  session.pendingDownloads.add(saving);
+}
+
+export function setNetworkListener(sessionId, listener) {
+  if (listener) {
+    networkListeners.set(sessionId, listener);
+  } else {
+    networkListeners.delete(sessionId);
+  }
+}
+
+export function setDownloadListener(sessionId, listener) {
+  if (listener) {
+    downloadListeners.set(sessionId, listener);
+  } else {
+    downloadListeners.delete(sessionId);
+  }
+}
+
+// Resolves once every download the session has started is saved (or failed)
+export async function settleDownloads(sessionId) {
+  const session = sessions.get(sessionId);
+  if (session) {
+    await Promise.all([...session.pendingDownloads]);
+  }
+}
+
+// Navigations the page starts itself (link clicks, redirects, popups) never reach visit_url's checks,
+// so they are stopped, or held until approved, at the network layer instead
+async function guardNavigations(session) {
+  await session.context.route('**/*', async (route) => {
+    const request = route.request();
+    if (!request.isNavigationRequest()) {
+      return route.fallback();
+    }
+    const topLevel = !request.frame().parentFrame();
+
+    const reason = urlViolation(request.url());
+    if (reason) {
+      console.log(`[${session.id}] 🛡️ Blocked navigation to ${request.url()}: ${reason}`);
+      if (topLevel) {
+        session.blockedNavigations.push({ url: request.url(), reason, rule: "domain" });
+      }
+      return route.abort('blockedbyclient');
+    }
+
+    const gate = navigationGates.get(session.id);
+    if (gate && topLevel) {
+      const approval = gate(request.url(), request.frame().page()).catch(() => false);
+      session.pendingNavigations.add(approval);
+      const approved = await approval.finally(() => session.pendingNavigations.delete(approval));
+      if (!approved) {
+        session.blockedNavigations.push({ url: request.url(), reason: "it was not approved", rule: "approval" });
+        return route.abort('blockedbyclient');
+      }
+    }
+    return route.fallback();
+  });
+}
+
+export function setNavigationGate(sessionId, gate) {
+  if (gate) {
+    navigationGates.set(sessionId, gate);
+  } else {
+    navigationGates.delete(sessionId);
+  }
+}
+
+async function createSession(sessionId, { profile = null, browser: settings = defaultBrowserSettings } = {}) {
+  if (sessions.size + pendingSessions.size >= SESSION_MAX_CONTEXTS) {
+    throw new SessionLimitError(SESSION_MAX_CONTEXTS);
+  }
+
+  // Read before launching anything, so an unknown profile fails fast
+  const storageState = profile ? loadProfileState(profile) : undefined;
+  const sharedBrowser = await getSharedBrowser(settings);
+  const context = await sharedBrowser.newContext({
+    ...contextOptions(settings),
+    acceptDownloads: true,
+    storageState,
+  });
+
+  const now = Date.now();
+  // `page` is the active tab; elementRefs holds the refs handed out by the latest page_snapshot.
+  // blockedNavigations collects top-level navigations that were stopped, until a tool reports them;
+  // pendingNavigations holds the approvals navigations are waiting on, pendingDownloads the files still being saved.
+  // `profile` is the login profile the context started from or was last saved to; `network` logs its requests.
+  // `settings` are the browser settings it was created with (see browserSettings.js).
+  const session = {
+    id: sessionId, browser: sharedBrowser, settings, context, page: null, elementRefs: new Map(), profile,
+    blockedNavigations: [], pendingNavigations: new Set(), pendingDownloads: new Set(),
+    network: trackNetwork(context, { onEntry: entry => networkListeners.get(sessionId)?.(entry) }),
+    createdAt: now, lastUsedAt: now,
+  };
+  try {
+    // Installed first, so the navigation guard below (the last route registered runs first) still sees every navigation
+    await applyNetworkRules(context, session.network);
+    if (hasDomainRules() || APPROVALS_ENABLED) {
+      await guardNavigations(session);
+    }
+    context.on('page', page => {
+      trackPage(session, page);
+      if (session.page) {
+        console.log(`[${sessionId}] 🆕 New tab opened: ${page.url()}`);
+      }
+    });
+    session.page = await context.newPage();
+  } catch (error) {
+    // The session isn't registered yet, so nothing else would ever close the context
+    await context.close().catch(() => {});
+    throw error;
+  }
+
+  sessions.set(sessionId, session);
+  console.log(`✅ Browser session "${sessionId}" ready on ${describeBrowserSettings(settings)}${profile ? ` with login profile "${profile}"` : ""} (${sessions.size}/${SESSION_MAX_CONTEXTS})`);
+  return session;
+}
+
+// Makes the tab at `index` the one tools act on
+export async function switchTab(session, index) {
+  const pages = session.context.pages();
+  const page = pages[index];
+  if (!page) {
+    throw new Error(`No tab at index ${index} (${pages.length} open)`);
+  }
+  session.page = page;
+  session.elementRefs = new Map();
+  await page.bringToFront();
+  return page;
+}
+
+export async function listTabs(session) {
+  return Promise.all(session.context.pages().map(async (page, index) => ({
+    index,
+    url: page.url(),
+    title: await page.title().catch(() => ""),
+    active: page === session.page,
+  })));
+}
+
+function isAlive(session) {
+  return session && session.browser.isConnected() && !session.page.isClosed();
+}
+
+// Returns the session's context and page, creating them on first use.
+// With `profile`, a session that didn't start from that login profile is replaced by one that does;
+// with `browser` settings, so is a session created with different ones.
+export async function getSession(sessionId = DEFAULT_SESSION_ID, { profile, browser } = {}) {
+  const existing = sessions.get(sessionId);
+  const wrongProfile = profile !== undefined && existing?.profile !== profile;
+  const wrongBrowser = browser !== undefined && existing && settingsKey(existing.settings) !== settingsKey(browser);
+  if (isAlive(existing) && !wrongProfile && !wrongBrowser) {
+    existing.lastUsedAt = Date.now();
+    return existing;
+  }
+  if (existing) {
+    await closeSession(sessionId);
+  }
+
+  if (!pendingSessions.has(sessionId)) {
+    pendingSessions.set(
+      sessionId,
+      createSession(sessionId, { profile, browser }).finally(() => pendingSessions.delete(sessionId))
+    );
+  }
+  return pendingSessions.get(sessionId);
+}
+
+// Like getSession, but never opens a new context
+export function findSession(sessionId = DEFAULT_SESSION_ID) {
+  const session = sessions.get(sessionId);
+  if (!isAlive(session)) {
+    return null;
+  }
+  session.lastUsedAt = Date.now();
+  return session;
+}
+
+// Saves the session's cookies and localStorage as a login profile; the session then counts as using it
+export async function saveSessionProfile(sessionId, name) {
+  const session = findSession(sessionId);
+  if (!session) {
+    throw new ProfileStoreError(`No open browser session "${sessionId}" to save`, 404);
+  }
+  const profile = await saveProfile(name, await session.context.storageState());
+  session.profile = name;
+  return profile;
+}
+
+// Open sessions using a login profile, most recently used first, so the profile can be refreshed from one
+export function profileSessions(name) {
+  return [...sessions.values()]
+    .filter(session => session.profile === name && isAlive(session))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+export async function closeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+  sessions.delete(sessionId);
+  console.log(`🔒 Closing browser session "${sessionId}"...`);
+  try {
+    await session.context.close();
+  } catch (error) {
+    console.error(`❌ Error closing session "${sessionId}":`, error.message);
+  }
+  return true;
+}
+
+export function listSessions() {
+  return [...sessions.values()].map(session => ({
+    id: session.id,
+    profile: session.profile,
+    browser: publicBrowserSettings(session.settings),
+    url: session.page.isClosed() ? null : session.page.url(),
+    tabs: session.context.pages().length,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastUsedAt: new Date(session.lastUsedAt).toISOString(),
+    idleMs: Date.now() - session.lastUsedAt,
+  }));
+}
+
+export async function closeAllSessions() {
+  await Promise.all([...sessions.keys()].map(closeSession));
+  await Promise.all([...browsers].map(async ([key, browser]) => {
+    browsers.delete(key);
+    try {
+      await browser.close();
+      console.log(`✅ Browser ${key} closed successfully`);
+    } catch (error) {
+      console.error(`❌ Error closing browser ${key}:`, error.message);
+    }
+  }));
+}
+
+// Idle-timeout eviction
+const sweeper = setInterval(async () => {
+  const now = Date.now();
+  for (const session of [...sessions.values()]) {
+    if (now - session.lastUsedAt > SESSION_IDLE_TIMEOUT_MS) {
+      console.log(`⌛ Session "${session.id}" idle for too long, evicting`);
+      await closeSession(session.id);
+    }
+  }
+}, SESSION_SWEEP_INTERVAL_MS);
+sweeper.unref();
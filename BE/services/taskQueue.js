@@ -0,0 +1,242 @@
+import { v4 as uuidv4 } from "uuid";
+import { runAutomation } from "./agentRunner.js";
+import { closeSession } from "./sessionManager.js";
+import { startRun, recordRunEvent, finishRun } from "./runStore.js";
+import { createApprovalGate, refuseApproval } from "./approvals.js";
+import { RECORD_HAR_BY_DEFAULT } from "./networkLog.js";
+import { publicBrowserSettings } from "./browserSettings.js";
+
+const TASK_CONCURRENCY = Number(process.env.TASK_CONCURRENCY) || 2;
+const TASK_TIMEOUT_MS = Number(process.env.TASK_TIMEOUT_MS) || 10 * 60 * 1000;
+const TASK_RETENTION_MS = Number(process.env.TASK_RETENTION_MS) || 60 * 60 * 1000;
+export const DEFAULT_MAX_TURNS = Number(process.env.MAX_TURNS) || 25;
+export const MAX_TURNS_LIMIT = Number(process.env.MAX_TURNS_LIMIT) || 100;
+
+const FINISHED_STATUSES = ["succeeded", "failed", "cancelled", "timed_out"];
+
+export class TaskCancelledError extends Error {
+  constructor() {
+    super("Task was cancelled");
+    this.name = "TaskCancelledError";
+  }
+}
+
+export class TaskTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Task timed out after ${Math.round(timeoutMs / 1000)}s`);
+    this.name = "TaskTimeoutError";
+  }
+}
+
+const tasks = new Map();
+const queue = [];
+let runningCount = 0;
+// Sessions a running task is using. Tasks share a session's page, so only one runs on it at a time
+const busySessions = new Set();
+
+function publish(task, event) {
+  task.events.push(event);
+  recordRunEvent(task.id, event);
+  for (const listener of task.listeners) {
+    listener(event);
+  }
+}
+
+function finish(task, status, fields = {}) {
+  Object.assign(task, fields, { status, finishedAt: new Date() });
+  finishRun(task.id, status);
+  publish(task, { type: "task_finished", status, timestamp: task.finishedAt.toISOString() });
+  task.listeners.clear();
+  task.resolveDone(task);
+}
+
+async function runTask(task) {
+  runningCount++;
+  busySessions.add(task.sessionId);
+  task.status = "running";
+  task.startedAt = new Date();
+  console.log(`▶️ Task ${task.id} started (${runningCount}/${TASK_CONCURRENCY} running)`);
+
+  const timer = setTimeout(() => {
+    task.controller.abort(new TaskTimeoutError(TASK_TIMEOUT_MS));
+    closeSession(task.sessionId);
+  }, TASK_TIMEOUT_MS);
+
+  try {
+    const result = await runAutomation({
+      runId: task.id,
+      prompt: task.prompt,
+      sessionId: task.sessionId,
+      maxTurns: task.maxTurns,
+      extract: task.extract,
+      attachments: task.attachments,
+      profile: task.profile,
+      saveProfile: task.saveProfile,
+      recordHar: task.recordHar,
+      expectedOutcomes: task.expectedOutcomes,
+      browser: task.browser,
+      requestApproval: task.approvals?.request || (task.refuseApprovals ? refuseApproval : undefined),
+      signal: task.controller.signal,
+      onEvent: (event) => publish(task, event),
+    });
+    finish(task, "succeeded", { result });
+  } catch (error) {
+    const reason = task.controller.signal.aborted ? task.controller.signal.reason : error;
+    const status = reason instanceof TaskTimeoutError ? "timed_out"
+      : reason instanceof TaskCancelledError ? "cancelled"
+      : "failed";
+    console.error(`❌ Task ${task.id} ${status}:`, reason.message);
+    publish(task, { type: "error", error: reason.message, timestamp: new Date().toISOString() });
+    finish(task, status, { error: reason.message });
+  } finally {
+    clearTimeout(timer);
+    runningCount--;
+    // Contexts the task opened for itself don't outlive it
+    if (task.ownsSession) {
+      await closeSession(task.sessionId);
+    }
+    busySessions.delete(task.sessionId);
+    drain();
+  }
+}
+
+// Starts queued tasks in order, skipping those whose session is busy until its task is done
+function drain() {
+  while (runningCount < TASK_CONCURRENCY) {
+    const index = queue.findIndex(task => !busySessions.has(task.sessionId));
+    if (index === -1) break;
+    runTask(queue.splice(index, 1)[0]);
+  }
+}
+
+export function clampMaxTurns(maxTurns) {
+  const turns = Number.parseInt(maxTurns, 10);
+  if (!Number.isFinite(turns) || turns < 1) {
+    return DEFAULT_MAX_TURNS;
+  }
+  return Math.min(turns, MAX_TURNS_LIMIT);
+}
+
+// A task closes its browser session when done if it owns it, which by default is when it got its own.
+// With requireApproval, sensitive actions wait for answerApproval before going ahead; with refuseApprovals they are refused.
+// `profile` and `saveProfile` name login profiles to start from and to save to (see profileStore.js).
+// `expectedOutcomes` are checks the run's verdict is judged on (see assertions.js).
+// `browser` are the settings the session's browser is launched with (see browserSettings.js), null to keep it.
+export function createTask({ prompt, sessionId, maxTurns, extract = null, attachments = [], profile = null, saveProfile = null, recordHar = RECORD_HAR_BY_DEFAULT, expectedOutcomes = [], browser = null, requireApproval = false, refuseApprovals = false, ownsSession = !sessionId }) {
+  const id = uuidv4();
+  const task = {
+    id,
+    prompt,
+    sessionId: sessionId || `task-${id}`,
+    ownsSession,
+    maxTurns: clampMaxTurns(maxTurns),
+    extract,
+    attachments,
+    profile,
+    saveProfile,
+    recordHar,
+    expectedOutcomes,
+    browser,
+    refuseApprovals,
+    status: "queued",
+    result: null,
+    error: null,
+    events: [],
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController(),
+    listeners: new Set(),
+  };
+  task.done = new Promise((resolve) => {
+    task.resolveDone = resolve;
+  });
+  task.approvals = requireApproval
+    ? createApprovalGate({ publish: (event) => publish(task, event), signal: task.controller.signal })
+    : null;
+
+  tasks.set(id, task);
+  startRun(task);
+  queue.push(task);
+  console.log(`📥 Task ${id} queued (${queue.length} waiting)`);
+  drain();
+  return task;
+}
+
+export function getTask(id) {
+  return tasks.get(id) || null;
+}
+
+export function isFinished(task) {
+  return FINISHED_STATUSES.includes(task.status);
+}
+
+// Replays what already happened, then forwards new events until the task finishes
+export function subscribe(task, listener) {
+  task.events.forEach(listener);
+  if (isFinished(task)) {
+    return () => {};
+  }
+  task.listeners.add(listener);
+  return () => task.listeners.delete(listener);
+}
+
+export async function cancelTask(id) {
+  const task = tasks.get(id);
+  if (!task || isFinished(task)) {
+    return task;
+  }
+
+  const queuedIndex = queue.indexOf(task);
+  if (queuedIndex !== -1) {
+    queue.splice(queuedIndex, 1);
+    finish(task, "cancelled", { error: new TaskCancelledError().message });
+    return task;
+  }
+
+  console.log(`🛑 Cancelling task ${id}...`);
+  task.controller.abort(new TaskCancelledError());
+  await closeSession(task.sessionId);
+  await task.done;
+  return task;
+}
+
+// Returns false if the task has no pending approval with that id (unknown, already answered or timed out)
+export function answerApproval(id, approvalId, decision) {
+  const task = tasks.get(id);
+  if (!task?.approvals || isFinished(task)) {
+    return false;
+  }
+  return task.approvals.answer(approvalId, decision);
+}
+
+export function serializeTask(task) {
+  return {
+    id: task.id,
+    status: task.status,
+    prompt: task.prompt,
+    sessionId: task.sessionId,
+    maxTurns: task.maxTurns,
+    profile: task.profile,
+    saveProfile: task.saveProfile,
+    browser: task.browser && publicBrowserSettings(task.browser),
+    result: task.result,
+    error: task.error,
+    createdAt: task.createdAt.toISOString(),
+    startedAt: task.startedAt?.toISOString() || null,
+    finishedAt: task.finishedAt?.toISOString() || null,
+    queuePosition: task.status === "queued" ? queue.indexOf(task) + 1 : null,
+    pendingApprovals: task.approvals?.pending() || [],
+  };
+}
+
+// Forget finished tasks after a while so the map doesn't grow forever
+const sweeper = setInterval(() => {
+  const cutoff = Date.now() - TASK_RETENTION_MS;
+  for (const task of tasks.values()) {
+    if (isFinished(task) && task.finishedAt.getTime() < cutoff) {
+      tasks.delete(task.id);
+    }
+  }
+}, 60 * 1000);
+sweeper.unref();
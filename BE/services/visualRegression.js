@@ -0,0 +1,343 @@
+import path from "path";
+import fs from "fs";
+import { PNG } from "pngjs";
+import pixelmatch from "pixelmatch";
+import { v4 as uuidv4 } from "uuid";
+import { screenshotsDir, screenshotRef } from "./screenshotStore.js";
+
+// A screenshot taken as a named checkpoint (e.g. "checkout-page") is pixel-diffed against that checkpoint's
+// baseline; the first one becomes the baseline. Baselines live in baselines/<name>.png with their settings in
+// baselines/<name>.json, and every comparison in baselines/comparisons/<id>.json. The screenshots and diff
+// images themselves go to screenshots/ like any other, so they are served and cleaned up with them.
+// Resolved, since baselines are sent with res.sendFile
+const baselinesDir = path.resolve(process.env.BASELINES_DIR || 'baselines');
+const comparisonsDir = path.join(baselinesDir, 'comparisons');
+const CHECKPOINT_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+// pixelmatch's per-pixel color threshold (0 to 1): higher ignores smaller changes such as anti-aliasing
+export const DEFAULT_PIXEL_THRESHOLD = Number(process.env.VISUAL_PIXEL_THRESHOLD) || 0.1;
+// The share of pixels that may differ before a checkpoint counts as changed
+export const DEFAULT_MAX_DIFF_RATIO = Number(process.env.VISUAL_MAX_DIFF_RATIO) || 0.001;
+const COMPARISON_LIMIT = Number(process.env.VISUAL_COMPARISON_LIMIT) || 500;
+// Ignored regions are painted over in both images before diffing, and missing areas are padded, in this color
+const FILL = [255, 0, 255, 255];
+
+export class VisualRegressionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "VisualRegressionError";
+    this.status = status;
+  }
+}
+
+// name -> { name, width, height, threshold, maxDiffRatio, ignoreRegions, ignoreSelectors, createdAt, updatedAt, acceptedFrom }
+const checkpoints = new Map();
+// id -> { id, checkpoint, status, diffPixels, diffRatio, ..., screenshot, diff }, oldest first
+const comparisons = new Map();
+
+function checkpointFile(name, extension) {
+  return path.join(baselinesDir, `${name}.${extension}`);
+}
+
+function comparisonFile(id) {
+  return path.join(comparisonsDir, `${path.basename(id)}.json`);
+}
+
+export function baselineUrl(name) {
+  return `/api/visual/checkpoints/${encodeURIComponent(name)}/baseline`;
+}
+
+export function baselineFile(name) {
+  return checkpointFile(name, "png");
+}
+
+export function validateCheckpointName(name) {
+  if (typeof name !== "string" || !CHECKPOINT_NAME_PATTERN.test(name) || /^\.+$/.test(name)) {
+    throw new VisualRegressionError("Checkpoint names may only use letters, digits, _ . and - (max 64)");
+  }
+  return name;
+}
+
+function loadStore() {
+  if (!fs.existsSync(baselinesDir)) return;
+  for (const file of fs.readdirSync(baselinesDir).filter(file => file.endsWith(".json"))) {
+    try {
+      const checkpoint = JSON.parse(fs.readFileSync(path.join(baselinesDir, file), 'utf8'));
+      checkpoints.set(checkpoint.name, checkpoint);
+    } catch {
+      console.error(`⚠️ Skipping unreadable checkpoint ${file}`);
+    }
+  }
+  if (fs.existsSync(comparisonsDir)) {
+    const stored = [];
+    for (const file of fs.readdirSync(comparisonsDir).filter(file => file.endsWith(".json"))) {
+      try {
+        stored.push(JSON.parse(fs.readFileSync(path.join(comparisonsDir, file), 'utf8')));
+      } catch {
+        console.error(`⚠️ Skipping unreadable comparison ${file}`);
+      }
+    }
+    stored.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).forEach(comparison => comparisons.set(comparison.id, comparison));
+  }
+  console.log(`🖼️ Loaded ${checkpoints.size} visual checkpoints and ${comparisons.size} comparisons`);
+}
+
+function describe(checkpoint) {
+  return { ...checkpoint, baselineUrl: baselineUrl(checkpoint.name) };
+}
+
+async function saveCheckpoint(checkpoint) {
+  await fs.promises.mkdir(baselinesDir, { recursive: true });
+  await fs.promises.writeFile(checkpointFile(checkpoint.name, "json"), JSON.stringify(checkpoint, null, 2));
+  checkpoints.set(checkpoint.name, checkpoint);
+}
+
+// Comparisons past the limit are forgotten, oldest first
+async function saveComparison(comparison) {
+  await fs.promises.mkdir(comparisonsDir, { recursive: true });
+  await fs.promises.writeFile(comparisonFile(comparison.id), JSON.stringify(comparison, null, 2));
+  comparisons.delete(comparison.id);
+  comparisons.set(comparison.id, comparison);
+  while (comparisons.size > COMPARISON_LIMIT) {
+    const [oldest] = comparisons.keys();
+    comparisons.delete(oldest);
+    await fs.promises.unlink(comparisonFile(oldest)).catch(() => {});
+  }
+}
+
+export function listCheckpoints() {
+  return [...checkpoints.values()]
+    .map(describe)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getCheckpoint(name) {
+  const checkpoint = checkpoints.get(name);
+  return checkpoint ? describe(checkpoint) : null;
+}
+
+function requireCheckpoint(name) {
+  const checkpoint = checkpoints.get(name);
+  if (!checkpoint) {
+    throw new VisualRegressionError(`No visual checkpoint named "${name}"`, 404);
+  }
+  return checkpoint;
+}
+
+function validateRatio(value, field) {
+  if (typeof value !== "number" || !(value >= 0 && value <= 1)) {
+    throw new VisualRegressionError(`${field} must be a number from 0 to 1`);
+  }
+  return value;
+}
+
+function validateRegions(regions) {
+  const valid = Array.isArray(regions) && regions.every(region =>
+    ["x", "y", "width", "height"].every(key => Number.isFinite(region?.[key]) && region[key] >= 0)
+  );
+  if (!valid) {
+    throw new VisualRegressionError("ignoreRegions must be a list of { x, y, width, height } in pixels");
+  }
+  return regions.map(({ x, y, width, height }) => ({ x, y, width, height }));
+}
+
+function validateSelectors(selectors) {
+  if (!Array.isArray(selectors) || !selectors.every(selector => typeof selector === "string" && selector.trim())) {
+    throw new VisualRegressionError("ignoreSelectors must be a list of CSS selectors");
+  }
+  return selectors;
+}
+
+// Changes how a checkpoint is compared: threshold, maxDiffRatio, ignoreRegions (rectangles on the page) and
+// ignoreSelectors (elements masked when the screenshot is taken, e.g. a clock or an ad)
+export async function updateCheckpoint(name, changes = {}) {
+  const checkpoint = requireCheckpoint(name);
+  const updated = { ...checkpoint, updatedAt: new Date().toISOString() };
+  if (changes.threshold !== undefined) updated.threshold = validateRatio(changes.threshold, "threshold");
+  if (changes.maxDiffRatio !== undefined) updated.maxDiffRatio = validateRatio(changes.maxDiffRatio, "maxDiffRatio");
+  if (changes.ignoreRegions !== undefined) updated.ignoreRegions = validateRegions(changes.ignoreRegions);
+  if (changes.ignoreSelectors !== undefined) updated.ignoreSelectors = validateSelectors(changes.ignoreSelectors);
+  await saveCheckpoint(updated);
+  return describe(updated);
+}
+
+export async function deleteCheckpoint(name) {
+  if (!checkpoints.has(name)) {
+    return false;
+  }
+  await fs.promises.unlink(checkpointFile(name, "json")).catch(() => {});
+  await fs.promises.unlink(checkpointFile(name, "png")).catch(() => {});
+  checkpoints.delete(name);
+  return true;
+}
+
+export function listComparisons({ status, checkpoint, limit = 50 } = {}) {
+  return [...comparisons.values()]
+    .filter(comparison => !status || comparison.status === status)
+    .filter(comparison => !checkpoint || comparison.checkpoint === checkpoint)
+    .reverse()
+    .slice(0, Math.min(Math.max(Number.parseInt(limit, 10) || 50, 1), COMPARISON_LIMIT));
+}
+
+export function getComparison(id) {
+  return comparisons.get(id) || null;
+}
+
+// Copies an image into a canvas of the given size, padding what it doesn't cover and painting over the ignored regions
+function normalize(image, width, height, regions) {
+  const canvas = new PNG({ width, height });
+  for (let i = 0; i < canvas.data.length; i += 4) {
+    canvas.data.set(FILL, i);
+  }
+  PNG.bitblt(image, canvas, 0, 0, image.width, image.height, 0, 0);
+  for (const region of regions) {
+    const x0 = Math.min(Math.floor(region.x), width);
+    const y0 = Math.min(Math.floor(region.y), height);
+    const x1 = Math.min(Math.ceil(region.x + region.width), width);
+    const y1 = Math.min(Math.ceil(region.y + region.height), height);
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        canvas.data.set(FILL, (y * width + x) * 4);
+      }
+    }
+  }
+  return canvas;
+}
+
+// Pixel-diffs two PNGs of possibly different sizes: { diffPixels, diffRatio, width, height, diff (PNG buffer) }
+export function diffImages(baselinePng, actualPng, { threshold = DEFAULT_PIXEL_THRESHOLD, ignoreRegions = [] } = {}) {
+  const baseline = PNG.sync.read(baselinePng);
+  const actual = PNG.sync.read(actualPng);
+  const width = Math.max(baseline.width, actual.width);
+  const height = Math.max(baseline.height, actual.height);
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(
+    normalize(baseline, width, height, ignoreRegions).data,
+    normalize(actual, width, height, ignoreRegions).data,
+    diff.data,
+    width,
+    height,
+    { threshold },
+  );
+  return { diffPixels, diffRatio: Number((diffPixels / (width * height)).toFixed(6)), width, height, diff: PNG.sync.write(diff) };
+}
+
+// What to pass to page.screenshot for a checkpoint, so baselines and later shots are taken the same way
+export function checkpointScreenshotOptions(page, name) {
+  const selectors = checkpoints.get(name)?.ignoreSelectors || [];
+  return {
+    fullPage: true,
+    animations: "disabled",
+    caret: "hide",
+    ...(selectors.length > 0 && { mask: selectors.map(selector => page.locator(selector)) }),
+  };
+}
+
+function imageSize(png) {
+  const { width, height } = PNG.sync.read(png);
+  return { width, height };
+}
+
+// Compares a checkpoint screenshot (already saved as screenshots/<filename>) with the checkpoint's baseline,
+// or makes it the baseline if there is none yet. Returns the stored comparison, whose status is
+// "new" (became the baseline), "passed" or "changed".
+export async function compareCheckpoint(name, png, { filename, runId = null, sessionId = null, url = null } = {}) {
+  validateCheckpointName(name);
+  const now = new Date().toISOString();
+  const comparison = {
+    id: uuidv4(),
+    checkpoint: name,
+    status: null,
+    diffPixels: 0,
+    diffRatio: 0,
+    threshold: null,
+    maxDiffRatio: null,
+    sizeChanged: false,
+    baselineSize: null,
+    actualSize: imageSize(png),
+    screenshot: screenshotRef(filename),
+    diff: null,
+    runId,
+    sessionId,
+    url,
+    createdAt: now,
+    acceptedAt: null,
+  };
+
+  const checkpoint = checkpoints.get(name);
+  if (!checkpoint || !fs.existsSync(baselineFile(name))) {
+    await fs.promises.mkdir(baselinesDir, { recursive: true });
+    await fs.promises.writeFile(baselineFile(name), png);
+    await saveCheckpoint({
+      name,
+      ...comparison.actualSize,
+      threshold: checkpoint?.threshold ?? DEFAULT_PIXEL_THRESHOLD,
+      maxDiffRatio: checkpoint?.maxDiffRatio ?? DEFAULT_MAX_DIFF_RATIO,
+      ignoreRegions: checkpoint?.ignoreRegions || [],
+      ignoreSelectors: checkpoint?.ignoreSelectors || [],
+      createdAt: checkpoint?.createdAt || now,
+      updatedAt: now,
+      acceptedFrom: comparison.id,
+    });
+    Object.assign(comparison, { status: "new", baselineSize: comparison.actualSize });
+    await saveComparison(comparison);
+    return comparison;
+  }
+
+  const result = diffImages(await fs.promises.readFile(baselineFile(name)), png, checkpoint);
+  const diffFilename = `${name}-diff_${now.replace(/[:.]/g, '-')}.png`;
+  await fs.promises.writeFile(path.join(screenshotsDir, diffFilename), result.diff);
+  Object.assign(comparison, {
+    status: result.diffRatio > checkpoint.maxDiffRatio ? "changed" : "passed",
+    diffPixels: result.diffPixels,
+    diffRatio: result.diffRatio,
+    threshold: checkpoint.threshold,
+    maxDiffRatio: checkpoint.maxDiffRatio,
+    baselineSize: { width: checkpoint.width, height: checkpoint.height },
+    sizeChanged: checkpoint.width !== comparison.actualSize.width || checkpoint.height !== comparison.actualSize.height,
+    diff: screenshotRef(diffFilename),
+  });
+  await saveComparison(comparison);
+  return comparison;
+}
+
+// Makes a comparison's screenshot the checkpoint's new baseline, e.g. after an intended UI change
+export async function acceptComparison(id) {
+  const comparison = comparisons.get(id);
+  if (!comparison) {
+    throw new VisualRegressionError(`No visual comparison with id "${id}"`, 404);
+  }
+  if (comparison.status === "new" || comparison.status === "accepted") {
+    throw new VisualRegressionError(`This screenshot is already the baseline of "${comparison.checkpoint}"`, 409);
+  }
+  const checkpoint = requireCheckpoint(comparison.checkpoint);
+  const screenshotPath = path.join(screenshotsDir, comparison.screenshot.filename);
+  if (!fs.existsSync(screenshotPath)) {
+    throw new VisualRegressionError("The screenshot of this comparison has been cleaned up, take a new one", 410);
+  }
+  const now = new Date().toISOString();
+  await fs.promises.copyFile(screenshotPath, baselineFile(checkpoint.name));
+  await saveCheckpoint({ ...checkpoint, ...comparison.actualSize, updatedAt: now, acceptedFrom: comparison.id });
+  const accepted = { ...comparison, status: "accepted", acceptedAt: now };
+  await saveComparison(accepted);
+  console.log(`🖼️ Accepted a new baseline for checkpoint "${checkpoint.name}"`);
+  return accepted;
+}
+
+// One line for tool results and logs
+export function describeComparison(comparison) {
+  const percent = `${(comparison.diffRatio * 100).toFixed(2)}%`;
+  switch (comparison.status) {
+    case "new":
+      return `🆕 Saved as the first baseline of checkpoint "${comparison.checkpoint}"`;
+    case "passed":
+      return `🖼️ Checkpoint "${comparison.checkpoint}" matches its baseline (${percent} of pixels differ)`;
+    default: {
+      const size = comparison.sizeChanged
+        ? `, page size changed from ${comparison.baselineSize.width}x${comparison.baselineSize.height} to ${comparison.actualSize.width}x${comparison.actualSize.height}`
+        : "";
+      return `⚠️ Checkpoint "${comparison.checkpoint}" differs from its baseline: ${percent} of pixels changed (${(comparison.maxDiffRatio * 100).toFixed(2)}% allowed${size}). Diff image: ${comparison.diff.filename}`;
+    }
+  }
+}
+
+loadStore();
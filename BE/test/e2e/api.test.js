@@ -0,0 +1,343 @@
+import "../helpers/env.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startFixtureSite, listen } from "../fixtures/server.js";
+import { app } from "../../app.js";
+import { setFakeScript } from "../../services/fakeModel.js";
+import { getSession, findSession, closeAllSessions } from "../../services/sessionManager.js";
+import { screenshotsDir } from "../../services/screenshotStore.js";
+
+async function send(api, method, route, body, sessionId) {
+  const response = await fetch(`${api.url}${route}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(sessionId && { "X-Session-Id": sessionId }) },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const post = (api, route, body, sessionId) => send(api, "POST", route, body, sessionId);
+
+describe("/api/ask end to end with a scripted model", () => {
+  let site;
+  let api;
+
+  before(async () => {
+    site = await startFixtureSite();
+    api = await listen(app);
+    setFakeScript({
+      scenarios: [
+        {
+          match: "log in",
+          turns: [
+            { tool: "visit_url", arguments: { url: `${site.url}/login.html` } },
+            { tool: "type_by_label", arguments: { label: "Email", value: "ada@example.com" } },
+            { tool: "type_by_label", arguments: { label: "Password", value: "hunter2" } },
+            { tool: "submit_form", arguments: { buttonText: "Log in" } },
+            { tool: "take_screenshot", arguments: { filename: "logged-in" } },
+            { message: "Logged in as ada@example.com" },
+          ],
+        },
+        {
+          // Ends the way the agent's instructions tell it to, by closing the browser
+          match: "close the browser",
+          turns: [
+            { tool: "visit_url", arguments: { url: `${site.url}/login.html` } },
+            { tool: "type_by_label", arguments: { label: "Email", value: "ada@example.com" } },
+            { tool: "type_by_label", arguments: { label: "Password", value: "hunter2" } },
+            { tool: "submit_form", arguments: { buttonText: "Log in" } },
+            { tool: "close_browser", arguments: {} },
+            { message: "Logged in and closed the browser" },
+          ],
+        },
+        {
+          match: "cart",
+          turns: [
+            { tool: "visit_url", arguments: { url: `${site.url}/shop.html` } },
+            { tool: "type_by_label", arguments: { label: "Search products", value: "gadget" } },
+            { tool: "submit_form", arguments: { buttonText: "Search" } },
+            { tool: "click_by_text", arguments: { text: "Add Green Gadget to cart" } },
+            { message: "Added the Green Gadget to the cart" },
+          ],
+        },
+        {
+          match: "signed in",
+          turns: [
+            { tool: "visit_url", arguments: { url: `${site.url}/login.html` } },
+            { message: "You are signed in" },
+          ],
+        },
+        {
+          match: "orders",
+          turns: [
+            { tool: "visit_url", arguments: { url: `${site.url}/orders.html` } },
+            { message: "The orders page is stuck loading because its API returns 404" },
+          ],
+        },
+        {
+          match: "landing baseline",
+          turns: [
+            { tool: "visit_url", arguments: { url: `${site.url}/index.html` } },
+            { tool: "take_screenshot", arguments: { filename: "landing", checkpoint: "landing" } },
+            { message: "Compared the landing page with its baseline" },
+          ],
+        },
+        {
+          match: "redesigned landing",
+          turns: [
+            { tool: "visit_url", arguments: { url: `${site.url}/shop.html` } },
+            { tool: "take_screenshot", arguments: { filename: "landing", checkpoint: "landing" } },
+            { message: "The landing page changed" },
+          ],
+        },
+      ],
+    });
+  });
+
+  after(async () => {
+    setFakeScript(null);
+    await closeAllSessions();
+    await api?.close();
+    await site?.close();
+  });
+
+  it("logs in, returns the screenshot and stores an exportable run", async () => {
+    const { status, body } = await post(api, "/api/ask", { prompt: "Please log in to the fixture site" }, "e2e-login");
+    assert.equal(status, 200, body.error);
+    assert.equal(body.success, true);
+    assert.equal(body.message, "Logged in as ada@example.com");
+    assert.equal(body.screenshots.length, 1);
+    assert.match(body.screenshots[0].filename, /^logged-in_/);
+
+    const { page } = await getSession("e2e-login");
+    assert.equal(await page.textContent("#status"), "Welcome back, ada@example.com");
+
+    const screenshot = await fetch(`${api.url}${body.screenshots[0].url}`);
+    assert.equal(screenshot.status, 200);
+    assert.equal(screenshot.headers.get("content-type"), "image/png");
+
+    const run = await (await fetch(`${api.url}/api/runs/${body.taskId}`)).json();
+    assert.equal(run.run.status, "succeeded");
+    assert.deepEqual(run.run.steps.map(step => step.tool), ["visit_url", "type_by_label", "type_by_label", "submit_form", "take_screenshot"]);
+
+    const spec = await (await fetch(`${api.url}/api/runs/${body.taskId}/export`)).text();
+    assert.match(spec, /await page\.goto\(".*\/login\.html"/);
+    assert.match(spec, /\.fill\("hunter2"\)/);
+  });
+
+  it("searches the shop and adds a product to the cart", async () => {
+    const { status, body } = await post(api, "/api/ask", { prompt: "Add a gadget to my cart" }, "e2e-shop");
+    assert.equal(status, 200, body.error);
+    assert.equal(body.message, "Added the Green Gadget to the cart");
+
+    const { page } = await getSession("e2e-shop");
+    assert.equal(await page.textContent("#cart"), "Cart (1)");
+  });
+
+  it("replays a trace under the safety policy and keeps screenshots in their folder", async () => {
+    const { status, body } = await post(api, "/api/replay", {
+      trace: {
+        actions: [
+          { kind: "goto", url: `${site.url}/interactions.html`, waitUntil: "load" },
+          { kind: "screenshot", name: "../../escaped" },
+          { kind: "fill", locator: { strategy: "css", selector: "#confirm" }, value: "DELETE" },
+          { kind: "press", locator: { strategy: "css", selector: "#confirm" }, key: "Enter" },
+        ],
+      },
+    });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.success, false);
+    assert.deepEqual(body.steps.map(step => step.status), ["passed", "passed", "passed", "refused"]);
+    assert.match(body.steps[3].error, /delete account/i);
+    assert.equal(body.recoveryTaskId, null);
+    assert.ok(fs.existsSync(path.join(screenshotsDir, `escaped_replay-${body.replayId}.png`)));
+  });
+
+  it("saves a login profile and starts a later task from it", async () => {
+    const saved = await post(api, "/api/ask", { prompt: "Please log in to the fixture site", saveProfile: "fixture-user" }, "e2e-profile-save");
+    assert.equal(saved.status, 200, saved.body.error);
+    assert.equal(saved.body.profile.name, "fixture-user");
+    assert.deepEqual(saved.body.profile.domains, ["127.0.0.1"]);
+    assert.equal(saved.body.profile.data, undefined);
+
+    const used = await post(api, "/api/ask", { prompt: "Check that I am signed in", profile: "fixture-user" }, "e2e-profile-use");
+    assert.equal(used.status, 200, used.body.error);
+    const { page } = await getSession("e2e-profile-use");
+    assert.equal(await page.textContent("#session"), "Signed in as ada@example.com");
+
+    const renamed = await send(api, "PATCH", "/api/profiles/fixture-user", { name: "fixture-admin" });
+    assert.equal(renamed.status, 200, renamed.body.error);
+    // The session that started from the profile follows the rename, so it can refresh it
+    assert.equal((await post(api, "/api/profiles/fixture-admin/refresh", {})).status, 200);
+    assert.deepEqual((await send(api, "GET", "/api/profiles")).body.profiles.map(profile => profile.name), ["fixture-admin"]);
+
+    assert.equal((await send(api, "DELETE", "/api/profiles/fixture-admin")).status, 200);
+    const missing = await post(api, "/api/ask", { prompt: "Check that I am signed in", profile: "fixture-admin" }, "e2e-profile-use");
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /No login profile named "fixture-admin"/);
+  });
+
+  it("saves the login profile of a run that closed its browser", async () => {
+    const { status, body } = await post(api, "/api/ask", { prompt: "Sign in, then close the browser", saveProfile: "closed-browser-user" }, "e2e-profile-closed");
+    assert.equal(status, 200, body.error);
+    assert.equal(body.profile.name, "closed-browser-user");
+    assert.deepEqual(body.profile.domains, ["127.0.0.1"]);
+    assert.equal(findSession("e2e-profile-closed"), null);
+    assert.equal((await send(api, "DELETE", "/api/profiles/closed-browser-user")).status, 200);
+  });
+
+  it("reports failed requests and records a HAR when asked", async () => {
+    const { status, body } = await post(api, "/api/ask", { prompt: "Why are my orders not showing?", recordHar: true }, "e2e-network");
+    assert.equal(status, 200, body.error);
+    assert.deepEqual(body.failedRequests.map(request => [request.status, new URL(request.url).pathname]), [[404, "/api/orders.json"]]);
+    assert.match(body.har.url, new RegExp(`^/api/runs/${body.taskId}/har$`));
+
+    const har = await (await fetch(`${api.url}${body.har.url}`)).json();
+    assert.equal(har.log.version, "1.2");
+    assert.equal(har.log.entries.length, body.har.entries);
+    assert.ok(har.log.entries.some(entry => entry.request.url.endsWith("/orders.html") && entry.response.status === 200));
+
+    const run = await (await fetch(`${api.url}/api/runs/${body.taskId}`)).json();
+    assert.equal(run.run.failedRequests.length, 1);
+  });
+
+  it("judges the expected outcomes before a closed browser goes away", async () => {
+    const { status, body } = await post(api, "/api/ask", {
+      prompt: "Sign in, then close the browser",
+      expectedOutcomes: [{ type: "text_visible", text: "Welcome back" }],
+    }, "e2e-verdict-closed");
+    assert.equal(status, 200, body.error);
+    assert.equal(body.verdict.passed, true);
+    assert.equal(findSession("e2e-verdict-closed"), null);
+  });
+
+  it("judges the run on the expected outcomes", async () => {
+    const { status, body } = await post(api, "/api/ask", {
+      prompt: "Please log in to the fixture site",
+      expectedOutcomes: [
+        { type: "text_visible", text: "Welcome back", name: "Greets the user" },
+        { type: "input_value", label: "Email", value: "ada@example.com" },
+        { type: "title_contains", text: "Dashboard", timeoutMs: 500 },
+      ],
+    }, "e2e-verdict");
+    assert.equal(status, 200, body.error);
+    assert.equal(body.verdict.passed, false);
+    assert.deepEqual(body.verdict.outcomes.map(outcome => [outcome.name, outcome.passed]), [
+      ["Greets the user", true],
+      ['value of "Email" is "ada@example.com"', true],
+      ['title contains "Dashboard"', false],
+    ]);
+    assert.equal(body.verdict.outcomes[0].matchedText, "Welcome back, ada@example.com");
+    assert.equal(body.verdict.outcomes[2].actual, "Log in");
+    assert.match(body.verdict.outcomes[2].screenshot.url, /^\/screenshots\/check-failed_/);
+
+    const run = await (await fetch(`${api.url}/api/runs/${body.taskId}`)).json();
+    assert.equal(run.run.verdict.passed, false);
+
+    const invalid = await post(api, "/api/ask", { prompt: "Please log in", expectedOutcomes: [{ type: "url_matches" }] }, "e2e-verdict");
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /url_matches needs the url/);
+  });
+
+  it("compares a checkpoint with its baseline and accepts the reviewed change", async () => {
+    const first = await post(api, "/api/ask", { prompt: "Save the landing baseline" }, "e2e-visual");
+    assert.equal(first.status, 200, first.body.error);
+    assert.deepEqual(first.body.visualChecks.map(check => check.status), ["new"]);
+
+    const changed = await post(api, "/api/ask", { prompt: "Check the redesigned landing page" }, "e2e-visual");
+    assert.equal(changed.status, 200, changed.body.error);
+    const [check] = changed.body.visualChecks;
+    assert.equal(check.status, "changed");
+    assert.match(check.diff.url, /^\/screenshots\/landing-diff_/);
+
+    const pending = await send(api, "GET", "/api/visual/comparisons?status=changed");
+    assert.deepEqual(pending.body.comparisons.map(comparison => comparison.id), [check.id]);
+    assert.equal(pending.body.comparisons[0].runId, changed.body.taskId);
+
+    const accepted = await post(api, `/api/visual/comparisons/${check.id}/accept`);
+    assert.equal(accepted.status, 200, accepted.body.error);
+    assert.equal(accepted.body.comparison.status, "accepted");
+    assert.equal(accepted.body.checkpoint.acceptedFrom, check.id);
+    assert.equal((await post(api, `/api/visual/comparisons/${check.id}/accept`)).status, 409);
+
+    const baseline = await fetch(`${api.url}${accepted.body.checkpoint.baselineUrl}`);
+    assert.equal(baseline.headers.get("content-type"), "image/png");
+    const rerun = await post(api, "/api/ask", { prompt: "Check the redesigned landing page" }, "e2e-visual");
+    assert.deepEqual(rerun.body.visualChecks.map(item => item.status), ["passed"]);
+  });
+
+  it("starts the task's browser with the requested device, locale and timezone", async () => {
+    const { status, body } = await post(api, "/api/ask", {
+      prompt: "Check that I am signed in",
+      browser: { device: "Pixel 7", locale: "de-DE", timezone: "Europe/Berlin", colorScheme: "dark" },
+    }, "e2e-device");
+    assert.equal(status, 200, body.error);
+
+    const { page } = await getSession("e2e-device");
+    const seen = await page.evaluate(() => ({
+      width: window.innerWidth,
+      language: navigator.language,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      dark: matchMedia("(prefers-color-scheme: dark)").matches,
+      touch: navigator.maxTouchPoints > 0,
+    }));
+    assert.deepEqual(seen, { width: 412, language: "de-DE", timezone: "Europe/Berlin", dark: true, touch: true });
+
+    const sessions = await send(api, "GET", "/api/sessions");
+    const session = sessions.body.sessions.find(item => item.id === "e2e-device");
+    assert.equal(session.browser.device, "Pixel 7");
+    assert.equal(session.browser.engine, "chromium");
+  });
+
+  it("rejects browser settings outside the server limits", async () => {
+    const settings = await send(api, "GET", "/api/browser/settings");
+    assert.equal(settings.body.defaults.headless, true);
+    assert.ok(settings.body.limits.devices.includes("iPhone 13"));
+
+    const unknownDevice = await post(api, "/api/ask", { prompt: "Check that I am signed in", browser: { device: "Nokia 3310" } });
+    assert.equal(unknownDevice.status, 400);
+    assert.match(unknownDevice.body.error, /Unknown device "Nokia 3310"/);
+
+    const tooLarge = await post(api, "/api/ask", { prompt: "Check that I am signed in", browser: { viewport: { width: 10000, height: 800 } } });
+    assert.equal(tooLarge.status, 400);
+    assert.match(tooLarge.body.error, /viewport must be between/);
+
+    const proxy = await post(api, "/api/ask", { prompt: "Check that I am signed in", browser: { proxy: { server: "http://proxy.example:3128" } } });
+    assert.equal(proxy.status, 400);
+    assert.match(proxy.body.error, /Custom proxies are disabled/);
+
+    const typo = await post(api, "/api/ask", { prompt: "Check that I am signed in", browser: { engin: "webkit" } });
+    assert.equal(typo.status, 400);
+  });
+
+  it("runs tasks that share a session one after the other", async () => {
+    const first = await post(api, "/api/tasks", { prompt: "Check that I am signed in", sessionId: "e2e-queue" });
+    const second = await post(api, "/api/tasks", { prompt: "Check that I am signed in", sessionId: "e2e-queue" });
+    assert.equal(first.body.task.status, "running");
+    assert.equal(second.body.task.status, "queued");
+
+    const finished = async (taskId) => {
+      for (;;) {
+        const { body } = await send(api, "GET", `/api/tasks/${taskId}`);
+        if (body.task.finishedAt) return body.task;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    };
+    const [firstTask, secondTask] = [await finished(first.body.taskId), await finished(second.body.taskId)];
+    assert.ok(new Date(secondTask.startedAt) >= new Date(firstTask.finishedAt));
+  });
+
+  it("reports a failed run when the model has nothing to say", async () => {
+    const { status, body } = await post(api, "/api/ask", { prompt: "Do something unscripted" }, "e2e-failure");
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+    assert.match(body.error, /No fake model scenario/);
+  });
+
+  it("rejects a request without a prompt", async () => {
+    const { status } = await post(api, "/api/ask", {}, "e2e-failure");
+    assert.equal(status, 400);
+  });
+});
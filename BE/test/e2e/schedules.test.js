@@ -0,0 +1,122 @@
+import "../helpers/env.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { listen } from "../fixtures/server.js";
+import { parseCron, nextRunTime, CronParseError } from "../../services/cron.js";
+
+const sorted = (values) => [...values].sort((a, b) => a - b);
+
+// Dates are local time, like the scheduler's
+const at = (year, month, day, hours = 0, minutes = 0, seconds = 0) => new Date(year, month - 1, day, hours, minutes, seconds);
+
+describe("cron expressions", () => {
+  it("rejects malformed expressions", () => {
+    for (const expression of ["", "* * * *", "* * * * * *", "60 * * * *", "* 24 * * *", "* * 0 * *", "* * * 13 *", "* * * * 8",
+      "*/0 * * * *", "5-1 * * * *", "abc * * * *", "1.5 * * * *", "* * * foo *"]) {
+      assert.throws(() => parseCron(expression), CronParseError, `"${expression}" should not parse`);
+    }
+  });
+
+  it("expands ranges, steps, lists and names", () => {
+    assert.deepEqual(sorted(parseCron("1-3,10,*/20 * * * *").minutes), [0, 1, 2, 3, 10, 20, 40]);
+    assert.deepEqual(sorted(parseCron("5/15 * * * *").minutes), [5, 20, 35, 50]);
+    assert.deepEqual(sorted(parseCron("* 9-17/4 * * *").hours), [9, 13, 17]);
+    assert.deepEqual(sorted(parseCron("* * * jan-mar,DEC *").months), [1, 2, 3, 12]);
+    assert.deepEqual(sorted(parseCron("* * * * mon-fri").weekdays), [1, 2, 3, 4, 5]);
+    // 7 and 0 are both Sunday
+    assert.deepEqual(sorted(parseCron("* * * * 5-7").weekdays), [0, 5, 6]);
+    assert.equal(parseCron("@daily").expression, "@daily");
+    assert.deepEqual(sorted(parseCron("@weekly").weekdays), [0]);
+  });
+
+  it("matches either day field when both are restricted", () => {
+    // 1 January 2026 is a Thursday
+    const after = at(2026, 1, 1, 12);
+    assert.deepEqual(nextRunTime(parseCron("0 0 13 * fri"), after), at(2026, 1, 2));
+    assert.deepEqual(nextRunTime(parseCron("0 0 13 * *"), after), at(2026, 1, 13));
+    assert.deepEqual(nextRunTime(parseCron("0 0 * * fri"), after), at(2026, 1, 2));
+    // A day that has passed this month moves on to the next month
+    assert.deepEqual(nextRunTime(parseCron("0 0 13 * *"), at(2026, 1, 13, 1)), at(2026, 2, 13));
+  });
+
+  it("finds the next run strictly after the given time", () => {
+    assert.deepEqual(nextRunTime(parseCron("0 0 * * *"), at(2026, 1, 1)), at(2026, 1, 2));
+    assert.deepEqual(nextRunTime(parseCron("* * * * *"), at(2026, 1, 1, 10, 30, 45)), at(2026, 1, 1, 10, 31));
+    assert.deepEqual(nextRunTime(parseCron("@hourly"), at(2026, 1, 1, 23, 15)), at(2026, 1, 2, 0, 0));
+    assert.deepEqual(nextRunTime(parseCron("@yearly"), at(2026, 12, 31, 23, 59)), at(2027, 1, 1));
+    assert.deepEqual(nextRunTime(parseCron("30 2 31 * *"), at(2026, 4, 1)), at(2026, 5, 31, 2, 30));
+    assert.deepEqual(nextRunTime(parseCron("0 0 29 2 *"), at(2026, 3, 1)), at(2028, 2, 29));
+    assert.equal(nextRunTime(parseCron("0 0 30 2 *"), at(2026, 1, 1)), null);
+  });
+});
+
+describe("/api/schedules", () => {
+  let api;
+
+  before(async () => {
+    // A schedules file that can't be read is skipped rather than stopping the server from starting
+    fs.mkdirSync("schedules", { recursive: true });
+    fs.writeFileSync(path.join("schedules", "schedules.json"), "{ not json");
+    const { app } = await import("../../app.js");
+    api = await listen(app);
+  });
+
+  after(async () => {
+    await api?.close();
+  });
+
+  async function send(method, route, body) {
+    const response = await fetch(`${api.url}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("creates, lists, reads and deletes a schedule", async () => {
+    assert.deepEqual((await send("GET", "/api/schedules")).body.schedules, []);
+
+    const created = await send("POST", "/api/schedules", { prompt: "Check that I am signed in", cron: "0 9 * * mon-fri", name: "Morning check" });
+    assert.equal(created.status, 201, created.body.error);
+    const { schedule } = created.body;
+    assert.equal(schedule.name, "Morning check");
+    assert.equal(schedule.type, "prompt");
+    assert.equal(schedule.enabled, true);
+    const nextRun = new Date(schedule.nextRunAt);
+    assert.ok(nextRun > new Date());
+    assert.equal(nextRun.getHours(), 9);
+    assert.ok(nextRun.getDay() >= 1 && nextRun.getDay() <= 5);
+
+    const listed = await send("GET", "/api/schedules");
+    assert.deepEqual(listed.body.schedules.map(item => item.id), [schedule.id]);
+    const read = await send("GET", `/api/schedules/${schedule.id}`);
+    assert.equal(read.status, 200);
+    assert.deepEqual(read.body.schedule.history, []);
+
+    assert.equal((await send("DELETE", `/api/schedules/${schedule.id}`)).status, 200);
+    assert.equal((await send("GET", `/api/schedules/${schedule.id}`)).status, 404);
+    assert.equal((await send("DELETE", `/api/schedules/${schedule.id}`)).status, 404);
+    assert.deepEqual((await send("GET", "/api/schedules")).body.schedules, []);
+  });
+
+  it("rejects invalid schedules", async () => {
+    const invalid = [
+      { cron: "0 9 * * *" },
+      { prompt: "Check the shop", cron: "0 9 * *" },
+      { prompt: "Check the shop", cron: "61 9 * * *" },
+      { prompt: "Check the shop", cron: "0 0 30 2 *" },
+      { prompt: "Check the shop", trace: { actions: [] }, cron: "@daily" },
+      { trace: { steps: [] }, cron: "@daily" },
+      { prompt: "Check the shop", cron: "@daily", notify: { webhookUrl: "ftp://example.com/hook" } },
+    ];
+    for (const body of invalid) {
+      const { status, body: response } = await send("POST", "/api/schedules", body);
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.equal(response.success, false);
+    }
+    assert.deepEqual((await send("GET", "/api/schedules")).body.schedules, []);
+  });
+});
@@ -0,0 +1,307 @@
+import "../helpers/env.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startFixtureSite } from "../fixtures/server.js";
+import { visitUrl, clickByText, typeByLabel, submitForm, takeScreenshot, getPageInfo, pageSnapshot } from "../../tools/browserTools.js";
+import { fillForm } from "../../tools/formTools.js";
+import { uploadFile, listFiles, readFile } from "../../tools/fileTools.js";
+import { scrollTool, hoverTool, pressKeys, dragAndDrop, waitForTool } from "../../tools/interactionTools.js";
+import { listNetworkRequests } from "../../tools/networkTools.js";
+import { assertUrl, assertTitle, assertTextVisible, assertElementCount, assertInputValue } from "../../tools/assertTools.js";
+import { getSession, closeAllSessions } from "../../services/sessionManager.js";
+import { refuseApproval } from "../../services/approvals.js";
+import { screenshotsDir } from "../../services/screenshotStore.js";
+import { ensureUploadsDir, listDownloads } from "../../services/fileStore.js";
+
+const SESSION_ID = "e2e-tools";
+
+// Runs a tool the way the agent does, with a minimal run context, and collects what it emits
+async function invoke(tool, args, context = {}) {
+  const events = [];
+  const runContext = { context: { sessionId: SESSION_ID, emit: event => events.push(event), ...context } };
+  const output = await tool.invoke(runContext, JSON.stringify(args));
+  return { output, events };
+}
+
+describe("browser tools against the fixture site", () => {
+  let site;
+  let page;
+
+  before(async () => {
+    site = await startFixtureSite();
+    ({ page } = await getSession(SESSION_ID));
+  });
+
+  after(async () => {
+    await closeAllSessions();
+    await site?.close();
+  });
+
+  it("visits a page and records the navigation", async () => {
+    const { output, events } = await invoke(visitUrl, { url: `${site.url}/index.html` });
+    assert.match(output, /^✅/);
+    assert.equal(page.url(), `${site.url}/index.html`);
+    assert.deepEqual(events.find(event => event.type === "action")?.action, { kind: "goto", url: `${site.url}/index.html`, waitUntil: "networkidle" });
+
+    const info = await invoke(getPageInfo, {});
+    assert.match(info.output, /Fixture Shop/);
+  });
+
+  it("logs in by label and submits the form", async () => {
+    await invoke(visitUrl, { url: `${site.url}/login.html` });
+    assert.match((await invoke(typeByLabel, { label: "Email", value: "ada@example.com" })).output, /^✅/);
+    assert.match((await invoke(typeByLabel, { label: "Password", value: "hunter2" })).output, /^✅/);
+
+    const context = {};
+    const { output } = await invoke(submitForm, { buttonText: "Log in" }, context);
+    assert.match(output, /^✅ Form submitted/);
+    assert.equal(context.formSubmissions, 1);
+    assert.equal(await page.textContent("#status"), "Welcome back, ada@example.com");
+  });
+
+  it("refuses a form submission when nobody can approve it", async () => {
+    await invoke(visitUrl, { url: `${site.url}/login.html` });
+    const { output, events } = await invoke(submitForm, { buttonText: "Log in" }, { requestApproval: refuseApproval });
+    assert.match(output, /^🚫 .*nobody can give it/);
+    assert.equal(events.find(event => event.type === "policy_violation")?.rule, "approval");
+    assert.equal(await page.textContent("#status"), "");
+  });
+
+  it("fills a signup form using wrapped labels and placeholders", async () => {
+    await invoke(visitUrl, { url: `${site.url}/signup.html` });
+    assert.match((await invoke(typeByLabel, { label: "Full name", value: "Ada Lovelace" })).output, /^✅/);
+    assert.match((await invoke(typeByLabel, { label: "Email address", value: "ada@example.com" })).output, /^✅/);
+    assert.match((await invoke(typeByLabel, { label: "Choose a password", value: "hunter2" })).output, /^✅/);
+    await page.check("#terms");
+
+    assert.match((await invoke(submitForm, {})).output, /^✅/);
+    assert.equal(await page.textContent("#status"), "Account created for Ada Lovelace");
+  });
+
+  it("fills every kind of control with fill_form and reports each field", async () => {
+    await invoke(visitUrl, { url: `${site.url}/signup.html` });
+    const { output, events } = await invoke(fillForm, {
+      fields: [
+        { label: "Full name", value: "Ada Lovelace" },
+        { label: "Country", value: "India" },
+        { label: "Plan", value: "Pro" },
+        { label: "Birthday", value: "December 10, 1815" },
+        { label: "About you", value: "Mathematician" },
+        { label: "Notes", value: "Likes engines" },
+        { label: "I accept the terms", value: "yes" },
+        { label: "Favourite colour", value: "blue" },
+      ],
+    });
+    assert.match(output, /Filled 7 of 8 fields/);
+    assert.match(output, /❌ "Favourite colour": no matching field found/);
+
+    assert.equal(await page.inputValue("input[name=name]"), "Ada Lovelace");
+    assert.equal(await page.inputValue("#country"), "in");
+    assert.equal(await page.isChecked("input[value=pro]"), true);
+    assert.equal(await page.inputValue("input[name=birthday]"), "1815-12-10");
+    assert.equal(await page.inputValue("textarea"), "Mathematician");
+    assert.equal(await page.textContent("#notes"), "Likes engines");
+    assert.equal(await page.isChecked("#terms"), true);
+
+    const kinds = events.filter(event => event.type === "action").map(event => event.action.kind);
+    assert.deepEqual(kinds, ["fill", "select", "check", "fill", "fill", "fill", "check"]);
+  });
+
+  it("searches products and adds one to the cart", async () => {
+    await invoke(visitUrl, { url: `${site.url}/shop.html` });
+    await invoke(typeByLabel, { label: "Search products", value: "widget" });
+    const submitted = await invoke(submitForm, { buttonText: "Search", waitFor: { type: "element_visible", selector: ".product" } });
+    assert.match(submitted.output, /waited \d+ms for element "\.product" to be visible/);
+    assert.equal(await page.locator(".product").count(), 2);
+
+    const { output } = await invoke(clickByText, { text: "Add Blue Widget to cart" });
+    assert.match(output, /^✅/);
+    assert.equal(await page.textContent("#cart"), "Cart (1)");
+  });
+
+  it("checks the page with pass/fail assertions and records the ones that held", async () => {
+    await invoke(visitUrl, { url: `${site.url}/shop.html` });
+    await invoke(typeByLabel, { label: "Search products", value: "widget" });
+    await invoke(submitForm, { buttonText: "Search" });
+
+    const count = await invoke(assertElementCount, { selector: ".product", count: 2 });
+    assert.match(count.output, /^✅ PASS: number of "\.product" elements is 2 \(found ".*Widget.*"\)/);
+    const check = count.events.find(event => event.type === "check");
+    assert.equal(check.passed, true);
+    assert.ok(fs.existsSync(path.join(screenshotsDir, check.screenshot.filename)));
+    assert.deepEqual(count.events.find(event => event.type === "action")?.action, {
+      kind: "assert",
+      assertion: { type: "element_count", locator: { strategy: "css", selector: ".product" }, count: 2 },
+    });
+
+    assert.match((await invoke(assertUrl, { url: "*/shop.html*" })).output, /^✅ PASS/);
+    assert.match((await invoke(assertTitle, { text: "Shop" })).output, /^✅ PASS/);
+    assert.match((await invoke(assertInputValue, { label: "Search products", value: "widget" })).output, /^✅ PASS.*found "widget"/);
+
+    const missing = await invoke(assertTextVisible, { text: "Sold out", timeoutMs: 500 });
+    assert.match(missing.output, /^❌ FAIL: expected text "Sold out" is visible, got "not on the page"/);
+    assert.equal(missing.events.find(event => event.type === "check").passed, false);
+    assert.equal(missing.events.some(event => event.type === "action"), false);
+  });
+
+  it("waits for content rendered after load", async () => {
+    await invoke(visitUrl, { url: `${site.url}/dynamic.html` });
+    assert.match(await page.textContent("#feed"), /opens its doors/);
+
+    assert.match((await invoke(clickByText, { text: "Show more" })).output, /^✅/);
+    assert.equal(await page.locator("#feed article").count(), 2);
+  });
+
+  it("reports a wait condition that is never met without failing the action", async () => {
+    await invoke(visitUrl, { url: `${site.url}/dynamic.html` });
+    const { output } = await invoke(clickByText, { text: "Show more", waitFor: { type: "text_present", text: "Never shown", timeoutMs: 500 } });
+    assert.match(output, /^✅ .*\n⚠️ The action went through, but gave up after 500ms/);
+
+    assert.match((await invoke(waitForTool, { type: "url_matches", url: "/dynamic\\.html$/" })).output, /^✅/);
+    assert.match((await invoke(waitForTool, { type: "text_present" })).output, /^❌ .*needs the text/);
+  });
+
+  it("scrolls an infinite list until everything has loaded", async () => {
+    await invoke(visitUrl, { url: `${site.url}/interactions.html` });
+    const { output, events } = await invoke(scrollTool, { direction: "bottom", selector: "#feed", loadMore: 10 });
+    assert.match(output, /^✅ Scrolled #feed to the bottom 3 times/);
+    assert.match(output, /probably all of it/);
+    assert.equal(await page.locator("#feed article").count(), 30);
+    assert.deepEqual(events.find(event => event.type === "action")?.action, { kind: "scroll", direction: "bottom", locator: { strategy: "css", selector: "#feed" }, times: 3 });
+
+    assert.match((await invoke(scrollTool, { direction: "top", selector: "#feed" })).output, /^✅ Scrolled #feed top to 0px/);
+  });
+
+  it("hovers to open a menu, edits with key combos and drags a card", async () => {
+    await invoke(visitUrl, { url: `${site.url}/interactions.html` });
+    assert.equal(await page.isVisible("#menu"), false);
+    const hovered = await invoke(hoverTool, { text: "Products", waitFor: { type: "element_visible", text: "Pricing" } });
+    assert.match(hovered.output, /^✅ Hovering over "Products" \(waited/);
+
+    await invoke(pressKeys, { keys: ["ControlOrMeta+A", "Backspace"], selector: "#query" });
+    assert.equal(await page.inputValue("#query"), "");
+
+    const { output } = await invoke(dragAndDrop, { sourceText: "Write docs", targetSelector: "#done", waitFor: { type: "text_present", text: "Moved to Done" } });
+    assert.match(output, /^✅ Dragged/);
+    assert.equal(await page.locator("#done #card").count(), 1);
+  });
+
+  it("refuses key presses and hovers that would reach a blocked button", async () => {
+    await invoke(visitUrl, { url: `${site.url}/interactions.html` });
+    const entered = await invoke(pressKeys, { keys: ["Enter"], selector: "#confirm" });
+    assert.match(entered.output, /^🚫 .*delete account/i);
+
+    await page.focus("#account button");
+    assert.match((await invoke(pressKeys, { keys: ["Space"] })).output, /^🚫/);
+    assert.match((await invoke(hoverTool, { text: "Delete account" })).output, /^🚫/);
+    assert.equal(await page.textContent("#account-status"), "");
+
+    // Typing into the field is fine, only the keys that submit are checked
+    assert.match((await invoke(pressKeys, { keys: ["D", "E"], selector: "#confirm" })).output, /^✅/);
+    assert.equal(await page.inputValue("#confirm"), "DE");
+  });
+
+  it("finds and fills elements inside an iframe", async () => {
+    await invoke(visitUrl, { url: `${site.url}/embeds.html` });
+    assert.match((await invoke(getPageInfo, {})).output, /🪟 In frame f1 "payment" \(.*payment\.html\)/);
+    assert.match((await invoke(pageSnapshot, {})).output, /textbox "Card number".*\[in frame f1\]/);
+
+    const typed = await invoke(typeByLabel, { label: "Card number", value: "4242 4242 4242 4242" });
+    assert.match(typed.output, /^✅ .* in frame f1/);
+    assert.deepEqual(typed.events.find(event => event.type === "action")?.action.locator, { strategy: "css", selector: 'input[id="card"]', frame: ["iframe#payment"] });
+
+    assert.match((await invoke(clickByText, { text: "Confirm card" })).output, /^✅ .* in frame f1/);
+    assert.equal(await page.frameLocator("#payment").locator("#result").textContent(), "Card ending 4242 confirmed");
+    assert.match((await invoke(clickByText, { text: "Confirm card", frame: "checkout" })).output, /^❌ .*No frame matches "checkout"/);
+  });
+
+  it("fills a form inside a web component's shadow root", async () => {
+    await invoke(visitUrl, { url: `${site.url}/embeds.html` });
+    const { output } = await invoke(fillForm, { fields: [{ label: "Newsletter email", value: "ada@example.com" }] });
+    assert.match(output, /^✅ Filled 1 of 1/);
+
+    assert.match((await invoke(clickByText, { text: "Subscribe" })).output, /^✅/);
+    assert.equal(await page.locator("newsletter-signup #message").textContent(), "Subscribed ada@example.com");
+  });
+
+  it("reports a popup opened by a click", async () => {
+    await invoke(visitUrl, { url: `${site.url}/index.html` });
+    const { output } = await invoke(clickByText, { text: "Open help" });
+    assert.match(output, /help\.html/);
+
+    const session = await getSession(SESSION_ID);
+    assert.equal(session.context.pages().length, 2);
+  });
+
+  it("uploads an attached file into a labelled file input", async () => {
+    fs.writeFileSync(path.join(ensureUploadsDir(SESSION_ID), "resume.txt"), "Ada Lovelace");
+    await invoke(visitUrl, { url: `${site.url}/files.html` });
+
+    const { output, events } = await invoke(uploadFile, { fileNames: ["resume.txt"], label: "Resume" });
+    assert.match(output, /^✅ Uploaded "resume.txt"/);
+    assert.equal(await page.textContent("#status"), "Selected resume.txt (12 bytes)");
+    assert.equal(events.find(event => event.type === "action")?.action.kind, "upload");
+
+    assert.match((await invoke(uploadFile, { fileNames: ["missing.pdf"], label: "Resume" })).output, /^❌ .*No attached file named "missing.pdf"/);
+  });
+
+  it("captures a download and reads it back as CSV", async () => {
+    await invoke(visitUrl, { url: `${site.url}/files.html` });
+    await invoke(clickByText, { text: "Download report" });
+
+    assert.match((await invoke(listFiles, {})).output, /"monthly-report.csv" \(downloaded from/);
+    const [download] = listDownloads(SESSION_ID);
+    assert.equal(download.filename, "monthly-report.csv");
+    assert.match(download.url, /^\/api\/downloads\//);
+
+    const { output } = await invoke(readFile, { name: "monthly-report.csv" });
+    assert.match(output, /2 rows, columns: Month, Revenue/);
+    assert.match(output, /January \| 1,200/);
+  });
+
+  it("lists the failed request behind a page stuck loading", async () => {
+    await invoke(visitUrl, { url: `${site.url}/orders.html` });
+    assert.equal(await page.textContent("#orders"), "Loading...");
+
+    const { output } = await invoke(listNetworkRequests, { pattern: "/api/", failedOnly: true });
+    assert.match(output, /^🌐 1 requests \(matching "\/api\/", failed\)/);
+    assert.match(output, /GET 404 \d+ms fetch .*\/api\/orders\.json/);
+
+    assert.match((await invoke(listNetworkRequests, { pattern: "*/orders.html" })).output, /GET 200 \d+ms document/);
+    assert.match((await invoke(listNetworkRequests, { pattern: "/\\.png$/" })).output, /^🌐 No requests \(matching/);
+  });
+
+  it("takes a screenshot and emits a reference to it", async () => {
+    const { output, events } = await invoke(takeScreenshot, { filename: "home" });
+    assert.match(output, /^📸/);
+    const screenshot = events.find(event => event.type === "screenshot");
+    assert.ok(screenshot, "expected a screenshot event");
+    assert.ok(fs.existsSync(path.join(screenshotsDir, screenshot.filename)));
+
+    const escaped = await invoke(takeScreenshot, { filename: "../../outside" });
+    assert.match(escaped.events.find(event => event.type === "screenshot").filename, /^outside_.*\.png$/);
+  });
+
+  it("saves a baseline, matches it again and flags a changed page with a diff", async () => {
+    await invoke(visitUrl, { url: `${site.url}/index.html` });
+    const first = await invoke(takeScreenshot, { filename: "home", checkpoint: "home-page" });
+    assert.match(first.output, /🆕 Saved as the first baseline of checkpoint "home-page"/);
+    assert.equal(first.events.find(event => event.type === "visual_check")?.status, "new");
+
+    assert.match((await invoke(takeScreenshot, { filename: "home", checkpoint: "home-page" })).output, /matches its baseline/);
+
+    await page.evaluate(() => {
+      document.body.style.background = "black";
+    });
+    const { output, events } = await invoke(takeScreenshot, { filename: "home", checkpoint: "home-page" });
+    assert.match(output, /⚠️ Checkpoint "home-page" differs from its baseline/);
+    const check = events.find(event => event.type === "visual_check");
+    assert.equal(check.status, "changed");
+    assert.ok(fs.existsSync(path.join(screenshotsDir, check.diff.filename)));
+    assert.deepEqual(events.find(event => event.type === "action")?.action, { kind: "screenshot", name: "home", checkpoint: "home-page" });
+
+    assert.match((await invoke(takeScreenshot, { checkpoint: "../home" })).output, /^❌/);
+  });
+});
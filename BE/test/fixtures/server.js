@@ -0,0 +1,28 @@
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const siteDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "site");
+
+// Serves the fixture site on a free port; resolves to { url, close }
+export function startFixtureSite() {
+  const app = express();
+  app.use(express.static(siteDir));
+  return listen(app);
+}
+
+// Starts any express app on a free port, e.g. the agent API itself
+export function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+    server.on("error", reject);
+  });
+}
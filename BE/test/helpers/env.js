@@ -0,0 +1,15 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Imported before anything from the app: offline scripted model, bundled headless Chromium,
+// and a scratch working directory so runs, screenshots and the vault don't touch the real ones
+process.env.LLM_PROVIDER = "fake";
+process.env.BROWSER_HEADLESS = "true";
+process.env.BROWSER_CHANNEL = process.env.E2E_BROWSER_CHANNEL || "";
+process.env.APPROVALS_ENABLED = "false";
+
+export const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "browser-agent-e2e-"));
+process.chdir(workDir);
+// Everything a test run wrote goes with it
+process.on("exit", () => fs.rmSync(workDir, { recursive: true, force: true }));
@@ -0,0 +1,114 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import { getSession } from "../services/sessionManager.js";
+import { toAssertion, verifyAssertion } from "../services/assertions.js";
+import { getSessionId, resolveTarget, recordAction, emitEvent } from "./toolHelpers.js";
+
+const TIMEOUT_DESCRIPTION = "Checks are retried for up to timeoutMs (default 5000) while the page updates.";
+
+function formatResult(result) {
+  const evidence = result.screenshot ? ` Evidence: ${result.screenshot.filename}` : "";
+  if (result.passed) {
+    return `✅ PASS: ${result.expected}${result.matchedText ? ` (found "${result.matchedText}")` : ""}.${evidence}`;
+  }
+  return `❌ FAIL: expected ${result.expected}, got ${JSON.stringify(result.actual)}.${evidence}`;
+}
+
+// Every check tool runs the same way: build the assertion, look at the page, report the result with evidence
+async function runCheck(runContext, what, input) {
+  try {
+    const session = await getSession(getSessionId(runContext));
+    const locator = input.ref ? (await resolveTarget(runContext, { ref: input.ref })).locator : undefined;
+    const assertion = await toAssertion(session.page, { ...input, locator });
+    const result = await verifyAssertion(session.page, assertion);
+    const callId = runContext?.context?.currentCallId || null;
+
+    // Only checks that held are recorded, so the exported spec asserts what the run actually reached
+    if (result.passed) {
+      recordAction(runContext, { kind: "assert", assertion });
+    }
+    if (result.screenshot) {
+      emitEvent(runContext, { type: "screenshot", ...result.screenshot, callId });
+    }
+    emitEvent(runContext, { type: "check", callId, ...result });
+    console.log(`${result.passed ? "✅" : "❌"} Check ${result.passed ? "passed" : "failed"}: ${result.expected}`);
+    return formatResult(result);
+  } catch (error) {
+    console.error(`❌ Failed to check ${what}:`, error.message);
+    return `❌ Failed to check ${what}: ${error.message}`;
+  }
+}
+
+export const assertUrl = tool({
+  name: "assert_url",
+  description: `Check that the current URL matches a pattern: part of the URL, a glob with * or a /regex/. ${TIMEOUT_DESCRIPTION}`,
+  parameters: z.object({
+    url: z.string(),
+    timeoutMs: z.number().optional().nullable(),
+  }),
+  async execute({ url, timeoutMs }, runContext) {
+    return runCheck(runContext, "the URL", { type: "url_matches", url, timeoutMs });
+  },
+});
+
+export const assertTitle = tool({
+  name: "assert_title",
+  description: `Check that the page title contains the given text (case-sensitive). ${TIMEOUT_DESCRIPTION}`,
+  parameters: z.object({
+    text: z.string(),
+    timeoutMs: z.number().optional().nullable(),
+  }),
+  async execute({ text, timeoutMs }, runContext) {
+    return runCheck(runContext, "the title", { type: "title_contains", text, timeoutMs });
+  },
+});
+
+export const assertTextVisible = tool({
+  name: "assert_text_visible",
+  description: `Check that the given text is visible on the page (or in frame, e.g. "f1"). Matches part of an element's text unless exact is set. ${TIMEOUT_DESCRIPTION}`,
+  parameters: z.object({
+    text: z.string(),
+    exact: z.boolean().optional().nullable(),
+    frame: z.string().optional().nullable(),
+    timeoutMs: z.number().optional().nullable(),
+  }),
+  async execute({ text, exact, frame, timeoutMs }, runContext) {
+    return runCheck(runContext, `for "${text}"`, { type: "text_visible", text, exact, frame, timeoutMs });
+  },
+});
+
+export const assertElementCount = tool({
+  name: "assert_element_count",
+  description: `Check how many elements match a CSS selector (or visible text, or a field label): exactly count, or at least min and/or at most max. count=0 checks that something is gone. ${TIMEOUT_DESCRIPTION}`,
+  parameters: z.object({
+    selector: z.string().optional().nullable(),
+    text: z.string().optional().nullable(),
+    label: z.string().optional().nullable(),
+    frame: z.string().optional().nullable(),
+    count: z.number().int().optional().nullable(),
+    min: z.number().int().optional().nullable(),
+    max: z.number().int().optional().nullable(),
+    timeoutMs: z.number().optional().nullable(),
+  }),
+  async execute({ selector, text, label, frame, count, min, max, timeoutMs }, runContext) {
+    return runCheck(runContext, "the element count", { type: "element_count", selector, text, label, frame, count, min, max, timeoutMs });
+  },
+});
+
+export const assertInputValue = tool({
+  name: "assert_input_value",
+  description: `Check the current value of a field, found by page_snapshot ref, CSS selector or its label. ${TIMEOUT_DESCRIPTION}`,
+  parameters: z.object({
+    value: z.string(),
+    ref: z.string().optional().nullable(),
+    selector: z.string().optional().nullable(),
+    label: z.string().optional().nullable(),
+    frame: z.string().optional().nullable(),
+    timeoutMs: z.number().optional().nullable(),
+  }),
+  async execute({ value, ref, selector, label, frame, timeoutMs }, runContext) {
+    return runCheck(runContext, "the field value", { type: "input_value", value, ref, selector, label, frame, timeoutMs });
+  },
+});
+
+export const assertTools = [assertUrl, assertTitle, assertTextVisible, assertElementCount, assertInputValue];
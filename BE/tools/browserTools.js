@@ -0,0 +1,582 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import path from "path";
+import { getSession, findSession, closeSession } from "../services/sessionManager.js";
+import { screenshotsDir, screenshotRef } from "../services/screenshotStore.js";
+import { takePageSnapshot } from "../services/pageSnapshot.js";
+import { listFrames, findFrame, describeFrame, inFrame } from "../services/frames.js";
+import { resolveLocator, frameRoot } from "../services/locators.js";
+import { PolicyViolationError, checkUrl, checkActionText } from "../services/safetyPolicy.js";
+import { resolveSecrets } from "../services/secretVault.js";
+import { safeFileName } from "../services/fileStore.js";
+import { validateCheckpointName, checkpointScreenshotOptions, compareCheckpoint, describeComparison } from "../services/visualRegression.js";
+import {
+  getSessionId, getPage, emitEvent, resolveTarget, resolveCheckedTarget, recordAction, openTabs, describeNewTabs,
+  refuse, elementText, checkBlockedNavigations, checkFormSubmissionLimit, countFormSubmission,
+  requireApproval, requireClickApproval, requireNavigationApproval,
+  waitForParameter, WAIT_FOR_DESCRIPTION, toWaitCondition, waitAfterAction, targetUrl,
+} from "./toolHelpers.js";
+
+export const openBrowser = tool({
+  name: "open_browser",
+  description: "Launch a Chrome browser instance.",
+  parameters: z.object({}),
+  async execute(_args, runContext) {
+    try {
+      // Check if this session's browser is already open
+      if (findSession(getSessionId(runContext))) {
+        console.log("✅ Browser is already open");
+        return "✅ Browser is already open and ready";
+      }
+      
+      await getSession(getSessionId(runContext));
+      console.log("✅ Browser opened successfully");
+      return "✅ Browser opened successfully";
+    } catch (error) {
+      console.error("❌ Failed to open browser:", error.message);
+      return `❌ Failed to open browser: ${error.message}`;
+    }
+  },
+});
+
+export const visitUrl = tool({
+  name: "visit_url",
+  description: "Navigate to a URL in the browser",
+  parameters: z.object({ url: z.string() }),
+  async execute({ url }, runContext) {
+    try {
+      checkUrl(url);
+      const session = await getSession(getSessionId(runContext));
+      const { page } = session;
+      await requireNavigationApproval(runContext, { tool: "visit_url", url, page });
+      console.log(`🌐 Navigating to ${url}...`);
+      
+      await page.goto(url, { 
+        waitUntil: "networkidle",
+        timeout: 30000 
+      }).catch(async error => {
+        // A redirect to a blocked domain surfaces as a failed goto
+        await checkBlockedNavigations(session);
+        throw error;
+      });
+      
+      recordAction(runContext, { kind: "goto", url, waitUntil: "networkidle" });
+      // Give scripts that start fetching after the load a chance to finish
+      await waitAfterAction(runContext, page);
+      
+      const title = await page.title();
+      console.log(`✅ Successfully visited ${url} - Title: ${title}`);
+      return `✅ Successfully visited ${url} - Page Title: ${title}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "visit_url", error);
+      }
+      console.error(`❌ Failed to visit ${url}:`, error.message);
+      return `❌ Failed to visit ${url}: ${error.message}`;
+    }
+  },
+});
+
+// Buttons, links and inputs of one frame. Playwright's selectors pierce open shadow roots, so web components are included.
+async function frameElementsInfo(frame) {
+  const buttons = await frame.$$eval('button, input[type="submit"], input[type="button"]', 
+    elements => elements.slice(0, 10).map(el => ({
+      text: el.textContent?.trim() || el.value || 'No text',
+      type: el.tagName.toLowerCase()
+    }))
+  );
+  
+  const links = await frame.$$eval('a', 
+    elements => elements.slice(0, 10).map(el => ({
+      text: el.textContent?.trim() || 'No text',
+      href: el.href
+    })).filter(link => link.text && link.text !== 'No text')
+  );
+  
+  const inputs = await frame.$$eval('input, textarea', 
+    elements => elements.slice(0, 10).map(el => ({
+      type: el.type || 'text',
+      placeholder: el.placeholder || '',
+      name: el.name || '',
+      id: el.id || ''
+    }))
+  );
+  return { buttons, links, inputs };
+}
+
+export const getPageInfo = tool({
+  name: "get_page_info",
+  description: "Get information about the current page including title and visible elements, in the page and in each iframe (f1, f2...). Pass frame (an id, frame name or part of its URL) to look at one frame only.",
+  parameters: z.object({
+    frame: z.string().optional().nullable(),
+  }),
+  async execute({ frame }, runContext) {
+    try {
+      const page = await getPage(runContext);
+      const title = await page.title();
+      const url = page.url();
+      const frames = frame ? [await findFrame(page, frame)] : await listFrames(page);
+      
+      const sections = [];
+      for (const entry of frames) {
+        // Cross-origin frames can navigate or detach while we read them
+        const info = await frameElementsInfo(entry.frame).catch(() => null);
+        if (!info) continue;
+        if (entry.id !== "main") {
+          if (!frame && info.buttons.length + info.links.length + info.inputs.length === 0) continue;
+          sections.push(`\n🪟 In ${describeFrame(entry)}:`);
+        }
+        sections.push(`Buttons: ${JSON.stringify(info.buttons, null, 2)}
+Links: ${JSON.stringify(info.links, null, 2)}
+Inputs: ${JSON.stringify(info.inputs, null, 2)}`);
+      }
+      
+      return `📄 Page Info:
+Title: ${title}
+URL: ${url}
+${sections.join("\n")}`;
+    } catch (error) {
+      return `❌ Failed to get page info: ${error.message}`;
+    }
+  },
+});
+
+export const pageSnapshot = tool({
+  name: "page_snapshot",
+  description: "List the page's interactive elements from the accessibility tree, with role, name, state and a ref (e.g. e12) that click_element, type_into and similar tools accept instead of a selector. Elements inside iframes are included and marked with their frame; pass frame to list one frame only. Refs are replaced by the next snapshot.",
+  parameters: z.object({
+    offset: z.number().int().optional().nullable(),
+    limit: z.number().int().optional().nullable(),
+    scope: z.enum(["page", "viewport"]).optional().nullable(),
+    rootSelector: z.string().optional().nullable(),
+    frame: z.string().optional().nullable(),
+  }),
+  async execute({ offset, limit, scope, rootSelector, frame }, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      console.log(`🌳 Taking accessibility snapshot (${scope || "page"})...`);
+      
+      const { refs, text } = await takePageSnapshot(session.page, {
+        offset: offset ?? 0,
+        limit: Math.min(limit ?? 50, 200),
+        scope: scope || "page",
+        rootSelector: rootSelector || undefined,
+        frame: frame ? await findFrame(session.page, frame) : undefined,
+      });
+      session.elementRefs = refs;
+      
+      return `🌳 Page Snapshot:\n${text}`;
+    } catch (error) {
+      console.error(`❌ Failed to take page snapshot:`, error.message);
+      return `❌ Failed to take page snapshot: ${error.message}`;
+    }
+  },
+});
+
+export const clickElement = tool({
+  name: "click_element",
+  description: `Click an element by page_snapshot ref (preferred) or CSS selector (looked up in frame, if given). ${WAIT_FOR_DESCRIPTION}`,
+  parameters: z.object({
+    ref: z.string().optional().nullable(),
+    selector: z.string().optional().nullable(),
+    frame: z.string().optional().nullable(),
+    waitFor: waitForParameter.optional().nullable(),
+  }),
+  async execute({ ref, selector, frame, waitFor }, runContext) {
+    let label = ref || selector;
+    try {
+      const resolved = await resolveCheckedTarget(runContext, "click_element", { ref, selector, frame });
+      const condition = await toWaitCondition(runContext, waitFor);
+      label = resolved.label;
+      console.log(`🖱️ Clicking element: ${label}`);
+      const tabsBefore = openTabs(resolved.session);
+      
+      await resolved.target.click({ timeout: 5000 });
+      recordAction(runContext, { kind: "click", locator: resolved.locator });
+      const waited = await waitAfterAction(runContext, resolved.page, condition);
+      await checkBlockedNavigations(resolved.session);
+      
+      console.log(`✅ Successfully clicked ${label}`);
+      return `✅ Successfully clicked ${label}${waited}${describeNewTabs(resolved.session, tabsBefore)}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "click_element", error);
+      }
+      console.error(`❌ Failed to click ${label}:`, error.message);
+      return `❌ Failed to click ${label}: ${error.message}`;
+    }
+  },
+});
+
+export const clickByText = tool({
+  name: "click_by_text",
+  description: `Click an element by visible text (buttons, links, etc.). Looks in the page and then in its iframes, or only in frame (an id, frame name or part of its URL) if given. ${WAIT_FOR_DESCRIPTION}`,
+  parameters: z.object({
+    text: z.string(),
+    frame: z.string().optional().nullable(),
+    waitFor: waitForParameter.optional().nullable(),
+  }),
+  async execute({ text, frame, waitFor }, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const { page } = session;
+      const tabsBefore = openTabs(session);
+      console.log(`🖱️ Clicking element with text: "${text}"`);
+      
+      checkActionText(text);
+      const condition = await toWaitCondition(runContext, waitFor);
+      
+      // Try multiple approaches to find and click the element, in order,
+      // remembering which one worked so the run can be replayed exactly
+      const attempts = [
+        // Try exact text match first
+        { strategy: "text", text, exact: true },
+        // Try partial text match
+        { strategy: "text", text, exact: false },
+        // Try button role with name
+        { strategy: "role", role: "button", name: text },
+        // Try link role with name
+        { strategy: "role", role: "link", name: text },
+      ];
+      // Search the frame asked for, or the page first and then its iframes
+      const frames = frame ? [await findFrame(page, frame)] : await listFrames(page);
+      
+      let clicked = null;
+      let clickedIn = null;
+      let approved = false;
+      for (const entry of frames) {
+        // The first frame gets time to render; iframes of a page that is already there are only looked at
+        const searched = entry === frames[0];
+        for (const locator of attempts.map(attempt => inFrame(attempt, entry))) {
+          const target = resolveLocator(page, locator);
+          try {
+            if (!searched && (await target.count()) === 0) continue;
+            await target.waitFor({ timeout: searched ? 5000 : 1000 });
+            // A partial match can land on a longer label, e.g. "Place" on "Place order"
+            const label = await elementText(target);
+            checkActionText(label);
+            if (!approved) {
+              approved = await requireClickApproval(runContext, { tool: "click_by_text", text: label || text, page });
+            }
+            await target.click({ timeout: 5000 });
+            clicked = locator;
+            clickedIn = entry;
+            break;
+          } catch (error) {
+            if (error instanceof PolicyViolationError) throw error;
+          }
+        }
+        if (clicked) break;
+      }
+      
+      if (clicked) {
+        recordAction(runContext, { kind: "click", locator: clicked });
+        const waited = await waitAfterAction(runContext, page, condition);
+        await checkBlockedNavigations(session);
+        const where = clickedIn.id !== "main" ? ` in ${describeFrame(clickedIn)}` : "";
+        console.log(`✅ Successfully clicked element with text: "${text}"${where}`);
+        return `✅ Successfully clicked element with text: "${text}"${where}${waited}${describeNewTabs(session, tabsBefore)}`;
+      } else {
+        throw new Error(`Could not find clickable element with text: "${text}"`);
+      }
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "click_by_text", error);
+      }
+      console.error(`❌ Failed to click text "${text}":`, error.message);
+      return `❌ Failed to click text "${text}": ${error.message}`;
+    }
+  },
+});
+
+export const typeInto = tool({
+  name: "type_into",
+  description: `Type into a text input by page_snapshot ref (preferred) or CSS selector (looked up in frame, if given). For credentials pass a {{secret:name}} placeholder as the value. ${WAIT_FOR_DESCRIPTION} Use it for suggestions that appear while typing.`,
+  parameters: z.object({
+    ref: z.string().optional().nullable(),
+    selector: z.string().optional().nullable(),
+    frame: z.string().optional().nullable(),
+    value: z.string(),
+    waitFor: waitForParameter.optional().nullable(),
+  }),
+  async execute({ ref, selector, frame, value, waitFor }, runContext) {
+    let label = ref || selector;
+    try {
+      const resolved = await resolveTarget(runContext, { ref, selector, frame });
+      const condition = await toWaitCondition(runContext, waitFor);
+      label = resolved.label;
+      console.log(`⌨️ Typing "${value}" into ${label}`);
+      
+      await resolved.target.waitFor({ timeout: 10000 });
+      // `value` may hold {{secret:name}} placeholders; only the fill sees the real secret
+      await resolved.target.fill(resolveSecrets(value, await targetUrl(resolved)));
+      recordAction(runContext, { kind: "fill", locator: resolved.locator, value });
+      const waited = await waitAfterAction(runContext, resolved.page, condition);
+      
+      console.log(`✅ Successfully typed "${value}" into ${label}`);
+      return `✅ Successfully typed "${value}" into ${label}${waited}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "type_into", error);
+      }
+      console.error(`❌ Failed to type into ${label}:`, error.message);
+      return `❌ Failed to type into ${label}: ${error.message}`;
+    }
+  },
+});
+
+// Attribute selectors with quoted values, so ids like "user[email]" or "a:b" and names with quotes still match
+function inputSelector({ id, name, placeholder }) {
+  if (id) return `input[id=${JSON.stringify(id)}]`;
+  if (name) return `input[name=${JSON.stringify(name)}]`;
+  if (placeholder) return `input[placeholder=${JSON.stringify(placeholder)}]`;
+  return null;
+}
+
+// Picks the input a label refers to, as an attribute selector, or null
+function matchInput(inputs, label) {
+  // Try to match by label/placeholder/name/id/aria-label
+  let selector = null;
+  for (const input of inputs) {
+    const labelLower = label.toLowerCase();
+    if (
+      (input.placeholder && input.placeholder.toLowerCase().includes(labelLower)) ||
+      (input.name && input.name.toLowerCase().includes(labelLower)) ||
+      (input.id && input.id.toLowerCase().includes(labelLower)) ||
+      (input.ariaLabel && input.ariaLabel.toLowerCase().includes(labelLower)) ||
+      (input.labelText && input.labelText.toLowerCase().includes(labelLower))
+    ) {
+      // Prefer password field for password
+      if (labelLower.includes("password") && input.type === "password") {
+        return inputSelector(input);
+      }
+      // Prefer text/email for username/login
+      if ((labelLower.includes("user") || labelLower.includes("login") || labelLower.includes("id")) && (input.type === "text" || input.type === "email")) {
+        return inputSelector(input);
+      }
+      // Fallback: first match
+      if (!selector) {
+        selector = inputSelector(input);
+      }
+    }
+  }
+  return selector;
+}
+
+export const typeByLabel = tool({
+  name: "type_by_label",
+  description: "Type into a single text input by label, placeholder, or name. Looks in the page and then in its iframes (e.g. embedded login or payment forms), or only in frame (an id, frame name or part of its URL) if given. For several fields, selects, checkboxes, radios or dates use fill_form. For credentials pass a {{secret:name}} placeholder as the value.",
+  parameters: z.object({ 
+    label: z.string(),
+    value: z.string(),
+    frame: z.string().optional().nullable(),
+  }),
+  async execute({ label, value, frame }, runContext) {
+    try {
+      const page = await getPage(runContext);
+      console.log(`⌨️ Typing "${value}" into field with label: "${label}"`);
+      const frames = frame ? [await findFrame(page, frame)] : await listFrames(page);
+
+      for (const entry of frames) {
+        // Find all input fields and log their attributes; open shadow roots are searched too
+        const inputs = await entry.frame.$$eval('input', elements =>
+          elements.map(el => ({
+            type: el.type,
+            placeholder: el.placeholder,
+            name: el.name,
+            id: el.id,
+            ariaLabel: el.getAttribute('aria-label'),
+            labelText: el.labels && el.labels.length > 0 ? el.labels[0].innerText : ''
+          }))
+        ).catch(() => []);
+        console.log(`Detected input fields in ${describeFrame(entry)}:`, inputs);
+
+        const selector = matchInput(inputs, label);
+        if (selector) {
+          // Secrets are scoped to the domain of the frame that receives them, not the page around it
+          await frameRoot(page, entry.path).locator(selector).first().fill(resolveSecrets(value, entry.frame.url()));
+          recordAction(runContext, { kind: "fill", locator: inFrame({ strategy: "css", selector }, entry), value });
+          const where = entry.id !== "main" ? ` in ${describeFrame(entry)}` : "";
+          return `✅ Typed "${value}" into field: "${label}"${where}`;
+        }
+      }
+      return `❌ Could not find input field for: "${label}"`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "type_by_label", error);
+      }
+      console.error(`❌ Failed to type by label "${label}":`, error.message);
+      return `❌ Failed to type by label "${label}": ${error.message}`;
+    }
+  },
+});
+
+export const submitForm = tool({
+  name: "submit_form",
+  description: `Submit a form by clicking submit button or pressing Enter. ${WAIT_FOR_DESCRIPTION}`,
+  parameters: z.object({ 
+    buttonText: z.string().optional().nullable(),
+    waitFor: waitForParameter.optional().nullable(),
+  }),
+  async execute({ buttonText, waitFor }, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const { page } = session;
+      const tabsBefore = openTabs(session);
+      checkFormSubmissionLimit(runContext);
+      const condition = await toWaitCondition(runContext, waitFor);
+      console.log(`📝 Submitting form...`);
+      
+      if (buttonText) {
+        // Try to find and click the specific button
+        checkActionText(buttonText);
+        const button = page.getByRole('button', { name: new RegExp(buttonText, 'i') });
+        await button.waitFor({ timeout: 5000 });
+        checkActionText(await elementText(button));
+        await requireApproval(runContext, { tool: "submit_form", description: `Submit the form with "${buttonText}"`, page });
+        await button.click({ timeout: 5000 });
+        recordAction(runContext, { kind: "click", locator: { strategy: "role", role: "button", namePattern: buttonText } });
+        console.log(`✅ Clicked submit button: "${buttonText}"`);
+      } else {
+        // Try to find any submit button
+        const submitButton = page.locator('button[type="submit"], input[type="submit"]').first();
+        if (await submitButton.isVisible()) {
+          checkActionText(await elementText(submitButton));
+        }
+        await requireApproval(runContext, { tool: "submit_form", description: "Submit the form", page });
+        try {
+          await page.click('button[type="submit"], input[type="submit"]', { timeout: 5000 });
+          recordAction(runContext, { kind: "click", locator: { strategy: "css", selector: 'button[type="submit"], input[type="submit"]' } });
+          console.log(`✅ Clicked submit button`);
+        } catch {
+          // Fallback to Enter key
+          await page.keyboard.press("Enter");
+          recordAction(runContext, { kind: "press", key: "Enter" });
+          console.log(`✅ Pressed Enter to submit`);
+        }
+      }
+      
+      countFormSubmission(runContext);
+      
+      // Wait for the response or navigation the submission leads to
+      const waited = await waitAfterAction(runContext, page, condition);
+      await checkBlockedNavigations(session);
+      return `✅ Form submitted successfully${waited}${describeNewTabs(session, tabsBefore)}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "submit_form", error);
+      }
+      console.error(`❌ Failed to submit form:`, error.message);
+      return `❌ Failed to submit form: ${error.message}`;
+    }
+  },
+});
+
+export const takeScreenshot = tool({
+  name: "take_screenshot",
+  description: "Take a screenshot of the current page. Pass checkpoint (a name like \"checkout-page\") when the task asks to check how a page looks: the screenshot is compared with that checkpoint's baseline and the result says whether the page changed.",
+  parameters: z.object({
+    filename: z.string(),
+    checkpoint: z.string().optional().nullable(),
+  }),
+  async execute({ filename, checkpoint }, runContext) {
+    try {
+      const page = await getPage(runContext);
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      // The name comes from the model, so it can't point outside the screenshots folder
+      const name = safeFileName(filename);
+      const fullFilename = `${name}_${timestamp}.png`;
+      const filepath = path.join(screenshotsDir, fullFilename);
+      const callId = runContext?.context?.currentCallId || null;
+
+      if (checkpoint) {
+        validateCheckpointName(checkpoint);
+        // Checkpoints are taken the same way every time (masks, no animations), so baselines stay comparable
+        const png = await page.screenshot({ path: filepath, ...checkpointScreenshotOptions(page, checkpoint) });
+        recordAction(runContext, { kind: "screenshot", name, checkpoint });
+        emitEvent(runContext, { type: "screenshot", ...screenshotRef(fullFilename), callId });
+        const comparison = await compareCheckpoint(checkpoint, png, {
+          filename: fullFilename,
+          runId: runContext?.context?.runId || null,
+          sessionId: getSessionId(runContext),
+          url: page.url(),
+        });
+        emitEvent(runContext, { type: "visual_check", callId, ...comparison });
+        console.log(describeComparison(comparison));
+        return `📸 Screenshot saved: ${fullFilename}\n${describeComparison(comparison)}`;
+      }
+
+      await page.screenshot({ 
+        path: filepath,
+        fullPage: true 
+      });
+      recordAction(runContext, { kind: "screenshot", name });
+      
+      console.log(`📸 Screenshot saved: ${filepath}`);
+      emitEvent(runContext, {
+        type: "screenshot",
+        ...screenshotRef(fullFilename),
+        callId,
+      });
+      return `📸 Screenshot saved: ${fullFilename}`;
+    } catch (error) {
+      console.error(`❌ Failed to take screenshot:`, error.message);
+      return `❌ Failed to take screenshot: ${error.message}`;
+    }
+  },
+});
+
+export const checkBrowserStatus = tool({
+  name: "check_browser_status",
+  description: "Check if browser is currently open and ready",
+  parameters: z.object({}),
+  async execute(_args, runContext) {
+    try {
+      const session = findSession(getSessionId(runContext));
+      if (session) {
+        const url = session.page.url();
+        const title = await session.page.title();
+        return `✅ Browser is open and ready\nCurrent URL: ${url}\nPage Title: ${title}`;
+      } else {
+        return "❌ Browser is not open";
+      }
+    } catch (error) {
+      return `❌ Error checking browser status: ${error.message}`;
+    }
+  },
+});
+
+export const closeBrowserTool = tool({
+  name: "close_browser",
+  description: "Close the browser",
+  parameters: z.object({}),
+  async execute(_args, runContext) {
+    try {
+      if (runContext?.context?.deferSessionClose) {
+        runContext.context.sessionCloseRequested = true;
+        return "✅ The browser will close once the run is done";
+      }
+      await closeSession(getSessionId(runContext));
+      console.log("✅ Browser closed successfully");
+      return "✅ Browser closed successfully";
+    } catch (error) {
+      console.error("❌ Failed to close browser:", error.message);
+      return `❌ Failed to close browser: ${error.message}`;
+    }
+  },
+});
+
+export const browserTools = [
+  openBrowser,
+  checkBrowserStatus,
+  visitUrl,
+  getPageInfo,
+  pageSnapshot,
+  clickByText,
+  clickElement,
+  typeInto,
+  typeByLabel,
+  takeScreenshot,
+  submitForm,
+  closeBrowserTool,
+];
@@ -0,0 +1,100 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import { getSession } from "../services/sessionManager.js";
+import { readPageContent, extractRecords, extractFieldSchema, MAX_EXTRACT_PAGES } from "../services/dataExtractor.js";
+import { PolicyViolationError } from "../services/safetyPolicy.js";
+import { settlePage } from "../services/pageWaits.js";
+import { getSessionId, emitEvent, refuse, checkBlockedNavigations } from "./toolHelpers.js";
+
+async function goToNextPage(session, { nextPageText, nextPageSelector }) {
+  const { page } = session;
+  const next = nextPageSelector
+    ? page.locator(nextPageSelector).first()
+    : page.getByRole('link', { name: nextPageText }).or(page.getByRole('button', { name: nextPageText })).first();
+
+  if (!(await next.isVisible().catch(() => false)) || await next.isDisabled().catch(() => false)) {
+    return false;
+  }
+  const urlBefore = page.url();
+  await next.click({ timeout: 5000 });
+  await page.waitForLoadState("networkidle", { timeout: 15000 }).catch(() => {});
+  if (page.url() === urlBefore) {
+    // Client-side pagination: wait for the fetch behind the new page to finish
+    await settlePage(page);
+  }
+  await checkBlockedNavigations(session);
+  return true;
+}
+
+export const extractData = tool({
+  name: "extract_data",
+  description: "Extract structured records (lists, tables, product cards) from the current page using a field schema, optionally following pagination. If the user request included a schema, fields can be left empty to use it.",
+  parameters: z.object({
+    fields: z.array(extractFieldSchema).optional().nullable(),
+    instructions: z.string().optional().nullable(),
+    rootSelector: z.string().optional().nullable(),
+    maxPages: z.number().int().optional().nullable(),
+    nextPageText: z.string().optional().nullable(),
+    nextPageSelector: z.string().optional().nullable(),
+  }),
+  async execute({ fields, instructions, rootSelector, maxPages, nextPageText, nextPageSelector }, runContext) {
+    const requested = runContext?.context?.extract;
+    const schema = fields?.length ? fields : requested?.fields;
+    if (!schema?.length) {
+      return "❌ Failed to extract data: no fields given";
+    }
+
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const { page } = session;
+      const pageLimit = Math.min(maxPages ?? requested?.maxPages ?? 1, MAX_EXTRACT_PAGES);
+      const canPaginate = Boolean(nextPageText || nextPageSelector);
+      console.log(`🧾 Extracting ${schema.map(field => field.name).join(", ")} (up to ${pageLimit} pages)...`);
+
+      const records = [];
+      const seen = new Set();
+      let pagesVisited = 0;
+      for (;;) {
+        const content = await readPageContent(page, rootSelector);
+        const pageRecords = await extractRecords({
+          content,
+          fields: schema,
+          instructions: instructions || requested?.instructions,
+        });
+        pagesVisited++;
+
+        for (const record of pageRecords) {
+          const key = JSON.stringify(record);
+          if (!seen.has(key)) {
+            seen.add(key);
+            records.push(record);
+          }
+        }
+        console.log(`🧾 Page ${pagesVisited}: ${pageRecords.length} records`);
+
+        if (!canPaginate || pagesVisited >= pageLimit) break;
+        if (!(await goToNextPage(session, { nextPageText, nextPageSelector }))) break;
+      }
+
+      emitEvent(runContext, {
+        type: "extraction",
+        callId: runContext?.context?.currentCallId || null,
+        url: page.url(),
+        fields: schema,
+        records,
+        pages: pagesVisited,
+      });
+
+      const preview = JSON.stringify(records.slice(0, 5), null, 2);
+      return `✅ Extracted ${records.length} records from ${pagesVisited} page(s). They are returned to the user as structured data.\nFirst ${Math.min(5, records.length)}:\n${preview}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "extract_data", error);
+      }
+      console.error("❌ Failed to extract data:", error.message);
+      return `❌ Failed to extract data: ${error.message}`;
+    }
+  },
+});
+
+export const extractTools = [extractData];
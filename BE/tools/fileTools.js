@@ -0,0 +1,113 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import { settleDownloads } from "../services/sessionManager.js";
+import { listUploads, listDownloads, uploadPath, findSessionFile, readFileText, setFilesOn } from "../services/fileStore.js";
+import { collectFormFields, matchField, describeField } from "../services/formFields.js";
+import { resolveLocator } from "../services/locators.js";
+import { PolicyViolationError } from "../services/safetyPolicy.js";
+import { getSessionId, getPage, resolveTarget, recordAction, refuse } from "./toolHelpers.js";
+
+const formatSize = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+export const listFiles = tool({
+  name: "list_files",
+  description: "List the files the user attached to this chat and the files the page downloaded so far",
+  parameters: z.object({}),
+  async execute(_args, runContext) {
+    const sessionId = getSessionId(runContext);
+    await settleDownloads(sessionId);
+    const uploads = await listUploads(sessionId);
+    const downloads = listDownloads(sessionId);
+    if (uploads.length === 0 && downloads.length === 0) {
+      return "📁 No attached or downloaded files";
+    }
+    const lines = [
+      ...uploads.map(file => `- 📎 "${file.name}" (attached, ${formatSize(file.size)})`),
+      ...downloads.map(file => `- ⬇️ "${file.filename}" (downloaded from ${file.sourceUrl}, ${formatSize(file.size)})`),
+    ];
+    return `📁 Files:\n${lines.join("\n")}`;
+  },
+});
+
+export const uploadFile = tool({
+  name: "upload_file",
+  description: "Put attached files into a file upload field, found by its label, a page_snapshot ref or a CSS selector. Works on <input type=file> and on buttons that open a file picker. Pass several names for multi-file inputs.",
+  parameters: z.object({
+    fileNames: z.array(z.string()),
+    label: z.string().optional().nullable(),
+    ref: z.string().optional().nullable(),
+    selector: z.string().optional().nullable(),
+  }),
+  async execute({ fileNames, label, ref, selector }, runContext) {
+    const target = label || ref || selector;
+    try {
+      if (fileNames.length === 0) {
+        throw new Error("no file names given");
+      }
+      const sessionId = getSessionId(runContext);
+      const paths = fileNames.map(name => uploadPath(sessionId, name));
+
+      let page, element, locator, description;
+      if (ref || selector) {
+        const resolved = await resolveTarget(runContext, { ref, selector });
+        ({ page, target: element, locator, label: description } = resolved);
+      } else if (label) {
+        page = await getPage(runContext);
+        const fileFields = (await collectFormFields(page)).filter(field => field.kind === "file");
+        const field = matchField(fileFields, label, new Set());
+        if (!field) {
+          throw new Error(`no file upload field matching "${label}"${fileFields.length === 0 ? " (the page has no file inputs, try the upload button's ref)" : ""}`);
+        }
+        locator = { strategy: "css", selector: field.selector, ...(field.frame.length > 0 && { frame: field.frame }) };
+        element = resolveLocator(page, locator).first();
+        description = describeField(field);
+      } else {
+        throw new Error("Either label, ref or selector is required");
+      }
+
+      console.log(`📎 Uploading ${fileNames.join(", ")} to ${description}`);
+      const chooser = await setFilesOn(page, element, paths);
+      recordAction(runContext, { kind: "upload", locator, files: fileNames, sessionId, chooser });
+
+      console.log(`✅ Uploaded ${fileNames.length} files`);
+      return `✅ Uploaded ${fileNames.map(name => `"${name}"`).join(", ")} to ${description}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "upload_file", error);
+      }
+      console.error(`❌ Failed to upload to ${target}:`, error.message);
+      return `❌ Failed to upload files${target ? ` to ${target}` : ""}: ${error.message}`;
+    }
+  },
+});
+
+export const readFile = tool({
+  name: "read_file",
+  description: "Read the text of an attached or downloaded file (PDF, CSV/TSV or plain text) by its file name. CSV rows come back as cells separated by |.",
+  parameters: z.object({
+    name: z.string(),
+    maxChars: z.number().optional().nullable(),
+  }),
+  async execute({ name, maxChars }, runContext) {
+    try {
+      const sessionId = getSessionId(runContext);
+      await settleDownloads(sessionId);
+      const file = findSessionFile(sessionId, name);
+      console.log(`📖 Reading ${file.source} ${file.name}`);
+      const content = await readFileText(file.path, maxChars ? { maxChars } : undefined);
+
+      const details = content.kind === "pdf"
+        ? `${content.pages} pages`
+        : content.kind === "csv"
+          ? `${content.rows} rows, columns: ${content.columns.join(", ")}`
+          : `${content.text.length} characters`;
+      const truncated = content.truncated ? "\n⚠️ Truncated, pass a larger maxChars to read more" : "";
+      return `📖 ${file.name} (${details}):\n${content.text}${truncated}`;
+    } catch (error) {
+      console.error(`❌ Failed to read ${name}:`, error.message);
+      return `❌ Failed to read ${name}: ${error.message}`;
+    }
+  },
+});
+
+export const fileTools = [listFiles, uploadFile, readFile];
@@ -0,0 +1,62 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import { collectFormFields, matchField, applyFieldValue, describeField } from "../services/formFields.js";
+import { PolicyViolationError } from "../services/safetyPolicy.js";
+import { resolveSecrets } from "../services/secretVault.js";
+import { findFrame } from "../services/frames.js";
+import { getPage, recordAction, refuse } from "./toolHelpers.js";
+
+export const fillForm = tool({
+  name: "fill_form",
+  description: "Fill several form fields in one call. Each field is found by its label, ARIA name, placeholder or nearby text, and set the right way for its type: text, textarea, select (option label or value; separate several with ; for multi-selects), checkbox and switch (yes/no), radio group (the option's label), date and time (e.g. 2025-03-14, 14:30) and rich text editors. Does not submit the form. For credentials pass a {{secret:name}} placeholder as the value. Fields inside iframes and web components are found too; pass frame (e.g. \"f1\") to only look in one iframe.",
+  parameters: z.object({
+    fields: z.array(z.object({
+      label: z.string(),
+      value: z.string(),
+    })),
+    frame: z.string().optional().nullable(),
+  }),
+  async execute({ fields, frame }, runContext) {
+    if (fields.length === 0) {
+      return "❌ Failed to fill form: no fields given";
+    }
+    try {
+      const page = await getPage(runContext);
+      console.log(`📝 Filling ${fields.length} form fields...`);
+      const available = await collectFormFields(page, { frame: frame ? await findFrame(page, frame) : null });
+
+      const taken = new Set();
+      const report = [];
+      let filled = 0;
+      for (const { label, value } of fields) {
+        const field = matchField(available, label, taken);
+        if (!field) {
+          report.push(`❌ "${label}": no matching field found`);
+          continue;
+        }
+        taken.add(field);
+        try {
+          // Secrets are only resolved for the fill itself, so they never reach the report or the recording
+          const { shown, action } = await applyFieldValue(page, field, value, text => resolveSecrets(text, field.frameUrl || page.url()));
+          recordAction(runContext, action);
+          report.push(`✅ "${label}" → ${describeField(field)}: ${shown}`);
+          filled++;
+        } catch (error) {
+          if (error instanceof PolicyViolationError) throw error;
+          report.push(`❌ "${label}" → ${describeField(field)}: ${error.message.split("\n")[0]}`);
+        }
+      }
+
+      console.log(`✅ Filled ${filled}/${fields.length} form fields`);
+      return `${filled === fields.length ? "✅" : "⚠️"} Filled ${filled} of ${fields.length} fields:\n${report.join("\n")}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "fill_form", error);
+      }
+      console.error(`❌ Failed to fill form:`, error.message);
+      return `❌ Failed to fill form: ${error.message}`;
+    }
+  },
+});
+
+export const formTools = [fillForm];
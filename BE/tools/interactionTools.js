@@ -0,0 +1,230 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import { getSession } from "../services/sessionManager.js";
+import { scroll, scrollToLoadMore } from "../services/scrolling.js";
+import { checkCondition } from "../services/pageWaits.js";
+import { keyPressEffect } from "../services/actionTargets.js";
+import { PolicyViolationError, checkActionText } from "../services/safetyPolicy.js";
+import {
+  getSessionId, resolveTarget, resolveCheckedTarget, recordAction, refuse, openTabs, describeNewTabs, checkBlockedNavigations,
+  checkFormSubmissionLimit, countFormSubmission, requireApproval, requireClickApproval,
+  waitForParameter, WAIT_FOR_DESCRIPTION, toWaitCondition, waitAfterAction,
+} from "./toolHelpers.js";
+
+const MAX_SCROLLS = Number(process.env.MAX_LOAD_MORE_SCROLLS) || 20;
+const MAX_KEYS = 50;
+
+// Pressing Enter or Space can click a button or submit a form, so it goes through the same policy as
+// click_element and submit_form. Returns what happened for the caller: { approved, submitted }
+async function checkKeyPress(runContext, { page, target, key, approved }) {
+  const effect = await keyPressEffect(page, target, key);
+  if (!effect) {
+    return { approved, submitted: false };
+  }
+  if (effect.submitsForm) {
+    checkFormSubmissionLimit(runContext);
+    checkActionText(effect.text);
+    if (!approved) {
+      approved = await requireApproval(runContext, { tool: "press_keys", description: `Submit the form by pressing ${key}`, page });
+    }
+    return { approved, submitted: true };
+  }
+  checkActionText(effect.text);
+  if (!approved) {
+    approved = await requireClickApproval(runContext, { tool: "press_keys", text: effect.text, page });
+  }
+  return { approved, submitted: false };
+}
+
+export const scrollTool = tool({
+  name: "scroll",
+  description: "Scroll the page, or a scrollable element (ref or selector), up/down by a number of pixels (default most of a screen) or to the top/bottom. direction \"into_view\" scrolls the given element into view. For infinite-scroll lists set loadMore to the most times to scroll to the bottom; it stops once nothing new loads or untilText appears.",
+  parameters: z.object({
+    direction: z.enum(["down", "up", "top", "bottom", "into_view"]),
+    ref: z.string().optional().nullable(),
+    selector: z.string().optional().nullable(),
+    amount: z.number().optional().nullable(),
+    loadMore: z.number().optional().nullable(),
+    untilText: z.string().optional().nullable(),
+  }),
+  async execute({ direction, ref, selector, amount, loadMore, untilText }, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const resolved = ref || selector ? await resolveTarget(runContext, { ref, selector }) : null;
+      const { page } = session;
+      const where = resolved ? resolved.label : "the page";
+
+      if (direction === "into_view") {
+        if (!resolved) {
+          throw new Error("into_view needs the ref or selector of the element to show");
+        }
+        await resolved.target.scrollIntoViewIfNeeded({ timeout: 5000 });
+        recordAction(runContext, { kind: "scroll", direction, locator: resolved.locator });
+        return `✅ Scrolled ${where} into view`;
+      }
+
+      if (loadMore) {
+        const untilVisible = async () => Boolean(untilText) && page.getByText(untilText).first().isVisible();
+        if (await untilVisible()) {
+          return `✅ "${untilText}" is already visible, no need to scroll`;
+        }
+        console.log(`📜 Scrolling ${where} to load more (up to ${loadMore} times)`);
+        const result = await scrollToLoadMore(page, resolved?.target, { maxScrolls: Math.min(loadMore, MAX_SCROLLS), isDone: untilVisible });
+        recordAction(runContext, { kind: "scroll", direction: "bottom", locator: resolved?.locator, times: result.scrolls });
+        await checkBlockedNavigations(session);
+
+        const found = untilText ? ((await untilVisible()) ? ` "${untilText}" is now visible.` : ` "${untilText}" did not appear.`) : "";
+        const end = result.exhausted ? " Nothing more loaded at the end, so this is probably all of it." : "";
+        return `✅ Scrolled ${where} to the bottom ${result.scrolls} times, content grew from ${result.startHeight}px to ${result.endHeight}px.${found}${end}`;
+      }
+
+      const position = await scroll(page, resolved?.target, { direction, amount });
+      recordAction(runContext, { kind: "scroll", direction, amount, locator: resolved?.locator });
+      console.log(`📜 Scrolled ${where} ${direction}`);
+      return `✅ Scrolled ${where} ${direction} to ${position.scrollTop}px of ${position.scrollHeight}px${position.atBottom ? " (at the bottom)" : ""}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "scroll", error);
+      }
+      console.error(`❌ Failed to scroll:`, error.message);
+      return `❌ Failed to scroll: ${error.message}`;
+    }
+  },
+});
+
+export const hoverTool = tool({
+  name: "hover",
+  description: `Move the mouse over an element (page_snapshot ref, CSS selector or visible text) to reveal menus, tooltips or hidden buttons. Take a new page_snapshot afterwards to get refs for what appeared. ${WAIT_FOR_DESCRIPTION}`,
+  parameters: z.object({
+    ref: z.string().optional().nullable(),
+    selector: z.string().optional().nullable(),
+    text: z.string().optional().nullable(),
+    waitFor: waitForParameter.optional().nullable(),
+  }),
+  async execute({ ref, selector, text, waitFor }, runContext) {
+    let label = ref || selector || text;
+    try {
+      // Hovering doesn't act on anything, but it must not reach blocked elements either
+      const resolved = await resolveCheckedTarget(runContext, "hover", { ref, selector, text }, { approve: false });
+      label = resolved.label;
+      const condition = await toWaitCondition(runContext, waitFor);
+      console.log(`🖱️ Hovering over ${label}`);
+
+      await resolved.target.hover({ timeout: 5000 });
+      recordAction(runContext, { kind: "hover", locator: resolved.locator });
+      const waited = await waitAfterAction(runContext, resolved.page, condition);
+      return `✅ Hovering over ${label}${waited}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "hover", error);
+      }
+      console.error(`❌ Failed to hover over ${label}:`, error.message);
+      return `❌ Failed to hover over ${label}: ${error.message}`;
+    }
+  },
+});
+
+export const pressKeys = tool({
+  name: "press_keys",
+  description: `Press keys or key combinations in order, e.g. ["ControlOrMeta+A", "Backspace"] to clear a field, ["ArrowDown", "Enter"] to pick a suggestion, or ["Escape"] to close a dialog. With a ref or selector the element is focused first, otherwise keys go to whatever has focus. ${WAIT_FOR_DESCRIPTION}`,
+  parameters: z.object({
+    keys: z.array(z.string()),
+    ref: z.string().optional().nullable(),
+    selector: z.string().optional().nullable(),
+    waitFor: waitForParameter.optional().nullable(),
+  }),
+  async execute({ keys, ref, selector, waitFor }, runContext) {
+    try {
+      if (keys.length === 0 || keys.length > MAX_KEYS) {
+        throw new Error(`pass between 1 and ${MAX_KEYS} keys`);
+      }
+      const session = await getSession(getSessionId(runContext));
+      const resolved = ref || selector ? await resolveTarget(runContext, { ref, selector }) : null;
+      const condition = await toWaitCondition(runContext, waitFor);
+      const tabsBefore = openTabs(session);
+      console.log(`⌨️ Pressing ${keys.join(", ")}${resolved ? ` in ${resolved.label}` : ""}`);
+
+      let approved = false;
+      for (const key of keys) {
+        const check = await checkKeyPress(runContext, { page: session.page, target: resolved?.target, key, approved });
+        approved = check.approved;
+        if (resolved) {
+          await resolved.target.press(key, { timeout: 5000 });
+        } else {
+          await session.page.keyboard.press(key);
+        }
+        recordAction(runContext, { kind: "press", key, ...(resolved && { locator: resolved.locator }) });
+        if (check.submitted) {
+          countFormSubmission(runContext);
+        }
+      }
+      const waited = await waitAfterAction(runContext, session.page, condition);
+      await checkBlockedNavigations(session);
+      return `✅ Pressed ${keys.join(", ")}${resolved ? ` in ${resolved.label}` : ""}${waited}${describeNewTabs(session, tabsBefore)}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "press_keys", error);
+      }
+      console.error(`❌ Failed to press keys:`, error.message);
+      return `❌ Failed to press ${keys.join(", ")}: ${error.message}`;
+    }
+  },
+});
+
+export const dragAndDrop = tool({
+  name: "drag_and_drop",
+  description: `Drag one element onto another, e.g. a card to another column or a file row into a folder. Give each end as a page_snapshot ref, CSS selector or visible text. ${WAIT_FOR_DESCRIPTION}`,
+  parameters: z.object({
+    sourceRef: z.string().optional().nullable(),
+    sourceSelector: z.string().optional().nullable(),
+    sourceText: z.string().optional().nullable(),
+    targetRef: z.string().optional().nullable(),
+    targetSelector: z.string().optional().nullable(),
+    targetText: z.string().optional().nullable(),
+    waitFor: waitForParameter.optional().nullable(),
+  }),
+  async execute({ sourceRef, sourceSelector, sourceText, targetRef, targetSelector, targetText, waitFor }, runContext) {
+    try {
+      const source = await resolveCheckedTarget(runContext, "drag_and_drop", { ref: sourceRef, selector: sourceSelector, text: sourceText });
+      // One approval covers the whole drag, e.g. a row dropped on "Delete"
+      const target = await resolveCheckedTarget(runContext, "drag_and_drop", { ref: targetRef, selector: targetSelector, text: targetText }, { approve: !source.approved });
+      const condition = await toWaitCondition(runContext, waitFor);
+      console.log(`🖱️ Dragging ${source.label} onto ${target.label}`);
+
+      await source.target.dragTo(target.target, { timeout: 10000 });
+      recordAction(runContext, { kind: "drag", from: source.locator, to: target.locator });
+      const waited = await waitAfterAction(runContext, source.page, condition);
+      await checkBlockedNavigations(source.session);
+      return `✅ Dragged ${source.label} onto ${target.label}${waited}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "drag_and_drop", error);
+      }
+      console.error(`❌ Failed to drag and drop:`, error.message);
+      return `❌ Failed to drag and drop: ${error.message}`;
+    }
+  },
+});
+
+export const waitForTool = tool({
+  name: "wait_for",
+  description: "Wait until an element is visible or hidden (ref, selector or text), some text is present, the URL matches (substring, glob with * or /regex/) or the network is idle. Use it for content that loads late instead of retrying other tools. timeoutMs defaults to 10 seconds.",
+  parameters: waitForParameter,
+  async execute(waitFor, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const condition = await toWaitCondition(runContext, waitFor);
+      const { met, message } = await checkCondition(session.page, condition);
+      if (!met) {
+        return `❌ Failed to wait: ${message}`;
+      }
+      recordAction(runContext, { kind: "waitFor", condition });
+      return `✅ Done, ${message}`;
+    } catch (error) {
+      console.error(`❌ Failed to wait:`, error.message);
+      return `❌ Failed to wait: ${error.message}`;
+    }
+  },
+});
+
+export const interactionTools = [scrollTool, hoverTool, pressKeys, dragAndDrop, waitForTool];
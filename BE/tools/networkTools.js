@@ -0,0 +1,40 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import { getSession } from "../services/sessionManager.js";
+import { listRequests, formatRequest } from "../services/networkLog.js";
+import { getSessionId } from "./toolHelpers.js";
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+export const listNetworkRequests = tool({
+  name: "list_network_requests",
+  description: "List the browser's recent requests with method, status, time, type and URL, newest last. Use it when a page doesn't load or an action seems to do nothing, to see server errors, redirects, failed or blocked requests. Filter by pattern (part of the URL, a glob with * or a /regex/), failedOnly for errors and unanswered requests, and resourceType (document, xhr, fetch, script, stylesheet, image...).",
+  parameters: z.object({
+    pattern: z.string().optional().nullable(),
+    failedOnly: z.boolean().optional().nullable(),
+    resourceType: z.string().optional().nullable(),
+    limit: z.number().int().optional().nullable(),
+  }),
+  async execute({ pattern, failedOnly, resourceType, limit }, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const requests = listRequests(session.network, {
+        pattern: pattern || undefined,
+        failedOnly: Boolean(failedOnly),
+        resourceType: resourceType || undefined,
+        limit: Math.min(Math.max(limit || DEFAULT_LIMIT, 1), MAX_LIMIT),
+      });
+      const filters = [pattern && `matching "${pattern}"`, failedOnly && "failed", resourceType].filter(Boolean).join(", ");
+      if (requests.length === 0) {
+        return `🌐 No requests${filters ? ` (${filters})` : ""} in the last ${session.network.entries.length} logged`;
+      }
+      return `🌐 ${requests.length} requests${filters ? ` (${filters})` : ""}, oldest first:\n${requests.map(formatRequest).join("\n")}`;
+    } catch (error) {
+      console.error(`❌ Failed to list network requests:`, error.message);
+      return `❌ Failed to list network requests: ${error.message}`;
+    }
+  },
+});
+
+export const networkTools = [listNetworkRequests];
@@ -0,0 +1,18 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import { listSecrets } from "../services/secretVault.js";
+
+export const listSecretsTool = tool({
+  name: "list_secrets",
+  description: "List the stored credentials by name and the domain each may be used on. Values are never shown; type them with a {{secret:name}} placeholder.",
+  parameters: z.object({}),
+  async execute() {
+    const secrets = listSecrets();
+    if (secrets.length === 0) {
+      return "🔐 No secrets are stored";
+    }
+    return `🔐 Stored secrets:\n${secrets.map(secret => `- ${secret.placeholder} (only on ${secret.domain})`).join("\n")}`;
+  },
+});
+
+export const secretTools = [listSecretsTool];
@@ -0,0 +1,115 @@
+import { tool } from "@openai/agents";
+import { z } from 'zod';
+import { getSession, switchTab, listTabs } from "../services/sessionManager.js";
+import { PolicyViolationError, checkUrl } from "../services/safetyPolicy.js";
+import { getSessionId, recordAction, refuse, requireNavigationApproval } from "./toolHelpers.js";
+
+function formatTabs(tabs) {
+  return tabs
+    .map(tab => `${tab.active ? "👉" : "  "} #${tab.index} ${tab.title || "(untitled)"} - ${tab.url}`)
+    .join("\n");
+}
+
+export const listTabsTool = tool({
+  name: "list_tabs",
+  description: "List the open browser tabs with their index, URL and title. The active tab is the one other tools act on.",
+  parameters: z.object({}),
+  async execute(_args, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const tabs = await listTabs(session);
+      return `🗂️ Open tabs (${tabs.length}):\n${formatTabs(tabs)}`;
+    } catch (error) {
+      console.error("❌ Failed to list tabs:", error.message);
+      return `❌ Failed to list tabs: ${error.message}`;
+    }
+  },
+});
+
+export const switchTabTool = tool({
+  name: "switch_tab",
+  description: "Make the tab at the given index (from list_tabs) the active tab",
+  parameters: z.object({ index: z.number().int() }),
+  async execute({ index }, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const page = await switchTab(session, index);
+      await page.waitForLoadState("domcontentloaded", { timeout: 10000 }).catch(() => {});
+      recordAction(runContext, { kind: "switchTab", index });
+
+      const title = await page.title();
+      console.log(`🗂️ Switched to tab #${index}: ${page.url()}`);
+      return `✅ Switched to tab #${index} - ${title} (${page.url()})`;
+    } catch (error) {
+      console.error(`❌ Failed to switch to tab #${index}:`, error.message);
+      return `❌ Failed to switch to tab #${index}: ${error.message}`;
+    }
+  },
+});
+
+export const openTabTool = tool({
+  name: "open_tab",
+  description: "Open a new tab, optionally navigating it to a URL, and make it the active tab",
+  parameters: z.object({ url: z.string().optional().nullable() }),
+  async execute({ url }, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      if (url) {
+        checkUrl(url);
+        await requireNavigationApproval(runContext, { tool: "open_tab", url, page: session.page });
+      }
+      const page = await session.context.newPage();
+      const index = session.context.pages().indexOf(page);
+      await switchTab(session, index);
+      recordAction(runContext, { kind: "openTab", url: url || null });
+
+      if (url) {
+        await page.goto(url, { waitUntil: "networkidle", timeout: 30000 });
+      }
+      console.log(`🗂️ Opened tab #${index}${url ? `: ${url}` : ""}`);
+      return `✅ Opened tab #${index}${url ? ` at ${url} - ${await page.title()}` : ""}`;
+    } catch (error) {
+      if (error instanceof PolicyViolationError) {
+        return refuse(runContext, "open_tab", error);
+      }
+      console.error("❌ Failed to open tab:", error.message);
+      return `❌ Failed to open tab: ${error.message}`;
+    }
+  },
+});
+
+export const closeTabTool = tool({
+  name: "close_tab",
+  description: "Close the tab at the given index, or the active tab if no index is given",
+  parameters: z.object({ index: z.number().int().optional().nullable() }),
+  async execute({ index }, runContext) {
+    try {
+      const session = await getSession(getSessionId(runContext));
+      const pages = session.context.pages();
+      const tabIndex = index ?? pages.indexOf(session.page);
+      const page = pages[tabIndex];
+      if (!page) {
+        throw new Error(`No tab at index ${tabIndex} (${pages.length} open)`);
+      }
+      if (pages.length === 1) {
+        throw new Error("Cannot close the last tab, use close_browser instead");
+      }
+
+      await page.close();
+      recordAction(runContext, { kind: "closeTab", index: tabIndex });
+      const tabs = await listTabs(session);
+      console.log(`🗂️ Closed tab #${tabIndex}`);
+      return `✅ Closed tab #${tabIndex}\n${formatTabs(tabs)}`;
+    } catch (error) {
+      console.error("❌ Failed to close tab:", error.message);
+      return `❌ Failed to close tab: ${error.message}`;
+    }
+  },
+});
+
+export const tabTools = [
+  listTabsTool,
+  switchTabTool,
+  openTabTool,
+  closeTabTool,
+];
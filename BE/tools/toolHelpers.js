@@ -0,0 +1,217 @@
+import { z } from 'zod';
+import { getSession, DEFAULT_SESSION_ID } from "../services/sessionManager.js";
+import { resolveLocator, locatorDocumentUrl } from "../services/locators.js";
+import { elementLocator } from "../services/pageSnapshot.js";
+import { findFrame, inFrame } from "../services/frames.js";
+import { PolicyViolationError, checkFormSubmission, checkActionText } from "../services/safetyPolicy.js";
+import { ApprovalRejectedError, APPROVAL_CLICK_PATTERN } from "../services/approvals.js";
+import { WAIT_CONDITION_TYPES, SETTLE_TIMEOUT_MS, checkCondition, settlePage } from "../services/pageWaits.js";
+
+const MAX_WAIT_MS = 60000;
+
+// Tools resolve the browser session of whoever started the run
+export function getSessionId(runContext) {
+  return runContext?.context?.sessionId || DEFAULT_SESSION_ID;
+}
+
+export async function getPage(runContext) {
+  const { page } = await getSession(getSessionId(runContext));
+  return page;
+}
+
+// Forwards an event to whoever is following the run (e.g. the streaming endpoint)
+export function emitEvent(runContext, event) {
+  runContext?.context?.emit?.(event);
+}
+
+// Finds the element a tool should act on, from a page_snapshot ref, a CSS selector or (where a tool allows it) visible text.
+// Refs know their frame; selectors and text are looked up in `frame` (an id like f1, a frame name or part of its URL) if given.
+export async function resolveTarget(runContext, { selector, ref, text, frame }) {
+  const session = await getSession(getSessionId(runContext));
+  if (ref) {
+    const element = session.elementRefs.get(ref);
+    if (!element) {
+      throw new Error(`Unknown element ref "${ref}", call page_snapshot to get fresh refs`);
+    }
+    const locator = elementLocator(element);
+    const where = element.frameId && element.frameId !== "main" ? ` in frame ${element.frameId}` : "";
+    return { session, page: session.page, target: resolveLocator(session.page, locator), locator, label: `${ref} (${element.role} "${element.name}"${where})` };
+  }
+  const entry = frame ? await findFrame(session.page, frame) : null;
+  const where = entry && entry.id !== "main" ? ` in frame ${entry.id}` : "";
+  if (selector) {
+    const locator = inFrame({ strategy: "css", selector }, entry);
+    return { session, page: session.page, target: resolveLocator(session.page, locator).first(), locator, label: `${selector}${where}` };
+  }
+  if (text) {
+    const locator = inFrame({ strategy: "text", text, exact: false }, entry);
+    return { session, page: session.page, target: resolveLocator(session.page, locator).first(), locator, label: `"${text}"${where}` };
+  }
+  throw new Error("Either selector or ref is required");
+}
+
+// resolveTarget for tools that act on the element: waits for it, then refuses blocked keywords (e.g. "Delete account")
+// and, with `approve`, waits for approval of clicks like "Checkout". Returns the target with its text and whether it was approved.
+export async function resolveCheckedTarget(runContext, tool, spec, { approve = true } = {}) {
+  const resolved = await resolveTarget(runContext, spec);
+  await resolved.target.waitFor({ timeout: 10000 });
+  const text = await elementText(resolved.target);
+  checkActionText(text);
+  const approved = approve ? await requireClickApproval(runContext, { tool, text, page: resolved.page }) : false;
+  return { ...resolved, text, approved };
+}
+
+// The URL of the document a resolved element lives in, which secrets are resolved against
+export function targetUrl(resolved) {
+  return locatorDocumentUrl(resolved.page, resolved.locator);
+}
+
+// The `waitFor` parameter of actions: what to wait for afterwards instead of sleeping a fixed time
+export const waitForParameter = z.object({
+  type: z.enum(WAIT_CONDITION_TYPES),
+  selector: z.string().optional().nullable(),
+  ref: z.string().optional().nullable(),
+  text: z.string().optional().nullable(),
+  url: z.string().optional().nullable(),
+  timeoutMs: z.number().optional().nullable(),
+});
+
+export const WAIT_FOR_DESCRIPTION = "waitFor: what the action should lead to, e.g. { type: \"element_visible\", selector: \".results\" }, { type: \"text_present\", text: \"Saved\" }, { type: \"url_matches\", url: \"/dashboard\" } or { type: \"network_idle\" }. Without it the tool only waits briefly for network requests to finish.";
+
+// Turns the tool parameter into a recordable wait condition (see pageWaits.js)
+export async function toWaitCondition(runContext, waitFor) {
+  if (!waitFor) {
+    return null;
+  }
+  const { type, selector, ref, text, url, timeoutMs } = waitFor;
+  const timeout = timeoutMs ? { timeoutMs: Math.min(Math.max(timeoutMs, 0), MAX_WAIT_MS) } : {};
+  switch (type) {
+    case "element_visible":
+    case "element_hidden": {
+      if (ref || selector || text) {
+        const { locator } = await resolveTarget(runContext, { ref, selector, text });
+        return { type, locator, ...timeout };
+      }
+      throw new Error(`${type} needs a ref, selector or text`);
+    }
+    case "text_present":
+      if (!text) throw new Error("text_present needs the text to wait for");
+      return { type, text, ...timeout };
+    case "url_matches":
+      if (!url) throw new Error("url_matches needs the url to match");
+      return { type, url, ...timeout };
+    default:
+      return { type, ...timeout };
+  }
+}
+
+// Waits after an action for a condition from toWaitCondition (built before acting, so a bad one fails early),
+// or just until the network goes quiet. Returns a note for the tool result; an unmet condition is reported, not thrown.
+export async function waitAfterAction(runContext, page, condition) {
+  if (!condition) {
+    await settlePage(page);
+    recordAction(runContext, { kind: "settle", ms: SETTLE_TIMEOUT_MS });
+    return "";
+  }
+  const { met, message } = await checkCondition(page, condition);
+  if (met) {
+    // Only conditions that held are recorded, so a replay doesn't stall on one that never did
+    recordAction(runContext, { kind: "waitFor", condition });
+    return ` (${message})`;
+  }
+  return `\n⚠️ The action went through, but ${message}. Take a page_snapshot or screenshot to see what happened.`;
+}
+
+// Records the concrete Playwright action a tool performed, so the run can be exported as a script
+export function recordAction(runContext, action) {
+  emitEvent(runContext, {
+    type: "action",
+    callId: runContext?.context?.currentCallId || null,
+    action,
+  });
+}
+
+// Remembers which tabs were open before an action, so the tool can report tabs it spawned
+export function openTabs(session) {
+  return new Set(session.context.pages());
+}
+
+export function describeNewTabs(session, tabsBefore) {
+  const pages = session.context.pages();
+  const opened = pages.filter(page => !tabsBefore.has(page));
+  if (opened.length === 0) {
+    return "";
+  }
+  const tabs = opened.map(page => `#${pages.indexOf(page)} ${page.url()}`).join(", ");
+  return `\n🆕 This opened ${opened.length === 1 ? "a new tab" : `${opened.length} new tabs`}: ${tabs}. Use switch_tab to work in it.`;
+}
+
+// Turns a safety policy violation into a refusal for the agent, and reports it so it shows up in the run
+export function refuse(runContext, toolName, error) {
+  console.log(`🛡️ ${toolName} refused: ${error.message}`);
+  emitEvent(runContext, {
+    type: "policy_violation",
+    callId: runContext?.context?.currentCallId || null,
+    tool: toolName,
+    rule: error.rule,
+    message: error.message,
+  });
+  return `🚫 ${error.message}. Do not try to work around this, tell the user what was blocked.`;
+}
+
+// The visible text of an element, for keyword checks before clicking it
+export async function elementText(target) {
+  return target.evaluate(el => el.innerText || el.value || el.getAttribute('aria-label') || "").catch(() => "");
+}
+
+// Throws if the last action tried to navigate somewhere it wasn't allowed or approved to go.
+// Navigations still waiting for approval are settled first, so the tool can report how they ended.
+export async function checkBlockedNavigations(session) {
+  await Promise.all([...session.pendingNavigations]);
+  const blocked = session.blockedNavigations.splice(0);
+  if (blocked.length > 0) {
+    const { url, reason, rule } = blocked[blocked.length - 1];
+    throw new PolicyViolationError(rule, `Navigation to ${url} was blocked: ${reason}`);
+  }
+}
+
+// Form submissions are capped per run; call before submitting, then countFormSubmission once it went through
+export function checkFormSubmissionLimit(runContext) {
+  checkFormSubmission(runContext?.context?.formSubmissions || 0);
+}
+
+export function countFormSubmission(runContext) {
+  if (runContext?.context) {
+    runContext.context.formSubmissions = (runContext.context.formSubmissions || 0) + 1;
+  }
+}
+
+// Pauses the run until a person approves the action, when the run asks for approvals.
+// Throws ApprovalRejectedError if it is rejected or nobody answers in time.
+export async function requireApproval(runContext, { tool, description, page }) {
+  const requestApproval = runContext?.context?.requestApproval;
+  if (!requestApproval) {
+    return false;
+  }
+  const decision = await requestApproval({ tool, description, page, callId: runContext.context.currentCallId || null });
+  if (!decision.approved) {
+    const outcome = decision.timedOut ? "was not approved in time" : "was rejected by the user";
+    throw new ApprovalRejectedError(`${description} ${outcome}${decision.reason ? ` (${decision.reason})` : ""}`);
+  }
+  return true;
+}
+
+// Returns true if the click needed approval and got it
+export async function requireClickApproval(runContext, { tool, text, page }) {
+  if (!text || !APPROVAL_CLICK_PATTERN.test(text)) {
+    return false;
+  }
+  return requireApproval(runContext, { tool, description: `Click "${text.trim().slice(0, 100)}"`, page });
+}
+
+export async function requireNavigationApproval(runContext, { tool, url, page }) {
+  const approveNavigation = runContext?.context?.approveNavigation;
+  if (approveNavigation && !(await approveNavigation(url, page, tool))) {
+    throw new ApprovalRejectedError(`Navigation to ${url} was not approved`);
+  }
+}
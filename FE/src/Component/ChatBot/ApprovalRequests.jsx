@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldQuestion, Check, X } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+
+const STATUS_LABELS = {
+  approved: 'Approved',
+  rejected: 'Rejected',
+  timed_out: 'Timed out',
+};
+
+const secondsLeft = (expiresAt) => Math.max(0, Math.round((new Date(expiresAt) - Date.now()) / 1000));
+
+const ApprovalCard = ({ approval, taskId }) => {
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const [remaining, setRemaining] = useState(() => secondsLeft(approval.expiresAt));
+  const pending = approval.status === 'pending';
+
+  useEffect(() => {
+    if (!pending) return;
+    const timer = setInterval(() => setRemaining(secondsLeft(approval.expiresAt)), 1000);
+    return () => clearInterval(timer);
+  }, [pending, approval.expiresAt]);
+
+  // The stream reports the outcome as an approval_result event, which updates the card
+  const answer = async (approved) => {
+    setSending(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/tasks/${taskId}/approvals/${approval.approvalId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ approved, ...(!approved && { reason: 'Rejected in chat' }) }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `Server responded with ${response.status}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className={`approval-card ${approval.status}`}>
+      <div className="approval-header">
+        <ShieldQuestion className="approval-icon" />
+        <span className="approval-title">{pending ? 'Approval needed' : STATUS_LABELS[approval.status]}</span>
+        {pending && <span className="approval-timer">{remaining}s</span>}
+      </div>
+      <p className="approval-description">{approval.description}</p>
+      {approval.url && <p className="approval-url">{approval.url}</p>}
+      {approval.screenshot && (
+        <a href={`${API_BASE_URL}${approval.screenshot.url}`} target="_blank" rel="noreferrer">
+          <img className="approval-screenshot" src={`${API_BASE_URL}${approval.screenshot.url}`} alt="Page before the action" />
+        </a>
+      )}
+      {pending ? (
+        <div className="approval-actions">
+          <button className="approval-button approve" onClick={() => answer(true)} disabled={sending}>
+            <Check /> Approve
+          </button>
+          <button className="approval-button reject" onClick={() => answer(false)} disabled={sending}>
+            <X /> Reject
+          </button>
+        </div>
+      ) : (
+        approval.reason && <p className="approval-reason">{approval.reason}</p>
+      )}
+      {error && <p className="approval-error">{error}</p>}
+    </div>
+  );
+};
+
+const ApprovalRequests = ({ approvals, taskId }) => {
+  if (!approvals?.length) return null;
+
+  return (
+    <div className="approval-requests">
+      {approvals.map((approval) => (
+        <ApprovalCard key={approval.approvalId} approval={approval} taskId={taskId} />
+      ))}
+    </div>
+  );
+};
+
+export default ApprovalRequests;
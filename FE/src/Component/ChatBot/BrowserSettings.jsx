@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { MonitorSmartphone, RotateCcw } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+
+const EMPTY_FORM = {
+  engine: '', headless: '', device: '', width: '', height: '', locale: '', timezone: '',
+  latitude: '', longitude: '', colorScheme: '', proxyServer: '', proxyUsername: '', proxyPassword: '',
+};
+
+// Only what differs from the server defaults is sent; null when nothing does
+const toSettings = (form) => {
+  const settings = {
+    ...(form.engine && { engine: form.engine }),
+    ...(form.headless && { headless: form.headless === 'headless' }),
+    ...(form.device && { device: form.device }),
+    ...(form.width && form.height && { viewport: { width: Number(form.width), height: Number(form.height) } }),
+    ...(form.locale.trim() && { locale: form.locale.trim() }),
+    ...(form.timezone.trim() && { timezone: form.timezone.trim() }),
+    ...(form.latitude !== '' && form.longitude !== '' && {
+      geolocation: { latitude: Number(form.latitude), longitude: Number(form.longitude) },
+    }),
+    ...(form.colorScheme && { colorScheme: form.colorScheme }),
+    ...(form.proxyServer.trim() && {
+      proxy: {
+        server: form.proxyServer.trim(),
+        ...(form.proxyUsername && { username: form.proxyUsername, password: form.proxyPassword }),
+      },
+    }),
+  };
+  return Object.keys(settings).length > 0 ? settings : null;
+};
+
+const summarize = (settings, defaults) => {
+  if (!settings) return defaults ? `Default browser (${defaults.engine})` : 'Default browser';
+  const viewport = settings.viewport && `${settings.viewport.width}x${settings.viewport.height}`;
+  return [settings.engine, settings.device, viewport, settings.locale, settings.timezone, settings.colorScheme]
+    .filter(Boolean)
+    .join(' · ') || 'Custom browser';
+};
+
+// Launch options and emulation (engine, device, locale...) for the next task's browser.
+// The server checks them against its limits; changing them gives the chat a new browser.
+const BrowserSettings = ({ value, onChange, disabled }) => {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [options, setOptions] = useState(null);
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/browser/settings`)
+      .then((response) => response.json())
+      .then((data) => data.success && setOptions(data))
+      .catch((err) => console.error('Error loading browser settings:', err));
+  }, []);
+
+  const update = (field) => (e) => {
+    const next = { ...form, [field]: e.target.value };
+    setForm(next);
+    onChange(toSettings(next));
+  };
+
+  const reset = () => {
+    setForm(EMPTY_FORM);
+    onChange(null);
+  };
+
+  const defaults = options?.defaults;
+  const limits = options?.limits;
+
+  return (
+    <div className="browser-settings">
+      <div className="browser-settings-bar">
+        <button
+          className={`profile-button browser-settings-toggle ${value ? 'active' : ''}`}
+          onClick={() => setOpen(!open)}
+          title="Browser settings for the next task"
+        >
+          <MonitorSmartphone />
+          <span>{summarize(value, defaults)}</span>
+        </button>
+        {value && (
+          <button className="profile-button" onClick={reset} disabled={disabled} title="Back to the default browser">
+            <RotateCcw />
+          </button>
+        )}
+      </div>
+      {open && (
+        <fieldset className="browser-settings-form" disabled={disabled}>
+          <label>
+            Engine
+            <select value={form.engine} onChange={update('engine')}>
+              <option value="">Default{defaults ? ` (${defaults.engine})` : ''}</option>
+              {limits?.engines.map((engine) => (
+                <option key={engine} value={engine}>{engine}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Mode
+            <select value={form.headless} onChange={update('headless')}>
+              <option value="">Default{defaults ? ` (${defaults.headless ? 'headless' : 'headed'})` : ''}</option>
+              <option value="headless">Headless</option>
+              <option value="headed" disabled={limits && !limits.headed}>Headed{limits && !limits.headed ? ' (no display)' : ''}</option>
+            </select>
+          </label>
+          <label>
+            Device
+            <select value={form.device} onChange={update('device')}>
+              <option value="">No device preset</option>
+              {limits?.devices.map((device) => (
+                <option key={device} value={device}>{device}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Viewport
+            <span className="browser-settings-pair">
+              <input
+                type="number"
+                min={limits?.minViewport.width}
+                max={limits?.maxViewport.width}
+                placeholder={defaults?.viewport ? String(defaults.viewport.width) : 'Width'}
+                value={form.width}
+                onChange={update('width')}
+              />
+              ×
+              <input
+                type="number"
+                min={limits?.minViewport.height}
+                max={limits?.maxViewport.height}
+                placeholder={defaults?.viewport ? String(defaults.viewport.height) : 'Height'}
+                value={form.height}
+                onChange={update('height')}
+              />
+            </span>
+          </label>
+          <label>
+            Locale
+            <input placeholder={defaults?.locale || 'en-US'} value={form.locale} onChange={update('locale')} />
+          </label>
+          <label>
+            Timezone
+            <input placeholder={defaults?.timezone || 'Europe/Berlin'} value={form.timezone} onChange={update('timezone')} />
+          </label>
+          <label>
+            Geolocation
+            <span className="browser-settings-pair">
+              <input type="number" min="-90" max="90" step="any" placeholder="Latitude" value={form.latitude} onChange={update('latitude')} />
+              <input type="number" min="-180" max="180" step="any" placeholder="Longitude" value={form.longitude} onChange={update('longitude')} />
+            </span>
+          </label>
+          <label>
+            Color scheme
+            <select value={form.colorScheme} onChange={update('colorScheme')}>
+              <option value="">Default</option>
+              {limits?.colorSchemes.map((scheme) => (
+                <option key={scheme} value={scheme}>{scheme}</option>
+              ))}
+            </select>
+          </label>
+          {limits?.proxy && (
+            <label className="browser-settings-wide">
+              Proxy
+              <span className="browser-settings-pair">
+                <input placeholder={defaults?.proxy?.server || 'http://proxy:3128'} value={form.proxyServer} onChange={update('proxyServer')} />
+                <input placeholder="Username" value={form.proxyUsername} onChange={update('proxyUsername')} />
+                <input type="password" placeholder="Password" value={form.proxyPassword} onChange={update('proxyPassword')} />
+              </span>
+            </label>
+          )}
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default BrowserSettings;
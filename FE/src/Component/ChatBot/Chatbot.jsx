@@ -1,5 +1,18 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Send, Bot, User } from 'lucide-react';
+import { Send, Bot, User, Square, History, CalendarClock, Images, Paperclip, X } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+import StepTimeline from './StepTimeline';
+import ScreenshotGallery from './ScreenshotGallery';
+import DataResults from './DataResults';
+import ApprovalRequests from './ApprovalRequests';
+import DownloadList from './DownloadList';
+import ProfilePicker from './ProfilePicker';
+import BrowserSettings from './BrowserSettings';
+import NetworkReport from './NetworkReport';
+import VerdictReport from './VerdictReport';
+import HistoryPanel from '../History/HistoryPanel';
+import SchedulesPanel from '../Schedules/SchedulesPanel';
+import VisualPanel from '../Visual/VisualPanel';
 import './chatbot.css';
 
 const ChatBot = () => {
@@ -13,7 +26,20 @@ const ChatBot = () => {
   ]);
   const [inputMessage, setInputMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  // One browser session per chat, so parallel users don't share a tab
+  const [sessionId] = useState(() => crypto.randomUUID());
   const messagesEndRef = useRef(null);
+  const currentTaskIdRef = useRef(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const [showVisual, setShowVisual] = useState(false);
+  // Files picked for the next message; they are uploaded to the session when it is sent
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const fileInputRef = useRef(null);
+  // Login profile the next task's browser starts from, empty for a fresh browser
+  const [profile, setProfile] = useState('');
+  // Browser settings for the next task, null for the server's default browser
+  const [browser, setBrowser] = useState(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -30,51 +56,144 @@ const ChatBot = () => {
   
     if (!inputMessage.trim()) return;
   
+    const files = pendingFiles;
     const userMessage = {
       id: Date.now(),
       text: inputMessage,
       sender: "user",
       timestamp: new Date(),
+      attachments: files.map((file) => file.name),
     };
   
     setMessages((prev) => [...prev, userMessage]);
     setInputMessage("");
+    setPendingFiles([]);
     setIsTyping(true);
   
+    const botMessageId = Date.now() + 1;
+    const updateBotMessage = (update) =>
+      setMessages((prev) =>
+        prev.map((message) => (message.id === botMessageId ? { ...message, ...update(message) } : message))
+      );
+
+    setMessages((prev) => [
+      ...prev,
+      { id: botMessageId, text: "", sender: "bot", timestamp: new Date(), steps: [], screenshots: [], running: true },
+    ]);
+
     try {
-      const response = await fetch("https://browser-automation-ai-agent-2.onrender.com/api/ask", {
+      // The server may rename files (e.g. unsafe characters), so the task refers to the names it returns
+      const attachments = files.length > 0 ? await uploadFiles(files) : [];
+
+      const response = await fetch(`${API_BASE_URL}/api/ask/stream`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ prompt: inputMessage }), // 👈 backend expects `prompt`
+        body: JSON.stringify({ prompt: inputMessage, sessionId, attachments, ...(profile && { profile }), ...(browser && { browser }) }), // 👈 backend expects `prompt`
       });
-  
-      const data = await response.json();
-  
-      const botMessage = {
-        id: Date.now() + 1,
-        text: data.message || "⚠️ No reply from server",
-        sender: "bot",
-        timestamp: new Date(),
+
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Server responded with ${response.status}`);
+      }
+
+      // Progress arrives as newline-delimited JSON events
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      const handleEvent = (event) => {
+        if (event.type === "started") {
+          currentTaskIdRef.current = event.taskId;
+          updateBotMessage(() => ({ taskId: event.taskId }));
+          return;
+        }
+        if (event.type === "task_finished") return;
+        updateBotMessage((message) => ({
+          steps: [...message.steps, event],
+          ...(event.type === "screenshot" && { screenshots: [...message.screenshots, event] }),
+          ...(event.type === "download" && { downloads: [...(message.downloads || []), event] }),
+          ...(event.type === "network_failures" && { failedRequests: event.requests }),
+          ...(event.type === "har" && { har: event }),
+          ...(event.type === "verdict" && { verdict: event }),
+          // Several extract_data calls in one run are merged into one table
+          ...(event.type === "extraction" && {
+            data: {
+              fields: message.data?.fields || event.fields,
+              records: [...(message.data?.records || []), ...event.records],
+            },
+          }),
+          ...(event.type === "approval_request" && {
+            approvals: [...(message.approvals || []), { ...event, status: "pending" }],
+          }),
+          ...(event.type === "approval_result" && {
+            approvals: (message.approvals || []).map((approval) =>
+              approval.approvalId === event.approvalId
+                ? { ...approval, reason: event.reason, status: event.approved ? "approved" : event.timedOut ? "timed_out" : "rejected" }
+                : approval
+            ),
+          }),
+          ...(event.type === "final" && { text: event.message }),
+          ...(event.type === "error" && { text: `⚠️ ${event.error}` }),
+        }));
       };
-  
-      setMessages((prev) => [...prev, botMessage]);
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.filter((line) => line.trim()).forEach((line) => handleEvent(JSON.parse(line)));
+      }
+      if (buffer.trim()) handleEvent(JSON.parse(buffer));
+
+      updateBotMessage((message) => ({
+        running: false,
+        text: message.text || "⚠️ No reply from server",
+      }));
     } catch (error) {
       console.error("Error fetching bot response:", error);
-  
-      const errorMessage = {
-        id: Date.now() + 1,
-        text: "⚠️ Error connecting to server",
-        sender: "bot",
-        timestamp: new Date(),
-      };
-  
-      setMessages((prev) => [...prev, errorMessage]);
+
+      updateBotMessage((message) => ({
+        running: false,
+        text: message.text || (error.uploadFailed ? `⚠️ ${error.message}` : "⚠️ Error connecting to server"),
+      }));
     } finally {
+      currentTaskIdRef.current = null;
       setIsTyping(false);
     }
   };
+
+  const uploadFiles = async (files) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append("files", file));
+    const response = await fetch(`${API_BASE_URL}/api/sessions/${sessionId}/files`, { method: "POST", body: formData });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw Object.assign(new Error(`Could not attach files: ${data.error || `server responded with ${response.status}`}`), { uploadFailed: true });
+    }
+    return data.files.map((file) => file.name);
+  };
+
+  const handleFilesPicked = (e) => {
+    const picked = [...e.target.files];
+    setPendingFiles((prev) => [...prev.filter((file) => !picked.some((pick) => pick.name === file.name)), ...picked]);
+    e.target.value = "";
+  };
+
+  // Cancelling the task aborts the agent run; the stream then reports it and closes
+  const handleStop = async () => {
+    const taskId = currentTaskIdRef.current;
+    if (!taskId) return;
+
+    try {
+      await fetch(`${API_BASE_URL}/api/tasks/${taskId}`, { method: "DELETE" });
+    } catch (error) {
+      console.error("Error cancelling task:", error);
+    }
+  };
   
   
 
@@ -95,9 +214,24 @@ const ChatBot = () => {
             <h1>Browser Automation</h1>
             <p>AI Assistant</p>
           </div>
+          <div className="header-actions">
+            <button className="header-button" onClick={() => setShowHistory(true)} title="Run history">
+              <History />
+            </button>
+            <button className="header-button" onClick={() => setShowSchedules(true)} title="Schedules">
+              <CalendarClock />
+            </button>
+            <button className="header-button" onClick={() => setShowVisual(true)} title="Visual review">
+              <Images />
+            </button>
+          </div>
         </div>
       </div>
 
+      {showHistory && <HistoryPanel onClose={() => setShowHistory(false)} />}
+      {showSchedules && <SchedulesPanel onClose={() => setShowSchedules(false)} />}
+      {showVisual && <VisualPanel onClose={() => setShowVisual(false)} />}
+
       <div className="chat-messages">
         {messages.map((message) => (
           <div key={message.id} className={`message ${message.sender}`}>
@@ -109,7 +243,21 @@ const ChatBot = () => {
               )}
             </div>
             <div className="message-content">
-              <div className="message-text">{message.text}</div>
+              {message.text && <div className="message-text">{message.text}</div>}
+              {message.attachments?.length > 0 && (
+                <div className="message-attachments">
+                  {message.attachments.map((name) => (
+                    <span key={name} className="attachment-chip"><Paperclip /><span>{name}</span></span>
+                  ))}
+                </div>
+              )}
+              <ApprovalRequests approvals={message.approvals} taskId={message.taskId} />
+              <DataResults data={message.data} />
+              <DownloadList downloads={message.downloads} />
+              <NetworkReport failedRequests={message.failedRequests} har={message.har} />
+              <VerdictReport verdict={message.verdict} />
+              <ScreenshotGallery screenshots={message.screenshots} />
+              <StepTimeline steps={message.steps} running={message.running} />
               <div className="message-time">{formatTime(message.timestamp)}</div>
             </div>
           </div>
@@ -137,7 +285,31 @@ const ChatBot = () => {
 
       <div className="chat-input-container">
         <div className="chat-form">
+          {pendingFiles.length > 0 && (
+            <div className="message-attachments pending-attachments">
+              {pendingFiles.map((file) => (
+                <span key={file.name} className="attachment-chip">
+                  <Paperclip />
+                  <span>{file.name}</span>
+                  <button onClick={() => setPendingFiles((prev) => prev.filter((other) => other !== file))} title="Remove">
+                    <X />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          <ProfilePicker sessionId={sessionId} value={profile} onChange={setProfile} disabled={isTyping} />
+          <BrowserSettings value={browser} onChange={setBrowser} disabled={isTyping} />
           <div className="input-wrapper">
+            <input ref={fileInputRef} type="file" multiple hidden onChange={handleFilesPicked} />
+            <button
+              className="attach-button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isTyping}
+              title="Attach files"
+            >
+              <Paperclip />
+            </button>
             <input
               type="text"
               value={inputMessage}
@@ -152,13 +324,23 @@ const ChatBot = () => {
                 }
               }}
             />
-            <button 
-              onClick={handleSendMessage}
-              className="send-button"
-              disabled={!inputMessage.trim() || isTyping}
-            >
-              <Send className="send-icon" />
-            </button>
+            {isTyping ? (
+              <button
+                onClick={handleStop}
+                className="send-button stop-button"
+                title="Stop"
+              >
+                <Square className="send-icon" />
+              </button>
+            ) : (
+              <button 
+                onClick={handleSendMessage}
+                className="send-button"
+                disabled={!inputMessage.trim()}
+              >
+                <Send className="send-icon" />
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Download, Table } from 'lucide-react';
+
+const PREVIEW_ROWS = 10;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, records) =>
+  [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((row) => row.map(csvCell).join(','))
+    .join('\r\n');
+
+const DataResults = ({ data }) => {
+  if (!data?.records?.length) return null;
+
+  const columns = data.fields.map((field) => field.name);
+
+  const handleDownload = () => {
+    const blob = new Blob([toCsv(columns, data.records)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `extracted-data-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="data-results">
+      <div className="data-results-header">
+        <Table className="data-results-icon" />
+        <span>{data.records.length} records</span>
+        <button className="data-download" onClick={handleDownload} title="Download as CSV">
+          <Download />
+          CSV
+        </button>
+      </div>
+      <div className="data-table-wrapper">
+        <table className="data-table">
+          <thead>
+            <tr>
+              {columns.map((column) => <th key={column}>{column}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {data.records.slice(0, PREVIEW_ROWS).map((record, index) => (
+              <tr key={index}>
+                {columns.map((column) => <td key={column}>{record[column] === null ? '' : String(record[column])}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {data.records.length > PREVIEW_ROWS && (
+        <p className="data-more">Showing {PREVIEW_ROWS} of {data.records.length}. Download the CSV for all records.</p>
+      )}
+    </div>
+  );
+};
+
+export default DataResults;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { FileDown } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+
+const formatFileSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.ceil(bytes / 1024))} KB`;
+
+const DownloadList = ({ downloads }) => {
+  if (!downloads?.length) return null;
+
+  return (
+    <ul className="download-list">
+      {downloads.map((file) => (
+        <li key={file.id}>
+          <a href={`${API_BASE_URL}${file.url}`} download={file.filename} title={`Download ${file.filename}`}>
+            <FileDown />
+            <span className="download-name">{file.filename}</span>
+            <span className="download-size">{formatFileSize(file.size)}</span>
+          </a>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default DownloadList;
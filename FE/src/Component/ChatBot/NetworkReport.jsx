@@ -0,0 +1,37 @@
+import React from 'react';
+import { Network, Download } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+
+// Requests that failed or got an error status during a run, and its HAR if one was recorded
+const NetworkReport = ({ failedRequests, har }) => {
+  if (!failedRequests?.length && !har) return null;
+
+  return (
+    <div className="network-report">
+      {failedRequests?.length > 0 && (
+        <details>
+          <summary>
+            <Network /> {failedRequests.length} failed request{failedRequests.length === 1 ? '' : 's'}
+          </summary>
+          <ul className="network-requests">
+            {failedRequests.map((request, index) => (
+              <li key={index} title={request.url}>
+                <span className="network-status">{request.status ?? 'failed'}</span>
+                <span className="network-method">{request.method}</span>
+                <span className="network-url">{request.url}</span>
+                {request.failure && <span className="network-failure">{request.failure}</span>}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+      {har && (
+        <a className="network-har" href={`${API_BASE_URL}${har.url}`} download>
+          <Download /> Download HAR ({har.entries} requests)
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default NetworkReport;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { KeyRound, Save, RefreshCw, Pencil, Trash2 } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}/api/profiles${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) throw new Error(data.error || `Server responded with ${response.status}`);
+  return data;
+};
+
+// Picks the login profile the next task starts from, and saves what this chat's browser is logged in to
+const ProfilePicker = ({ sessionId, value, onChange, disabled }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      const data = await request('');
+      setProfiles(data.profiles);
+    } catch (err) {
+      console.error('Error loading login profiles:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  // Every action reloads the list; `select` is the profile to pick afterwards
+  const act = async (path, method, body, select = value) => {
+    setError('');
+    try {
+      await request(path, { method, ...(body && { body: JSON.stringify(body) }) });
+      onChange(select);
+      await loadProfiles();
+    } catch (err) {
+      setError(`⚠️ ${err.message}`);
+    }
+  };
+
+  const saveAs = () => {
+    const name = window.prompt('Save the current login as profile (letters, digits, _ . -):');
+    if (name?.trim()) act('', 'POST', { name: name.trim(), sessionId }, name.trim());
+  };
+
+  const rename = () => {
+    const name = window.prompt(`Rename "${value}" to:`, value);
+    if (name?.trim() && name.trim() !== value) act(`/${encodeURIComponent(value)}`, 'PATCH', { name: name.trim() }, name.trim());
+  };
+
+  const selected = profiles.find((profile) => profile.name === value);
+
+  return (
+    <div className="profile-picker">
+      <KeyRound className="profile-icon" />
+      <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} title="Login profile to start from">
+        <option value="">No login profile</option>
+        {profiles.map((profile) => (
+          <option key={profile.name} value={profile.name}>
+            {profile.name}{profile.domains.length > 0 ? ` (${profile.domains.slice(0, 2).join(', ')}${profile.domains.length > 2 ? '…' : ''})` : ''}
+          </option>
+        ))}
+      </select>
+      <button className="profile-button" onClick={saveAs} disabled={disabled} title="Save this chat's login as a new profile">
+        <Save />
+      </button>
+      {selected && (
+        <>
+          <button
+            className="profile-button"
+            onClick={() => act(`/${encodeURIComponent(value)}/refresh`, 'POST', { sessionId })}
+            disabled={disabled}
+            title={`Update "${value}" with this chat's current login (saved ${new Date(selected.updatedAt).toLocaleString('en-US')})`}
+          >
+            <RefreshCw />
+          </button>
+          <button className="profile-button" onClick={rename} disabled={disabled} title="Rename">
+            <Pencil />
+          </button>
+          <button
+            className="profile-button"
+            onClick={() => window.confirm(`Delete login profile "${value}"?`) && act(`/${encodeURIComponent(value)}`, 'DELETE', null, '')}
+            disabled={disabled}
+            title="Delete"
+          >
+            <Trash2 />
+          </button>
+        </>
+      )}
+      {error && <span className="profile-error">{error}</span>}
+    </div>
+  );
+};
+
+export default ProfilePicker;
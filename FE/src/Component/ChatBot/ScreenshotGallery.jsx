@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+
+const ScreenshotGallery = ({ screenshots }) => {
+  const [zoomed, setZoomed] = useState(null);
+
+  useEffect(() => {
+    if (!zoomed) return;
+    const closeOnEscape = (e) => {
+      if (e.key === 'Escape') setZoomed(null);
+    };
+    window.addEventListener('keydown', closeOnEscape);
+    return () => window.removeEventListener('keydown', closeOnEscape);
+  }, [zoomed]);
+
+  if (!screenshots?.length) return null;
+
+  return (
+    <>
+      <div className="message-screenshots">
+        {screenshots.map((shot) => (
+          <button key={shot.filename} className="screenshot-thumb" onClick={() => setZoomed(shot)} title={shot.filename}>
+            <img src={`${API_BASE_URL}${shot.url}`} alt={shot.filename} loading="lazy" />
+          </button>
+        ))}
+      </div>
+
+      {zoomed && (
+        <div className="screenshot-lightbox" onClick={() => setZoomed(null)}>
+          <button className="lightbox-close" onClick={() => setZoomed(null)} title="Close">
+            <X />
+          </button>
+          <img
+            src={`${API_BASE_URL}${zoomed.url}`}
+            alt={zoomed.filename}
+            onClick={(e) => e.stopPropagation()}
+          />
+          <p className="lightbox-caption">{zoomed.filename}</p>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ScreenshotGallery;
@@ -0,0 +1,130 @@
+import React from 'react';
+import { Wrench, CheckCircle, XCircle, Camera, PenLine, Flag, Table, ShieldAlert, ShieldQuestion, ShieldCheck, FileDown, KeyRound, Network, ClipboardCheck, Scale, Images, MonitorSmartphone } from 'lucide-react';
+
+const STEP_ICONS = {
+  rewritten: PenLine,
+  tool_call: Wrench,
+  tool_result: CheckCircle,
+  screenshot: Camera,
+  extraction: Table,
+  download: FileDown,
+  profile: KeyRound,
+  browser: MonitorSmartphone,
+  network_failures: Network,
+  har: Network,
+  check: ClipboardCheck,
+  verdict: Scale,
+  visual_check: Images,
+  policy_violation: ShieldAlert,
+  approval_request: ShieldQuestion,
+  approval_result: ShieldCheck,
+  final: Flag,
+  error: XCircle,
+};
+
+const describeStep = (step) => {
+  switch (step.type) {
+    case 'rewritten':
+      return { title: 'Rewrote prompt', detail: step.prompt };
+    case 'tool_call':
+      return { title: `Calling ${step.name}`, detail: JSON.stringify(step.arguments, null, 2) };
+    case 'tool_result':
+      return { title: `${step.name} finished`, detail: step.output, failed: step.output?.startsWith('❌') || step.output?.startsWith('🚫') };
+    case 'screenshot':
+      return { title: 'Screenshot taken', detail: step.filename };
+    case 'extraction':
+      return { title: `Extracted ${step.records.length} records`, detail: `${step.pages} page(s) from ${step.url}` };
+    case 'download':
+      return { title: `Downloaded ${step.filename}`, detail: step.sourceUrl };
+    case 'profile':
+      if (step.action === 'save_failed') return { title: `Could not save login profile "${step.name}"`, detail: step.error, failed: true };
+      return {
+        title: step.action === 'saved' ? `Saved login profile "${step.name}"` : `Started from login profile "${step.name}"`,
+        detail: step.domains?.join(', '),
+      };
+    case 'browser':
+      return { title: 'Browser settings', detail: step.description };
+    case 'network_failures':
+      return {
+        title: `${step.requests.length} failed network request${step.requests.length === 1 ? '' : 's'}`,
+        detail: step.requests.map((request) => `${request.method} ${request.status ?? request.failure} ${request.url}`).join('\n'),
+        failed: true,
+      };
+    case 'har':
+      return { title: `Recorded HAR of ${step.entries} requests` };
+    case 'check':
+      return {
+        title: `Check ${step.passed ? 'passed' : 'failed'}: ${step.expected}`,
+        detail: step.passed ? step.matchedText : `Got ${JSON.stringify(step.actual)}`,
+        failed: !step.passed,
+      };
+    case 'verdict':
+      return {
+        title: `${step.outcomes.filter((outcome) => outcome.passed).length} of ${step.outcomes.length} expected outcomes met`,
+        detail: step.outcomes.map((outcome) => `${outcome.passed ? '✓' : '✗'} ${outcome.name}`).join('\n'),
+        failed: !step.passed,
+      };
+    case 'visual_check':
+      return {
+        title:
+          step.status === 'new'
+            ? `Saved "${step.checkpoint}" as a new baseline`
+            : step.status === 'changed'
+              ? `Checkpoint "${step.checkpoint}" changed (${(step.diffRatio * 100).toFixed(2)}% of pixels)`
+              : `Checkpoint "${step.checkpoint}" matches its baseline`,
+        detail: step.status === 'changed' ? `Diff: ${step.diff.filename}\nReview it under Visual review` : step.screenshot?.filename,
+        failed: step.status === 'changed',
+      };
+    case 'policy_violation':
+      return { title: `Blocked ${step.tool} by safety policy`, detail: step.message, failed: true };
+    case 'approval_request':
+      return { title: `Waiting for approval: ${step.description}` };
+    case 'approval_result':
+      return {
+        title: step.approved ? 'Approved' : step.timedOut ? 'Approval timed out' : 'Rejected',
+        detail: step.reason,
+        failed: !step.approved,
+      };
+    case 'final':
+      return { title: 'Finished' };
+    case 'error':
+      return { title: 'Run failed', detail: step.error, failed: true };
+    default:
+      return { title: step.type };
+  }
+};
+
+const formatStepTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString('en-US', { hour12: false });
+
+const StepTimeline = ({ steps, running }) => {
+  if (!steps?.length) return null;
+
+  return (
+    <details className="step-timeline" open={running}>
+      <summary>
+        {running ? 'Working' : 'Steps'} ({steps.length})
+      </summary>
+      <ol className="step-list">
+        {steps.map((step, index) => {
+          const Icon = STEP_ICONS[step.type] || Wrench;
+          const { title, detail, failed } = describeStep(step);
+          return (
+            <li key={index} className={`step-item ${failed ? 'failed' : ''}`}>
+              <details>
+                <summary>
+                  <Icon className="step-icon" />
+                  <span className="step-title">{title}</span>
+                  {step.timestamp && <span className="step-time">{formatStepTime(step.timestamp)}</span>}
+                </summary>
+                {detail && <pre className="step-detail">{detail}</pre>}
+              </details>
+            </li>
+          );
+        })}
+      </ol>
+    </details>
+  );
+};
+
+export default StepTimeline;
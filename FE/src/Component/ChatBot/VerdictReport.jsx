@@ -0,0 +1,48 @@
+import React from 'react';
+import { CheckCircle, XCircle, Camera } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+
+// The expected outcomes a run was judged on, each with what the page actually showed
+const VerdictReport = ({ verdict }) => {
+  if (!verdict?.outcomes?.length) return null;
+
+  const failed = verdict.outcomes.filter((outcome) => !outcome.passed).length;
+
+  return (
+    <div className={`verdict-report ${verdict.passed ? 'passed' : 'failed'}`}>
+      <div className="verdict-summary">
+        {verdict.passed ? <CheckCircle /> : <XCircle />}
+        {verdict.passed
+          ? `All ${verdict.outcomes.length} expected outcomes met`
+          : `${failed} of ${verdict.outcomes.length} expected outcomes not met`}
+      </div>
+      <ul className="verdict-outcomes">
+        {verdict.outcomes.map((outcome, index) => (
+          <li key={index} className={outcome.passed ? 'passed' : 'failed'}>
+            {outcome.passed ? <CheckCircle /> : <XCircle />}
+            <div className="verdict-outcome">
+              <span className="verdict-name">{outcome.name}</span>
+              {outcome.expected && outcome.expected !== outcome.name && (
+                <span className="verdict-detail">Expected {outcome.expected}</span>
+              )}
+              {outcome.error && <span className="verdict-detail">{outcome.error}</span>}
+              {!outcome.passed && outcome.actual !== null && (
+                <span className="verdict-detail">Got {JSON.stringify(outcome.actual)}</span>
+              )}
+              {outcome.passed && outcome.matchedText && (
+                <span className="verdict-detail">Found "{outcome.matchedText}"</span>
+              )}
+            </div>
+            {outcome.screenshot && (
+              <a href={`${API_BASE_URL}${outcome.screenshot.url}`} target="_blank" rel="noreferrer" title="Evidence screenshot">
+                <Camera />
+              </a>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default VerdictReport;
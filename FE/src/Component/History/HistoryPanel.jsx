@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, ArrowLeft, RefreshCw, Download } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+import StepTimeline from '../ChatBot/StepTimeline';
+import ScreenshotGallery from '../ChatBot/ScreenshotGallery';
+import DataResults from '../ChatBot/DataResults';
+import DownloadList from '../ChatBot/DownloadList';
+import NetworkReport from '../ChatBot/NetworkReport';
+import VerdictReport from '../ChatBot/VerdictReport';
+import './history.css';
+
+const STATUSES = ['succeeded', 'failed', 'cancelled', 'timed_out', 'running', 'interrupted'];
+const PAGE_SIZE = 15;
+
+// Stored runs keep structured steps; the timeline renders the same events the live stream sends
+const runToEvents = (run) => [
+  ...(run.rewrittenPrompt ? [{ type: 'rewritten', prompt: run.rewrittenPrompt, timestamp: run.startedAt }] : []),
+  ...run.steps.flatMap((step) => [
+    { type: 'tool_call', name: step.tool, arguments: step.arguments, timestamp: step.startedAt },
+    ...step.screenshots.map((filename) => ({ type: 'screenshot', filename, timestamp: step.finishedAt })),
+    ...(step.finishedAt ? [{ type: 'tool_result', name: step.tool, output: step.output, timestamp: step.finishedAt }] : []),
+  ]),
+  ...(run.finalOutput ? [{ type: 'final', message: run.finalOutput, timestamp: run.finishedAt }] : []),
+  ...(run.error ? [{ type: 'error', error: run.error, timestamp: run.finishedAt }] : []),
+];
+
+const runScreenshots = (run) =>
+  run.steps.flatMap((step) => step.screenshots).map((filename) => ({
+    filename,
+    url: `/screenshots/${encodeURIComponent(filename)}`,
+  }));
+
+// Runs stored before extraction support have no `extractions`
+const runData = (run) => {
+  const extractions = run.extractions || [];
+  if (!extractions.length) return null;
+  return { fields: extractions[0].fields, records: extractions.flatMap((extraction) => extraction.records) };
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US') : '—');
+
+const HistoryPanel = ({ onClose }) => {
+  const [runs, setRuns] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [status, setStatus] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadRuns = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      if (status) params.set('status', status);
+      if (fromDate) params.set('from', new Date(fromDate).toISOString());
+
+      const response = await fetch(`${API_BASE_URL}/api/runs?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      setRuns(data.runs);
+      setTotalPages(Math.max(1, data.totalPages));
+    } catch (err) {
+      console.error('Error loading runs:', err);
+      setError('⚠️ Could not load run history');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, status, fromDate]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const openRun = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/runs/${id}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      setSelectedRun(data.run);
+    } catch (err) {
+      console.error('Error loading run:', err);
+      setError('⚠️ Could not load that run');
+    }
+  };
+
+  return (
+    <aside className="history-panel">
+      <div className="history-header">
+        {selectedRun ? (
+          <button className="history-icon-button" onClick={() => setSelectedRun(null)} title="Back">
+            <ArrowLeft />
+          </button>
+        ) : (
+          <button className="history-icon-button" onClick={loadRuns} title="Refresh">
+            <RefreshCw />
+          </button>
+        )}
+        <h2>{selectedRun ? 'Run details' : 'Run history'}</h2>
+        <button className="history-icon-button" onClick={onClose} title="Close">
+          <X />
+        </button>
+      </div>
+
+      {error && <div className="history-error">{error}</div>}
+
+      {selectedRun ? (
+        <div className="history-detail">
+          <div className={`run-status ${selectedRun.status}`}>{selectedRun.status}</div>
+          <p className="history-label">Prompt</p>
+          <p className="history-value">{selectedRun.prompt}</p>
+          {selectedRun.finalOutput && (
+            <>
+              <p className="history-label">Result</p>
+              <p className="history-value">{selectedRun.finalOutput}</p>
+            </>
+          )}
+          <p className="history-label">
+            {formatDateTime(selectedRun.createdAt)} → {formatDateTime(selectedRun.finishedAt)}
+          </p>
+          <a
+            className="history-export"
+            href={`${API_BASE_URL}/api/runs/${selectedRun.id}/export?format=playwright`}
+            download
+          >
+            <Download /> Export as Playwright test
+          </a>
+          <DataResults data={runData(selectedRun)} />
+          <DownloadList downloads={selectedRun.downloads} />
+          <VerdictReport verdict={selectedRun.verdict} />
+          <NetworkReport failedRequests={selectedRun.failedRequests} har={selectedRun.har} />
+          <ScreenshotGallery screenshots={runScreenshots(selectedRun)} />
+          <StepTimeline steps={runToEvents(selectedRun)} running />
+        </div>
+      ) : (
+        <>
+          <div className="history-filters">
+            <select value={status} onChange={(e) => { setStatus(e.target.value); setPage(1); }}>
+              <option value="">All statuses</option>
+              {STATUSES.map((value) => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={fromDate}
+              onChange={(e) => { setFromDate(e.target.value); setPage(1); }}
+              title="Runs since"
+            />
+          </div>
+
+          <ul className="history-list">
+            {runs.map((run) => (
+              <li key={run.id} onClick={() => openRun(run.id)}>
+                <div className="history-prompt">{run.prompt}</div>
+                <div className="history-meta">
+                  <span className={`run-status ${run.status}`}>{run.status}</span>
+                  {typeof run.verdict === 'boolean' && (
+                    <span className={`run-verdict ${run.verdict ? 'passed' : 'failed'}`}>
+                      {run.verdict ? 'outcomes met' : 'outcomes not met'}
+                    </span>
+                  )}
+                  <span>{run.stepCount} steps</span>
+                  <span>{formatDateTime(run.createdAt)}</span>
+                </div>
+              </li>
+            ))}
+            {!loading && runs.length === 0 && <li className="history-empty">No runs yet</li>}
+          </ul>
+
+          <div className="history-pagination">
+            <button disabled={page <= 1} onClick={() => setPage(page - 1)}>Prev</button>
+            <span>{page} / {totalPages}</span>
+            <button disabled={page >= totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default HistoryPanel;
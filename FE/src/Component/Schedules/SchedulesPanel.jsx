@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, ArrowLeft, RefreshCw, Plus, Play, Pause, Power, Trash2 } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+import ScreenshotGallery from '../ChatBot/ScreenshotGallery';
+import '../History/history.css';
+import './schedules.css';
+
+const CRON_PRESETS = [
+  { label: 'Every 15 minutes', value: '*/15 * * * *' },
+  { label: 'Hourly', value: '@hourly' },
+  { label: 'Daily at 9:00', value: '0 9 * * *' },
+  { label: 'Weekdays at 9:00', value: '0 9 * * 1-5' },
+];
+
+const EMPTY_FORM = { name: '', source: 'prompt', prompt: '', runId: '', cron: '0 9 * * *', webhookUrl: '', when: 'failure' };
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US') : '—');
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}/api/schedules${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) throw new Error(data.error || `Server responded with ${response.status}`);
+  return data;
+};
+
+const ScheduleForm = ({ onCreated, onCancel }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const { schedule } = await request('', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...(form.name.trim() && { name: form.name }),
+          ...(form.source === 'prompt' ? { prompt: form.prompt } : { runId: form.runId.trim() }),
+          cron: form.cron,
+          ...(form.webhookUrl.trim() && { notify: { webhookUrl: form.webhookUrl.trim(), when: form.when } }),
+        }),
+      });
+      onCreated(schedule);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="schedule-form" onSubmit={submit}>
+      <input placeholder="Name (optional)" value={form.name} onChange={update('name')} />
+      <select value={form.source} onChange={update('source')}>
+        <option value="prompt">Run a prompt</option>
+        <option value="trace">Replay a recorded run</option>
+      </select>
+      {form.source === 'prompt' ? (
+        <textarea placeholder="What should the agent do?" value={form.prompt} onChange={update('prompt')} rows={3} required />
+      ) : (
+        <input placeholder="Run id from the history" value={form.runId} onChange={update('runId')} required />
+      )}
+      <div className="schedule-form-row">
+        <input placeholder="Cron expression" value={form.cron} onChange={update('cron')} required />
+        <select value="" onChange={(e) => e.target.value && setForm({ ...form, cron: e.target.value })}>
+          <option value="">Presets</option>
+          {CRON_PRESETS.map((preset) => (
+            <option key={preset.value} value={preset.value}>{preset.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="schedule-form-row">
+        <input placeholder="Webhook URL for notifications (optional)" value={form.webhookUrl} onChange={update('webhookUrl')} />
+        <select value={form.when} onChange={update('when')} disabled={!form.webhookUrl.trim()}>
+          <option value="failure">On failure</option>
+          <option value="always">Always</option>
+        </select>
+      </div>
+      {error && <p className="history-error">{error}</p>}
+      <div className="schedule-form-actions">
+        <button type="button" onClick={onCancel}>Cancel</button>
+        <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Create schedule'}</button>
+      </div>
+    </form>
+  );
+};
+
+const OutcomeList = ({ history }) => {
+  if (!history.length) return <p className="schedule-empty">No runs yet</p>;
+
+  return (
+    <ul className="schedule-outcomes">
+      {history.map((outcome) => (
+        <li key={outcome.id}>
+          <div className="history-meta">
+            <span className={`run-status ${outcome.status}`}>{outcome.status}</span>
+            <span>{outcome.trigger === 'manual' ? 'Run now' : 'Scheduled'}</span>
+            <span>{formatDateTime(outcome.startedAt)}</span>
+          </div>
+          {outcome.message && <p className="history-value">{outcome.message}</p>}
+          {outcome.error && <p className="schedule-outcome-error">{outcome.error}</p>}
+          {outcome.runId && <p className="history-label">Run {outcome.runId}</p>}
+          <ScreenshotGallery screenshots={outcome.screenshots} />
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const SchedulesPanel = ({ onClose }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSchedules = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await request('');
+      setSchedules(data.schedules);
+    } catch (err) {
+      console.error('Error loading schedules:', err);
+      setError('⚠️ Could not load schedules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  const openSchedule = async (id) => {
+    try {
+      const data = await request(`/${id}`);
+      setSelected(data.schedule);
+    } catch (err) {
+      console.error('Error loading schedule:', err);
+      setError('⚠️ Could not load that schedule');
+    }
+  };
+
+  // Every action reloads the list, and the open schedule if there is one
+  const act = async (path, method, body) => {
+    setError('');
+    try {
+      await request(path, { method, ...(body && { body: JSON.stringify(body) }) });
+      if (selected && method !== 'DELETE') await openSchedule(selected.id);
+      if (method === 'DELETE') setSelected(null);
+      await loadSchedules();
+    } catch (err) {
+      setError(`⚠️ ${err.message}`);
+    }
+  };
+
+  const scheduleActions = (schedule) => (
+    <div className="schedule-actions" onClick={(e) => e.stopPropagation()}>
+      <button className="history-icon-button" onClick={() => act(`/${schedule.id}/run`, 'POST')} disabled={schedule.running} title="Run now">
+        <Play />
+      </button>
+      <button
+        className="history-icon-button"
+        onClick={() => act(`/${schedule.id}`, 'PATCH', { enabled: !schedule.enabled })}
+        title={schedule.enabled ? 'Pause' : 'Resume'}
+      >
+        {schedule.enabled ? <Pause /> : <Power />}
+      </button>
+      <button
+        className="history-icon-button"
+        onClick={() => window.confirm(`Delete "${schedule.name}"?`) && act(`/${schedule.id}`, 'DELETE')}
+        title="Delete"
+      >
+        <Trash2 />
+      </button>
+    </div>
+  );
+
+  const back = () => {
+    setSelected(null);
+    setCreating(false);
+  };
+
+  return (
+    <aside className="history-panel">
+      <div className="history-header">
+        {selected || creating ? (
+          <button className="history-icon-button" onClick={back} title="Back">
+            <ArrowLeft />
+          </button>
+        ) : (
+          <button className="history-icon-button" onClick={loadSchedules} title="Refresh">
+            <RefreshCw />
+          </button>
+        )}
+        <h2>{selected ? selected.name : creating ? 'New schedule' : 'Schedules'}</h2>
+        {!selected && !creating && (
+          <button className="history-icon-button" onClick={() => setCreating(true)} title="New schedule">
+            <Plus />
+          </button>
+        )}
+        <button className="history-icon-button" onClick={onClose} title="Close">
+          <X />
+        </button>
+      </div>
+
+      {error && <div className="history-error">{error}</div>}
+
+      {creating ? (
+        <ScheduleForm
+          onCreated={(schedule) => {
+            setCreating(false);
+            loadSchedules();
+            openSchedule(schedule.id);
+          }}
+          onCancel={() => setCreating(false)}
+        />
+      ) : selected ? (
+        <div className="history-detail">
+          <div className="schedule-detail-header">
+            <span className={`run-status ${selected.enabled ? 'succeeded' : ''}`}>{selected.enabled ? 'active' : 'paused'}</span>
+            {selected.running && <span className="run-status running">running</span>}
+            {scheduleActions(selected)}
+          </div>
+          <p className="history-label">{selected.type === 'trace' ? `Replays ${selected.stepCount} recorded steps` : 'Prompt'}</p>
+          <p className="history-value">{selected.prompt || selected.sourceRunId}</p>
+          <p className="history-label">Cron</p>
+          <p className="history-value schedule-cron">{selected.cron}</p>
+          <p className="history-label">Next run {formatDateTime(selected.nextRunAt)}</p>
+          {selected.notify && (
+            <p className="history-label">
+              Notifies {selected.notify.webhookUrl} {selected.notify.when === 'always' ? 'after every run' : 'on failure'}
+            </p>
+          )}
+          <p className="history-label">Last {selected.history.length} runs</p>
+          <OutcomeList history={selected.history} />
+        </div>
+      ) : (
+        <ul className="history-list">
+          {schedules.map((schedule) => (
+            <li key={schedule.id} onClick={() => openSchedule(schedule.id)}>
+              <div className="schedule-row">
+                <div className="history-prompt">{schedule.name}</div>
+                {scheduleActions(schedule)}
+              </div>
+              <div className="history-meta">
+                <span className="schedule-cron">{schedule.cron}</span>
+                {schedule.lastOutcome && (
+                  <span className={`run-status ${schedule.lastOutcome.status}`}>{schedule.lastOutcome.status}</span>
+                )}
+                <span>{schedule.enabled ? `Next ${formatDateTime(schedule.nextRunAt)}` : 'Paused'}</span>
+              </div>
+            </li>
+          ))}
+          {!loading && schedules.length === 0 && <li className="history-empty">No schedules yet</li>}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+export default SchedulesPanel;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, ArrowLeft, RefreshCw, Check } from 'lucide-react';
+import { API_BASE_URL } from '../../config';
+import '../History/history.css';
+import './visual.css';
+
+const STATUS_FILTERS = [
+  { label: 'Changed', value: 'changed' },
+  { label: 'All comparisons', value: '' },
+  { label: 'Accepted', value: 'accepted' },
+  { label: 'Passed', value: 'passed' },
+  { label: 'New baselines', value: 'new' },
+];
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-US') : '—');
+
+const formatPercent = (ratio) => `${((ratio || 0) * 100).toFixed(2)}%`;
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}/api/visual${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) throw new Error(data.error || `Server responded with ${response.status}`);
+  return data;
+};
+
+const VisualImage = ({ label, src }) => (
+  <figure className="visual-image">
+    <figcaption className="history-label">{label}</figcaption>
+    {src ? (
+      <a href={src} target="_blank" rel="noreferrer">
+        <img src={src} alt={label} loading="lazy" />
+      </a>
+    ) : (
+      <p className="visual-missing">Not available</p>
+    )}
+  </figure>
+);
+
+// Tolerances of a checkpoint, as ratios from 0 to 1
+const ToleranceForm = ({ checkpoint, onSave }) => {
+  const [threshold, setThreshold] = useState(String(checkpoint.threshold));
+  const [maxDiffRatio, setMaxDiffRatio] = useState(String(checkpoint.maxDiffRatio));
+  const [ignoreSelectors, setIgnoreSelectors] = useState(checkpoint.ignoreSelectors.join(', '));
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSave({
+      threshold: Number(threshold),
+      maxDiffRatio: Number(maxDiffRatio),
+      ignoreSelectors: ignoreSelectors.split(',').map((selector) => selector.trim()).filter(Boolean),
+    });
+  };
+
+  return (
+    <form className="visual-tolerance" onSubmit={submit}>
+      <label>
+        Pixel threshold
+        <input type="number" min="0" max="1" step="0.01" value={threshold} onChange={(e) => setThreshold(e.target.value)} />
+      </label>
+      <label>
+        Allowed diff ratio
+        <input type="number" min="0" max="1" step="0.0001" value={maxDiffRatio} onChange={(e) => setMaxDiffRatio(e.target.value)} />
+      </label>
+      <label className="visual-tolerance-wide">
+        Ignored selectors
+        <input placeholder=".clock, #ad-banner" value={ignoreSelectors} onChange={(e) => setIgnoreSelectors(e.target.value)} />
+      </label>
+      <button type="submit">Save tolerances</button>
+    </form>
+  );
+};
+
+const VisualPanel = ({ onClose }) => {
+  const [comparisons, setComparisons] = useState([]);
+  const [status, setStatus] = useState('changed');
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadComparisons = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await request(`/comparisons${status ? `?status=${status}` : ''}`);
+      setComparisons(data.comparisons);
+    } catch (err) {
+      console.error('Error loading visual comparisons:', err);
+      setError('⚠️ Could not load visual comparisons');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadComparisons();
+  }, [loadComparisons]);
+
+  const openComparison = async (id) => {
+    try {
+      setSelected(await request(`/comparisons/${id}`));
+    } catch (err) {
+      console.error('Error loading visual comparison:', err);
+      setError('⚠️ Could not load that comparison');
+    }
+  };
+
+  const accept = async () => {
+    setAccepting(true);
+    setError('');
+    try {
+      setSelected(await request(`/comparisons/${selected.comparison.id}/accept`, { method: 'POST' }));
+      await loadComparisons();
+    } catch (err) {
+      setError(`⚠️ ${err.message}`);
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  const saveTolerances = async (fields) => {
+    setError('');
+    try {
+      const { checkpoint } = await request(`/checkpoints/${encodeURIComponent(selected.checkpoint.name)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(fields),
+      });
+      setSelected({ ...selected, checkpoint });
+    } catch (err) {
+      setError(`⚠️ ${err.message}`);
+    }
+  };
+
+  const comparison = selected?.comparison;
+  const checkpoint = selected?.checkpoint;
+  const canAccept = comparison && (comparison.status === 'changed' || comparison.status === 'passed');
+
+  return (
+    <aside className="history-panel visual-panel">
+      <div className="history-header">
+        {selected ? (
+          <button className="history-icon-button" onClick={() => setSelected(null)} title="Back">
+            <ArrowLeft />
+          </button>
+        ) : (
+          <button className="history-icon-button" onClick={loadComparisons} title="Refresh">
+            <RefreshCw />
+          </button>
+        )}
+        <h2>{selected ? comparison.checkpoint : 'Visual review'}</h2>
+        <button className="history-icon-button" onClick={onClose} title="Close">
+          <X />
+        </button>
+      </div>
+
+      {error && <div className="history-error">{error}</div>}
+
+      {selected ? (
+        <div className="history-detail">
+          <div className="visual-detail-header">
+            <span className={`run-status visual-status ${comparison.status}`}>{comparison.status}</span>
+            <span className="history-label">{formatDateTime(comparison.createdAt)}</span>
+            {canAccept && (
+              <button className="visual-accept" onClick={accept} disabled={accepting} title="Use this screenshot as the baseline">
+                <Check /> {accepting ? 'Accepting...' : 'Accept as baseline'}
+              </button>
+            )}
+          </div>
+          <p className="history-label">
+            {formatPercent(comparison.diffRatio)} of pixels differ ({comparison.diffPixels} px), {formatPercent(comparison.maxDiffRatio)} allowed
+          </p>
+          {comparison.sizeChanged && (
+            <p className="history-label">
+              Page size changed from {comparison.baselineSize.width}x{comparison.baselineSize.height} to{' '}
+              {comparison.actualSize.width}x{comparison.actualSize.height}
+            </p>
+          )}
+          {comparison.url && <p className="history-value">{comparison.url}</p>}
+          {comparison.runId && <p className="history-label">Run {comparison.runId}</p>}
+          <div className="visual-images">
+            <VisualImage
+              label="Baseline"
+              src={checkpoint && `${API_BASE_URL}${checkpoint.baselineUrl}?v=${encodeURIComponent(checkpoint.updatedAt)}`}
+            />
+            <VisualImage label="Actual" src={`${API_BASE_URL}${comparison.screenshot.url}`} />
+            <VisualImage label="Diff" src={comparison.diff && `${API_BASE_URL}${comparison.diff.url}`} />
+          </div>
+          {checkpoint && <ToleranceForm key={checkpoint.updatedAt} checkpoint={checkpoint} onSave={saveTolerances} />}
+        </div>
+      ) : (
+        <>
+          <div className="history-filters">
+            <select value={status} onChange={(e) => setStatus(e.target.value)}>
+              {STATUS_FILTERS.map((filter) => (
+                <option key={filter.value} value={filter.value}>{filter.label}</option>
+              ))}
+            </select>
+          </div>
+          <ul className="history-list">
+            {comparisons.map((item) => (
+              <li key={item.id} onClick={() => openComparison(item.id)}>
+                <div className="history-prompt">{item.checkpoint}</div>
+                <div className="history-meta">
+                  <span className={`run-status visual-status ${item.status}`}>{item.status}</span>
+                  {item.status !== 'new' && <span>{formatPercent(item.diffRatio)} changed</span>}
+                  <span>{formatDateTime(item.createdAt)}</span>
+                </div>
+              </li>
+            ))}
+            {!loading && comparisons.length === 0 && (
+              <li className="history-empty">{status === 'changed' ? 'No changes waiting for review' : 'No comparisons yet'}</li>
+            )}
+          </ul>
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default VisualPanel;
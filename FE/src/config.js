@@ -0,0 +1 @@
+export const API_BASE_URL = import.meta.env.VITE_API_URL || "https://browser-automation-ai-agent-2.onrender.com";